@@ -0,0 +1,59 @@
+import { NextResponse } from 'next/server';
+import { requireAdmin } from '../../../utils/adminAuth';
+import { getCacheStats, clearAllCache, deleteCachedData } from '../../../utils/cache';
+
+/**
+ * API Route: /api/admin/cache
+ *
+ * Cache administration (requires the ADMIN_TOKEN bearer token).
+ *
+ * GET    /api/admin/cache                          -> entry counts, size and hit/miss ratios per namespace
+ * DELETE /api/admin/cache?namespace=nts-search     -> purge a whole namespace
+ * DELETE /api/admin/cache?namespace=...&key=...    -> purge a single key
+ *
+ * See also /api/admin/cache/sweep, /api/admin/cache/warm,
+ * /api/admin/cache/spotify-match (Spotify match index stats) and
+ * /api/admin/cache/track-links (the other providers' match indexes).
+ */
+
+// Namespaces map to directories for the file backend - never allow paths in them
+const NAMESPACE_PATTERN = /^[a-z0-9_-]+$/i;
+
+export async function GET(request) {
+  const unauthorized = requireAdmin(request);
+  if (unauthorized) return unauthorized;
+
+  try {
+    return NextResponse.json(getCacheStats());
+  } catch (error) {
+    console.error('Error reading cache stats:', error);
+    return NextResponse.json(
+      { error: 'Failed to read cache stats' },
+      { status: 500 }
+    );
+  }
+}
+
+export async function DELETE(request) {
+  const unauthorized = requireAdmin(request);
+  if (unauthorized) return unauthorized;
+
+  const { searchParams } = new URL(request.url);
+  const namespace = searchParams.get('namespace');
+  const key = searchParams.get('key');
+
+  if (!namespace || !NAMESPACE_PATTERN.test(namespace)) {
+    return NextResponse.json(
+      { error: 'Missing or invalid namespace parameter' },
+      { status: 400 }
+    );
+  }
+
+  if (key) {
+    const removed = deleteCachedData(key, namespace);
+    return NextResponse.json({ namespace, key, removed: removed ? 1 : 0 });
+  }
+
+  const removed = clearAllCache(namespace);
+  return NextResponse.json({ namespace, removed });
+}
@@ -0,0 +1,29 @@
+import { NextResponse } from 'next/server';
+import { requireAdmin } from '../../../../utils/adminAuth';
+import { getMatchIndexStats } from '../../../../utils/spotifyMatchIndex';
+
+/**
+ * API Route: /api/admin/cache/spotify-match
+ *
+ * GET shows the Spotify match index (see utils/spotifyMatchIndex.js): how
+ * many tracks it holds, its TTLs, and how often lookups were answered from
+ * it instead of searching Spotify. Requires the ADMIN_TOKEN bearer token.
+ *
+ * Purge it like any other namespace:
+ * DELETE /api/admin/cache?namespace=spotify-match
+ */
+
+export async function GET(request) {
+  const unauthorized = requireAdmin(request);
+  if (unauthorized) return unauthorized;
+
+  try {
+    return NextResponse.json(getMatchIndexStats());
+  } catch (error) {
+    console.error('Error reading Spotify match index stats:', error);
+    return NextResponse.json(
+      { error: 'Failed to read Spotify match index stats' },
+      { status: 500 }
+    );
+  }
+}
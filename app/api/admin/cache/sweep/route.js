@@ -0,0 +1,29 @@
+import { NextResponse } from 'next/server';
+import { requireAdmin } from '../../../../utils/adminAuth';
+import { sweepExpiredCache } from '../../../../utils/cache';
+
+/**
+ * API Route: /api/admin/cache/sweep
+ *
+ * POST removes every cache entry that is past its TTL AND its stale window
+ * (entries still inside the stale window are kept - they can be served
+ * while refreshing). Requires the ADMIN_TOKEN bearer token.
+ */
+
+export async function POST(request) {
+  const unauthorized = requireAdmin(request);
+  if (unauthorized) return unauthorized;
+
+  try {
+    const removed = sweepExpiredCache();
+    const total = Object.values(removed).reduce((sum, count) => sum + count, 0);
+
+    return NextResponse.json({ removed, total });
+  } catch (error) {
+    console.error('Error sweeping cache:', error);
+    return NextResponse.json(
+      { error: 'Failed to sweep cache' },
+      { status: 500 }
+    );
+  }
+}
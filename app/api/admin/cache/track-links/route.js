@@ -0,0 +1,30 @@
+import { NextResponse } from 'next/server';
+import { requireAdmin } from '../../../../utils/adminAuth';
+import { getTrackLinkStats } from '../../../../utils/trackLinks';
+
+/**
+ * API Route: /api/admin/cache/track-links
+ *
+ * GET shows every link provider (Deezer, YouTube, Bandcamp, SoundCloud - see
+ * utils/trackLinks.js): whether it's configured and turned on, which base
+ * URL it talks to, and its match index stats. Requires the ADMIN_TOKEN
+ * bearer token.
+ *
+ * Purge a provider's index like any other namespace:
+ * DELETE /api/admin/cache?namespace=deezer-match
+ */
+
+export async function GET(request) {
+  const unauthorized = requireAdmin(request);
+  if (unauthorized) return unauthorized;
+
+  try {
+    return NextResponse.json({ providers: getTrackLinkStats() });
+  } catch (error) {
+    console.error('Error reading track link stats:', error);
+    return NextResponse.json(
+      { error: 'Failed to read track link stats' },
+      { status: 500 }
+    );
+  }
+}
@@ -0,0 +1,107 @@
+import { NextResponse } from 'next/server';
+import { requireAdmin } from '../../../../utils/adminAuth';
+import { GET as getGenre } from '../../../genre/route';
+import { GET as getTracklist } from '../../../tracklist/route';
+
+/**
+ * API Route: /api/admin/cache/warm
+ *
+ * POST { genreIds: ["jazz-spiritualjazz"], episodePaths: ["/shows/.../episodes/..."] }
+ *
+ * Pre-fills the cache by running the same handlers the app uses, so the
+ * cache keys are exactly the ones a real request will look up:
+ * - genre IDs warm the first page of /api/genre
+ * - episode paths warm /api/tracklist (NTS tracklist + Spotify matches)
+ *
+ * Items are warmed one at a time to be nice to NTS and Spotify.
+ * Requires the ADMIN_TOKEN bearer token.
+ */
+
+const MAX_ITEMS = 50;
+
+/**
+ * Helper: Call a route handler in-process and summarize the result
+ */
+async function warmOne(handler, url) {
+  try {
+    const response = await handler(new Request(url));
+    const body = await response.json();
+    return {
+      ok: response.ok,
+      status: response.status,
+      fromCache: body.fromCache ?? null,
+      error: body.error || null
+    };
+  } catch (error) {
+    return { ok: false, status: 500, fromCache: null, error: error.message };
+  }
+}
+
+export async function POST(request) {
+  const unauthorized = requireAdmin(request);
+  if (unauthorized) return unauthorized;
+
+  let body;
+  try {
+    body = await request.json();
+  } catch (error) {
+    return NextResponse.json(
+      { error: 'Request body must be JSON' },
+      { status: 400 }
+    );
+  }
+
+  // `null`, a number or an array is valid JSON too - but not something we can read fields from
+  if (!body || typeof body !== 'object' || Array.isArray(body)) {
+    return NextResponse.json(
+      { error: 'Request body must be a JSON object' },
+      { status: 400 }
+    );
+  }
+
+  const { genreIds = [], episodePaths = [] } = body;
+  const isStringArray = value => Array.isArray(value) && value.every(item => typeof item === 'string');
+
+  if (!isStringArray(genreIds) || !isStringArray(episodePaths)) {
+    return NextResponse.json(
+      { error: 'genreIds and episodePaths must be arrays of strings' },
+      { status: 400 }
+    );
+  }
+
+  if (genreIds.length === 0 && episodePaths.length === 0) {
+    return NextResponse.json(
+      { error: 'Must provide at least one genre ID or episode path' },
+      { status: 400 }
+    );
+  }
+
+  if (genreIds.length + episodePaths.length > MAX_ITEMS) {
+    return NextResponse.json(
+      { error: `Too many items - warm at most ${MAX_ITEMS} per request` },
+      { status: 400 }
+    );
+  }
+
+  const baseUrl = new URL(request.url).origin;
+  const results = { genres: [], episodes: [] };
+
+  for (const genreId of genreIds) {
+    const result = await warmOne(getGenre, `${baseUrl}/api/genre?id=${encodeURIComponent(genreId)}`);
+    results.genres.push({ genreId, ...result });
+  }
+
+  for (const episodePath of episodePaths) {
+    const result = await warmOne(getTracklist, `${baseUrl}/api/tracklist?path=${encodeURIComponent(episodePath)}`);
+    results.episodes.push({ episodePath, ...result });
+  }
+
+  const all = [...results.genres, ...results.episodes];
+  console.log(`Warmed cache for ${all.filter(r => r.ok).length}/${all.length} items`);
+
+  return NextResponse.json({
+    warmed: all.filter(r => r.ok).length,
+    failed: all.filter(r => !r.ok).length,
+    results
+  });
+}
@@ -0,0 +1,162 @@
+import { NextResponse } from 'next/server';
+import { getEpisode, NtsApiError } from '../../utils/ntsClient';
+import { readThrough, CACHE_KINDS } from '../../utils/cache';
+import { recordEpisodeGenres } from '../../utils/genreGraph';
+
+/**
+ * API Route: /api/episode
+ *
+ * Returns the full NTS record for one episode, normalized:
+ *
+ *   GET /api/episode?path=/shows/floating-points/episodes/floating-points-4th-may-2023
+ *
+ * The episode objects from /api/nts and /api/genre only carry path, title, date,
+ * location and genres - this adds description, hosts, moods, every image size,
+ * the broadcast time and embeddable audio (Mixcloud/SoundCloud).
+ */
+
+// Episode paths look like "/shows/<show>/episodes/<episode>"
+const EPISODE_PATH_PATTERN = /^\/shows\/([a-z0-9-]+)\/episodes\/([a-z0-9-]+)\/?$/i;
+
+/**
+ * Helper: Normalize NTS tags (genres/moods use `value`, search results use `name`)
+ */
+function toTags(tags) {
+  return (tags || []).map(tag => ({ id: tag.id, name: tag.name || tag.value }));
+}
+
+/**
+ * Helper: Collect every image size NTS gives us
+ * media has keys like picture_small, picture_medium_large, background_large...
+ */
+function toImages(media) {
+  const images = {};
+  for (const [key, url] of Object.entries(media || {})) {
+    if (typeof url === 'string' && key.startsWith('picture_')) {
+      images[key.slice('picture_'.length)] = url;
+    }
+  }
+  return images;
+}
+
+/**
+ * Helper: Turn an audio link into a provider + embeddable player URL
+ */
+function toAudioSource(url, source) {
+  if (!url) return null;
+
+  let host;
+  try {
+    host = new URL(url).hostname;
+  } catch (error) {
+    return null;
+  }
+
+  if (host.endsWith('mixcloud.com')) {
+    const feed = new URL(url).pathname;
+    return {
+      provider: 'mixcloud',
+      url,
+      embedUrl: `https://player-widget.mixcloud.com/widget/iframe/?hide_cover=1&mini=1&light=0&feed=${encodeURIComponent(feed)}`
+    };
+  }
+
+  if (host.endsWith('soundcloud.com')) {
+    return {
+      provider: 'soundcloud',
+      url,
+      embedUrl: `https://w.soundcloud.com/player/?url=${encodeURIComponent(url)}&color=%23ffffff&visual=false`
+    };
+  }
+
+  return { provider: source || host, url, embedUrl: null };
+}
+
+/**
+ * Helper: Map a raw NTS episode to our normalized format
+ */
+function toEpisodeDetail(episode, showAlias, episodeAlias) {
+  // Mixcloud is listed on its own; other sources are in audio_sources
+  const audioSources = [
+    toAudioSource(episode.mixcloud, 'mixcloud'),
+    ...(episode.audio_sources || []).map(source => toAudioSource(source.url, source.source))
+  ].filter(Boolean);
+
+  // Don't list the same link twice
+  const uniqueAudioSources = audioSources.filter(
+    (source, index) => audioSources.findIndex(other => other.url === source.url) === index
+  );
+
+  // Hosts aren't always present - they're listed as strings or { name }
+  const hosts = (episode.presenters || episode.hosts || [])
+    .map(host => (typeof host === 'string' ? host : host.name))
+    .filter(Boolean);
+
+  return {
+    episodePath: `/shows/${showAlias}/episodes/${episodeAlias}`,
+    showPath: `/shows/${showAlias}`,
+    title: episode.name,
+    description: episode.description || null,
+    hosts,
+    broadcast: episode.broadcast || null,
+    location: episode.location_long || episode.location_short || null,
+    genres: toTags(episode.genres),
+    moods: toTags(episode.moods),
+    images: toImages(episode.media),
+    audioSources: uniqueAudioSources
+  };
+}
+
+export async function GET(request) {
+  const { searchParams } = new URL(request.url);
+  const episodePath = searchParams.get('path');
+
+  if (!episodePath) {
+    return NextResponse.json(
+      { error: 'Missing episode path parameter' },
+      { status: 400 }
+    );
+  }
+
+  const match = episodePath.match(EPISODE_PATH_PATTERN);
+  if (!match) {
+    return NextResponse.json(
+      { error: 'Invalid episode path - expected /shows/<show>/episodes/<episode>' },
+      { status: 400 }
+    );
+  }
+  const [, showAlias, episodeAlias] = match.map(part => part.toLowerCase());
+  const normalizedPath = `/shows/${showAlias}/episodes/${episodeAlias}`;
+
+  try {
+    console.log('Fetching episode details for:', normalizedPath);
+
+    const { data, fromCache } = await readThrough(
+      CACHE_KINDS.ntsEpisode,
+      normalizedPath,
+      () => getEpisode(normalizedPath)
+    );
+
+    const episode = toEpisodeDetail(data, showAlias, episodeAlias);
+    recordEpisodeGenres([episode]);
+
+    return NextResponse.json({
+      episode,
+      fromCache
+    });
+
+  } catch (error) {
+    if (error instanceof NtsApiError && error.status === 404) {
+      return NextResponse.json(
+        { error: 'Episode not found' },
+        { status: 404 }
+      );
+    }
+
+    console.error('Error fetching episode from NTS:', error);
+    return NextResponse.json(
+      { error: 'Failed to fetch from NTS API' },
+      { status: 500 }
+    );
+  }
+}
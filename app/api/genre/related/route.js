@@ -0,0 +1,73 @@
+import { NextResponse } from 'next/server';
+import { searchEpisodesByGenre, NTS_PAGE_LIMIT } from '../../../utils/ntsClient';
+import { readThrough, CACHE_KINDS } from '../../../utils/cache';
+import { recordEpisodeGenres, getRelatedGenres, getGenreEpisodeCount, getGenreGraphStats } from '../../../utils/genreGraph';
+
+/**
+ * API Route: /api/genre/related
+ *
+ * Genres that often appear on the same episodes as this one:
+ *
+ *   GET /api/genre/related?id=jazz-spiritualjazz&limit=8
+ *
+ * The graph is built from every episode /api/nts, /api/genre, /api/show and
+ * /api/episode return (see genreGraph.js). If we've barely seen this genre,
+ * we read the first page of its archive first (the same cache entry
+ * /api/genre uses), so a genre nobody has browsed yet still gets suggestions.
+ */
+
+// Below this many episodes with the genre, read its archive before answering
+const MIN_EPISODES_SEEN = 20;
+
+const MAX_LIMIT = 30;
+
+export async function GET(request) {
+  const { searchParams } = new URL(request.url);
+  const genreId = (searchParams.get('id') || '').trim();
+  const limit = parseInt(searchParams.get('limit') || '8', 10);
+
+  if (!genreId) {
+    return NextResponse.json(
+      { error: 'Missing genre id parameter' },
+      { status: 400 }
+    );
+  }
+
+  if (!Number.isInteger(limit) || limit < 1 || limit > MAX_LIMIT) {
+    return NextResponse.json(
+      { error: `Invalid limit (must be 1-${MAX_LIMIT})` },
+      { status: 400 }
+    );
+  }
+
+  try {
+    // Step 1: Make sure we've seen enough of this genre
+    let fromCache = true;
+
+    if (getGenreEpisodeCount(genreId) < MIN_EPISODES_SEEN) {
+      const page = await readThrough(
+        CACHE_KINDS.ntsGenre,
+        `${genreId}-0-${NTS_PAGE_LIMIT}`,
+        () => searchEpisodesByGenre(genreId, { offset: 0, limit: NTS_PAGE_LIMIT })
+      );
+      fromCache = page.fromCache;
+      recordEpisodeGenres(page.data.results);
+    }
+
+    // Step 2: Rank the related genres
+    return NextResponse.json({
+      genreId,
+      episodesSeen: getGenreEpisodeCount(genreId),
+      related: getRelatedGenres(genreId, { limit }),
+      graph: getGenreGraphStats(),
+      fromCache
+    });
+
+  } catch (error) {
+    console.error('Error finding related genres:', error);
+    return NextResponse.json(
+      { error: 'Failed to find related genres' },
+      { status: 500 }
+    );
+  }
+}
@@ -1,64 +1,289 @@
 import { NextResponse } from 'next/server';
+import { searchEpisodesByGenre, NTS_PAGE_LIMIT } from '../../utils/ntsClient';
+import { readThrough, CACHE_KINDS } from '../../utils/cache';
+import { parseEpisodeFilters } from '../../utils/episodeFilters';
+import { recordEpisodeGenres } from '../../utils/genreGraph';
 
 /**
  * API Route: /api/genre
  *
  * Searches NTS Radio by genre and returns episodes.
  * Similar to the track search, but uses the genre endpoint instead.
+ *
+ * Several genres can be given (?id=a&id=b or ?id=a,b) with a match mode:
+ * - mode=any (default) - episodes tagged with ANY of them (NTS does this for us)
+ * - mode=all           - episodes tagged with ALL of them. NTS can't do this, so we
+ *                        walk through the first genre and intersect each episode's
+ *                        genre set here. `nextOffset` says where to continue.
+ *
+ * Paging and ordering:
+ * - ?offset=0&limit=9  - a page of the archive (limit up to 60)
+ * - ?sort=newest|oldest - NTS returns genre episodes newest first; for oldest
+ *                         we read the archive from the other end
+ * - ?from=YYYY-MM-DD&to=YYYY-MM-DD - only episodes aired in this range
+ *
+ * Moods: ?mood=late-night,deep narrows the genres down to episodes with ANY of
+ * those moods. NTS filters by mood for us, so totals stay exact. Moods work
+ * without any genre too (?mood=late-night) - that's the "Browse by Mood" view.
+ *
+ * How it works:
+ * NTS is always read in fixed 60-episode pages (offset 0, 60, 120...) so the same
+ * cache entries serve every page size and sort order. Because the archive is
+ * newest first, we can binary search those pages to find where a date range
+ * starts and ends - so `total` (and "page X of Y") stays exact with a date filter.
+ *
+ * Related genres for a genre live at /api/genre/related (see genreGraph.js).
  */
 
+// In "all" mode, check at most this many episodes per request looking for matches
+const ALL_MODE_MAX_SCAN = 3 * NTS_PAGE_LIMIT;
+
+const MATCH_MODES = ['any', 'all'];
+const SORT_ORDERS = ['newest', 'oldest'];
+
+/**
+ * Helper: Read the NTS genre (and/or mood) archive as a newest-first list
+ *
+ * Fetches fixed 60-episode pages (read-through cached, and memoized for
+ * this request) and hands out episodes by their position in the archive.
+ * A single genre uses the same cache entries as before multi-genre search existed.
+ */
+function createArchiveReader(genreIds, moodIds = []) {
+  const pages = new Map();
+  const archiveKey = [...genreIds, ...moodIds.map(id => `mood-${id}`)].join('+');
+  let allFromCache = true;
+
+  const getPage = (pageOffset) => {
+    if (!pages.has(pageOffset)) {
+      pages.set(pageOffset, readThrough(
+        CACHE_KINDS.ntsGenre,
+        `${archiveKey}-${pageOffset}-${NTS_PAGE_LIMIT}`,
+        () => searchEpisodesByGenre(genreIds, { offset: pageOffset, limit: NTS_PAGE_LIMIT, moodIds })
+      ).then(page => {
+        allFromCache = allFromCache && page.fromCache;
+        return page.data;
+      }));
+    }
+    return pages.get(pageOffset);
+  };
+
+  return {
+    // Total episodes in the archive
+    async count() {
+      const data = await getPage(0);
+      return data.metadata.resultset.count;
+    },
+
+    // Episodes at archive positions [start, end), newest first
+    async slice(start, end) {
+      const firstPage = Math.floor(start / NTS_PAGE_LIMIT) * NTS_PAGE_LIMIT;
+      const pagePromises = [];
+      for (let pageOffset = firstPage; pageOffset < end; pageOffset += NTS_PAGE_LIMIT) {
+        pagePromises.push(getPage(pageOffset));
+      }
+
+      const results = (await Promise.all(pagePromises)).flatMap(data => data.results || []);
+      return results.slice(start - firstPage, end - firstPage);
+    },
+
+    async at(position) {
+      const [episode] = await this.slice(position, position + 1);
+      return episode;
+    },
+
+    fromCache: () => allFromCache
+  };
+}
+
+/**
+ * Helper: Find the first archive position where `test` is true
+ * (`test` must be false then true along the archive, like a date cut-off)
+ */
+async function findFirstPosition(archive, total, test) {
+  let low = 0;
+  let high = total;
+  while (low < high) {
+    const middle = Math.floor((low + high) / 2);
+    if (test(await archive.at(middle))) {
+      high = middle;
+    } else {
+      low = middle + 1;
+    }
+  }
+  return low;
+}
+
+/**
+ * Helper: Find the archive positions [start, end) aired between from and to (inclusive)
+ */
+async function findDateRange(archive, total, from, to) {
+  const dateOf = episode => (episode?.local_date || '').slice(0, 10);
+
+  // Newest first: skip everything aired after `to`, stop at the first episode before `from`
+  const start = to ? await findFirstPosition(archive, total, episode => dateOf(episode) <= to) : 0;
+  const end = from ? await findFirstPosition(archive, total, episode => dateOf(episode) < from) : total;
+
+  return { start, end: Math.max(start, end) };
+}
+
+/**
+ * Helper: Read `count` episodes starting `offset` into the range, in the requested order
+ */
+async function readRange(archive, range, offset, count, sort) {
+  const size = range.end - range.start;
+  const available = Math.max(0, Math.min(count, size - offset));
+  if (available === 0) return [];
+
+  if (sort === 'oldest') {
+    // Read from the old end of the range and flip
+    const end = range.end - offset;
+    const episodes = await archive.slice(end - available, end);
+    return episodes.reverse();
+  }
+
+  const start = range.start + offset;
+  return archive.slice(start, start + available);
+}
+
+/**
+ * Helper: Does an episode carry every one of the genres?
+ */
+function hasAllGenres(episode, genreIds) {
+  const episodeGenreIds = new Set((episode.genres || []).map(genre => genre.id));
+  return genreIds.every(id => episodeGenreIds.has(id));
+}
+
 export async function GET(request) {
   const { searchParams } = new URL(request.url);
-  const genreId = searchParams.get('id');
-  const offset = searchParams.get('offset') || '0';
-  const limit = searchParams.get('limit') || '60';
+  const genreIds = [...new Set(
+    searchParams.getAll('id').flatMap(value => value.split(',')).map(id => id.trim()).filter(Boolean)
+  )];
+  const mode = searchParams.get('mode') || 'any';
+  const sort = searchParams.get('sort') || 'newest';
+  const offset = parseInt(searchParams.get('offset') || '0', 10);
+  const limit = parseInt(searchParams.get('limit') || String(NTS_PAGE_LIMIT), 10);
+
+  // Only the date and mood filters apply here (genres are the id params)
+  const { filters, error: filterError } = parseEpisodeFilters(searchParams);
+  if (filterError) {
+    return NextResponse.json(
+      { error: filterError },
+      { status: 400 }
+    );
+  }
+
+  if (genreIds.length === 0 && filters.moods.length === 0) {
+    return NextResponse.json(
+      { error: 'Missing genre id or mood parameter' },
+      { status: 400 }
+    );
+  }
+
+  if (!MATCH_MODES.includes(mode)) {
+    return NextResponse.json(
+      { error: 'Invalid mode parameter - use any or all' },
+      { status: 400 }
+    );
+  }
 
-  if (!genreId) {
+  if (!SORT_ORDERS.includes(sort)) {
     return NextResponse.json(
-      { error: 'Missing genre id parameter' },
+      { error: 'Invalid sort parameter - use newest or oldest' },
       { status: 400 }
     );
   }
 
+  if (!Number.isInteger(offset) || offset < 0 || !Number.isInteger(limit) || limit < 1 || limit > NTS_PAGE_LIMIT) {
+    return NextResponse.json(
+      { error: `Invalid offset or limit (limit must be 1-${NTS_PAGE_LIMIT})` },
+      { status: 400 }
+    );
+  }
+
+  // With a single genre, "all" is the same as "any"
+  const intersect = mode === 'all' && genreIds.length > 1;
+
   try {
-    // NTS API endpoint for genre search
-    const ntsUrl = `https://www.nts.live/api/v2/search/episodes?offset=${offset}&limit=${limit}&genres[]=${genreId}`;
+    const tagNames = [...genreIds, ...filters.moods.map(id => `mood ${id}`)].join(', ');
+    console.log(`Fetching from NTS genre API: ${tagNames} (mode ${mode}, sort ${sort}, offset ${offset}, limit ${limit})`);
 
-    console.log('Fetching from NTS genre API:', ntsUrl);
+    // Step 1: Work out which part of the archive we're reading
+    // "any" asks NTS for every genre at once; "all" walks through the first genre
+    // (any episode tagged with all of them is tagged with that one too)
+    const archive = createArchiveReader(intersect ? [genreIds[0]] : genreIds, filters.moods);
+    const archiveCount = await archive.count();
+    const range = (filters.from || filters.to)
+      ? await findDateRange(archive, archiveCount, filters.from, filters.to)
+      : { start: 0, end: archiveCount };
+    const total = range.end - range.start;
 
-    const response = await fetch(ntsUrl);
+    // Step 2: Read the page
+    let results;
+    let scanned;
 
-    if (!response.ok) {
-      throw new Error(`NTS API returned ${response.status}`);
+    if (intersect) {
+      // Keep only episodes with every genre, reading on until the page is full
+      // (or we've checked enough for one request)
+      results = [];
+      scanned = 0;
+      while (results.length < limit && scanned < ALL_MODE_MAX_SCAN && offset + scanned < total) {
+        const batch = await readRange(archive, range, offset + scanned, NTS_PAGE_LIMIT, sort);
+        if (batch.length === 0) break;
+
+        for (const episode of batch) {
+          scanned++;
+          if (hasAllGenres(episode, genreIds)) {
+            results.push(episode);
+            if (results.length === limit) break;
+          }
+        }
+      }
+    } else {
+      results = await readRange(archive, range, offset, limit, sort);
+      scanned = results.length;
     }
 
-    const data = await response.json();
+    const nextOffset = scanned > 0 && offset + scanned < total ? offset + scanned : null;
 
-    // Check if we got any results
-    if (!data.results || data.results.length === 0) {
+    // Check if we got any results (in "all" mode there may still be matches further on)
+    if (results.length === 0 && nextOffset === null && offset === 0) {
       return NextResponse.json(
-        { error: 'No episodes found for this genre' },
+        { error: intersect ? 'No episodes found with all of these genres' : `No episodes found for this ${genreIds.length > 0 ? 'genre' : 'mood'}` },
         { status: 404 }
       );
     }
 
-    console.log(`Found ${data.results.length} episodes for genre ${genreId}`);
+    console.log(`Found ${results.length} episodes for ${tagNames} (checked ${scanned} of ${total})`);
 
     // Map the results to our format
-    const episodes = data.results.map(episode => ({
+    const episodes = results.map(episode => ({
       episodePath: episode.article.path,
       episodeTitle: episode.title,
       airDate: episode.local_date,
       location: episode.location,
       image: episode.image?.medium || null,
-      genres: episode.genres || []
+      genres: episode.genres || [],
+      moods: episode.moods || []
     }));
 
+    // Feed the genres into the related-genres graph
+    recordEpisodeGenres(episodes);
+
     return NextResponse.json({
       episodes: episodes,
-      total: data.metadata.resultset.count,
-      offset: data.metadata.resultset.offset,
-      limit: data.metadata.resultset.limit
+      // In "all" mode this counts candidates (episodes with the first genre), not matches
+      total,
+      offset,
+      limit,
+      mode,
+      sort,
+      from: filters.from,
+      to: filters.to,
+      genreIds,
+      moodIds: filters.moods,
+      scanned,
+      nextOffset,
+      fromCache: archive.fromCache()
     });
 
   } catch (error) {
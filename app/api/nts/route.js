@@ -1,4 +1,11 @@
 import { NextResponse } from 'next/server';
+import { searchTracks, NTS_PAGE_LIMIT } from '../../utils/ntsClient';
+import { readThrough, CACHE_KINDS } from '../../utils/cache';
+import { parseEpisodeFilters, filterNtsResults, getEpisodeFacets } from '../../utils/episodeFilters';
+import { sortEpisodes, isValidSort, getShowPath, DEFAULT_SORT } from '../../utils/episodeSort';
+import { scoreTrackMatch, BEST_MATCH_SCORE, STRICT_MATCH_SCORE } from '../../utils/matchScore';
+import { buildNtsQuery } from '../../utils/trackNormalize';
+import { recordEpisodeGenres } from '../../utils/genreGraph';
 
 /**
  * API Route: /api/nts
@@ -6,20 +13,65 @@ import { NextResponse } from 'next/server';
  * This is a Next.js API route - think of it like a Rails controller action!
  * In Next.js, any file called route.js inside the /app/api directory becomes an API endpoint.
  *
- * This specific route searches NTS Radio for a track and returns the first episode that played it.
+ * This specific route searches NTS Radio for a track and returns the episodes that played it.
  *
  * How it works:
  * 1. Client sends GET request with ?artist=X&title=Y query params
- * 2. We fetch from NTS search API
- * 3. Return the first matching episode info
+ * 2. We fetch one batch (2 NTS pages = 120 results) from the NTS search API
+ * 3. Return those episodes plus a `nextCursor`
+ * 4. To load further results, the client sends ?cursor=<nextCursor>
+ *    with the same artist/title, until nextCursor is null
+ *
+ * Optional filters (applied here, over every result in the batch):
+ * ?from=YYYY-MM-DD&to=YYYY-MM-DD&location=London&genre=jazz-spiritualjazz&mood=late-night
+ *
+ * Every episode carries a `matchScore` (0-1, see utils/matchScore.js) for how
+ * well the NTS hit matches the artist/title searched. Add ?strict=true to drop
+ * weak matches (NTS search is free-text, so it also returns tracks that just share a word).
+ *
+ * Optional ordering: ?sort=newest (default) | oldest | relevance | show
+ * (see utils/episodeSort.js - each episode carries its upstream `rank`
+ * so the client can keep the same ordering when merging batches)
  */
 
+// Each request fetches this many NTS pages (60 results each) to be nice to the NTS API
+const PAGES_PER_BATCH = 2;
+
+/**
+ * Helper: Encode/decode the opaque pagination cursor
+ *
+ * Clients should treat it as a black box - today it's just the next NTS offset.
+ */
+function encodeCursor(offset) {
+  return Buffer.from(JSON.stringify({ offset })).toString('base64url');
+}
+
+function decodeCursor(cursor) {
+  try {
+    const { offset } = JSON.parse(Buffer.from(cursor, 'base64url').toString('utf-8'));
+    return Number.isInteger(offset) && offset >= 0 ? offset : null;
+  } catch (error) {
+    return null;
+  }
+}
+
+/**
+ * Helper: Fetch one page of NTS track search results (read-through cached)
+ */
+function fetchSearchPage(query, offset, limit) {
+  const cacheKey = `${query.toLowerCase()}-${offset}-${limit}`;
+  return readThrough(CACHE_KINDS.ntsSearch, cacheKey, () => searchTracks(query, { offset, limit }));
+}
+
 export async function GET(request) {
   // Extract search params from the URL
   // In Next.js, we use the URL API to parse query params (different from Rails params hash!)
   const { searchParams } = new URL(request.url);
   const artist = searchParams.get('artist');
   const title = searchParams.get('title');
+  const cursor = searchParams.get('cursor');
+  const sort = searchParams.get('sort') || DEFAULT_SORT;
+  const strict = searchParams.get('strict') === 'true';
 
   // Validate input - require at least one field
   if (!artist && !title) {
@@ -31,7 +83,8 @@ export async function GET(request) {
 
   // Prevent super broad searches - require at least 2 characters
   // This protects the NTS API from being hammered with single-letter searches
-  const combinedQuery = [title, artist].filter(Boolean).join(' ').trim();
+  // (cleaned up first - "A1.", "[Label]", "feat. X", curly quotes... see utils/trackNormalize.js)
+  const combinedQuery = buildNtsQuery(artist, title);
   if (combinedQuery.length < 2) {
     return NextResponse.json(
       { error: 'Search query too short - please enter at least 2 characters' },
@@ -39,50 +92,55 @@ export async function GET(request) {
     );
   }
 
-  try {
-    // Build the search query by combining title + artist (if both provided)
-    // We encode it for the URL (handles spaces and special chars)
-    const queryParts = [title, artist].filter(Boolean);
-    const query = encodeURIComponent(queryParts.join(' '));
+  const startOffset = cursor ? decodeCursor(cursor) : 0;
+  if (startOffset === null) {
+    return NextResponse.json(
+      { error: 'Invalid cursor parameter' },
+      { status: 400 }
+    );
+  }
 
-    // Step 1: Fetch first page to get total count
-    // NTS API has a hard limit of 60 results per request, so we need to paginate
-    const firstPageUrl = `https://www.nts.live/api/v2/search?q=${query}&version=2&offset=0&limit=60&types[]=track`;
+  if (!isValidSort(sort)) {
+    return NextResponse.json(
+      { error: 'Invalid sort parameter - use newest, oldest, relevance or show' },
+      { status: 400 }
+    );
+  }
 
-    console.log('Fetching first page from NTS:', firstPageUrl);
+  const { filters, error: filterError } = parseEpisodeFilters(searchParams);
+  if (filterError) {
+    return NextResponse.json(
+      { error: filterError },
+      { status: 400 }
+    );
+  }
 
-    const firstResponse = await fetch(firstPageUrl);
+  try {
+    // The search query combines title + artist (if both provided), normalized above
+    // The NTS client takes care of URL encoding
+    const query = combinedQuery;
 
-    if (!firstResponse.ok) {
-      throw new Error(`NTS API returned ${firstResponse.status}`);
-    }
+    // Step 1: Fetch the first page of this batch to get the total count
+    // NTS API has a hard limit of 60 results per request, so we need to paginate
+    console.log(`Fetching NTS results for "${query}" from offset ${startOffset}`);
 
-    const firstData = await firstResponse.json();
+    const limit = NTS_PAGE_LIMIT;
+    const firstPage = await fetchSearchPage(query, startOffset, limit);
+    const firstData = firstPage.data;
     const totalCount = firstData.metadata.resultset.count;
 
     console.log(`Total results available: ${totalCount}`);
 
-    // Step 2: Calculate how many pages we need to fetch
-    // NTS API limit is 60 per request
-    // We cap at 100 episodes to avoid hammering the API
-    const limit = 60;
-    const maxEpisodes = 100; // Cap at 100 episodes to be nice to NTS API
-    const maxPages = Math.ceil(maxEpisodes / limit); // This will be 2 pages (60 + 40 = 100)
-    const totalPages = Math.ceil(totalCount / limit);
-    const pagesToFetch = Math.min(totalPages, maxPages);
-    const isTruncated = totalPages > maxPages;
-
-    if (isTruncated) {
-      console.log(`Search too broad: ${totalCount} results found, limiting to ${maxEpisodes} results`);
-    }
+    // Step 2: Calculate how many pages this batch needs
+    const batchEnd = Math.min(totalCount, startOffset + PAGES_PER_BATCH * limit);
+    const pagesToFetch = Math.max(1, Math.ceil((batchEnd - startOffset) / limit));
 
-    // Step 3: Fetch all remaining pages in parallel (up to max)
+    // Step 3: Fetch the remaining pages of the batch in parallel
     const pagePromises = [];
 
     for (let page = 1; page < pagesToFetch; page++) {
-      const offset = page * limit;
-      const pageUrl = `https://www.nts.live/api/v2/search?q=${query}&version=2&offset=${offset}&limit=${limit}&types[]=track`;
-      pagePromises.push(fetch(pageUrl).then(res => res.json()));
+      const offset = startOffset + page * limit;
+      pagePromises.push(fetchSearchPage(query, offset, limit));
     }
 
     // Wait for all pages to complete
@@ -91,59 +149,82 @@ export async function GET(request) {
     // Step 4: Combine all results
     let allResults = [...firstData.results];
 
-    for (const pageData of additionalPages) {
-      allResults = allResults.concat(pageData.results);
+    for (const page of additionalPages) {
+      allResults = allResults.concat(page.data.results);
     }
 
-    console.log(`Fetched ${allResults.length} total results across ${pagesToFetch} pages`);
+    // Only report a cache hit if no page had to go upstream
+    const fromCache = [firstPage, ...additionalPages].every(page => page.fromCache);
 
-    // Step 5: Sort by date (newest first)
-    // The NTS API doesn't support server-side sorting, so we do it here
-    allResults.sort((a, b) => {
-      const dateA = new Date(a.local_date);
-      const dateB = new Date(b.local_date);
-      return dateB - dateA; // Descending order (newest first)
-    });
+    console.log(`Fetched ${allResults.length} results across ${pagesToFetch} pages`);
+
+    // Feed every episode's genres into the related-genres graph (before filtering)
+    recordEpisodeGenres(allResults);
 
-    const results = allResults;
+    // Remember the upstream (relevance) position before anything reorders results
+    // (copies, so the cached page objects aren't touched)
+    allResults = allResults.map((result, index) => ({ ...result, rank: startOffset + index }));
 
-    // Check if we got any results
-    if (!results || results.length === 0) {
+    // Check if we got any results (only an error for the first batch)
+    if (allResults.length === 0 && startOffset === 0) {
       return NextResponse.json(
         { error: 'No episodes found for this track' },
         { status: 404 }
       );
     }
 
-    // Get up to 60 results (NTS API limit)
-    // The frontend will paginate these into groups of 9
-    const topEpisodes = results;
+    // Step 5: Apply filters
+    // Facets are counted BEFORE filtering so the UI can still offer every option
+    const facets = getEpisodeFacets(allResults);
+    const filteredResults = filterNtsResults(allResults, filters);
 
-    // Log what we found for debugging
-    console.log(`Found ${topEpisodes.length} episodes`);
+    // Step 6: Score each hit against what was searched (and drop weak ones in strict mode)
+    const scoredResults = filteredResults.map(result => ({
+      ...result,
+      matchScore: scoreTrackMatch({ artist, title }, result)
+    }));
+    const matchedResults = strict
+      ? scoredResults.filter(result => result.matchScore >= STRICT_MATCH_SCORE)
+      : scoredResults;
+
+    // Step 7: Work out where the next batch starts
+    const nextOffset = startOffset + pagesToFetch * limit;
+    const hasMore = allResults.length > 0 && nextOffset < totalCount;
 
     // Map the results to a cleaner format
-    // We're returning an array of episodes now instead of just one!
-    const episodes = topEpisodes.map(episode => ({
+    const mappedEpisodes = matchedResults.map(episode => ({
       episodePath: episode.article.path,
+      showPath: getShowPath(episode.article.path),
+      rank: episode.rank,
       episodeTitle: episode.article.title,
       airDate: episode.local_date,
       location: episode.location || null,
       genres: episode.genres || [],
+      moods: episode.moods || [],
+      matchScore: episode.matchScore,
+      isBestMatch: episode.matchScore >= BEST_MATCH_SCORE,
       track: {
         title: episode.title,
         artist: episode.artists[0]?.name || 'Unknown'
       }
     }));
 
+    // Step 8: Sort
+    // The NTS API only returns relevance order, so the other modes are done here
+    // (within this batch - the client merges batches with the same ordering)
+    const episodes = sortEpisodes(mappedEpisodes, sort);
+
     return NextResponse.json({
       episodes: episodes,
-      total: topEpisodes.length,
-      truncated: isTruncated,
+      total: episodes.length,
+      loaded: Math.min(nextOffset, totalCount),
       totalAvailable: totalCount,
-      message: isTruncated
-        ? `Search too broad - showing first ${allResults.length} of ${totalCount} results. Try a more specific search.`
-        : null
+      nextCursor: hasMore ? encodeCursor(nextOffset) : null,
+      filteredOut: allResults.length - filteredResults.length,
+      weakMatchesDropped: scoredResults.length - matchedResults.length,
+      sort,
+      facets,
+      fromCache
     });
 
   } catch (error) {
@@ -0,0 +1,158 @@
+import { NextResponse } from 'next/server';
+import { searchShows, getShowEpisodes, NTS_PAGE_LIMIT } from '../../utils/ntsClient';
+import { readThrough, CACHE_KINDS } from '../../utils/cache';
+import { recordEpisodeGenres } from '../../utils/genreGraph';
+
+/**
+ * API Route: /api/show
+ *
+ * Find NTS shows (residents, guests, one-offs) by name and browse their archives.
+ * Two ways to call it:
+ *
+ * 1. Search:  GET /api/show?q=floating+points
+ *    Returns matching shows: { shows: [{ showPath, alias, name, ... }], total }
+ *
+ * 2. Archive: GET /api/show?path=/shows/floating-points&offset=0&limit=60
+ *    Returns one page of the show's episodes (newest first), in the same
+ *    episode shape as /api/genre so the page can reuse the episode grid
+ */
+
+// Show paths look like "/shows/floating-points"
+const SHOW_PATH_PATTERN = /^\/shows\/([a-z0-9-]+)\/?$/i;
+
+/**
+ * Helper: Map an NTS show search hit to our show format
+ */
+function toShow(result) {
+  const showPath = result.article?.path || null;
+  return {
+    showPath,
+    alias: showPath ? showPath.split('/')[2] : null,
+    name: result.title || result.article?.title,
+    description: result.description || null,
+    location: result.location || null,
+    image: result.image?.medium || null
+  };
+}
+
+/**
+ * Helper: Map an episode from a show archive to the /api/genre episode format
+ *
+ * The show episodes endpoint uses different field names to search results
+ * (name/broadcast/media, and genres/moods with `value` instead of `name`).
+ */
+function toEpisode(episode, showAlias) {
+  return {
+    episodePath: `/shows/${episode.show_alias || showAlias}/episodes/${episode.episode_alias}`,
+    episodeTitle: episode.name,
+    airDate: episode.broadcast || episode.local_date,
+    location: episode.location_long || episode.location_short || null,
+    image: episode.media?.picture_medium || null,
+    genres: (episode.genres || []).map(genre => ({ id: genre.id, name: genre.name || genre.value })),
+    moods: (episode.moods || []).map(mood => ({ id: mood.id, name: mood.name || mood.value }))
+  };
+}
+
+async function handleShowSearch(query) {
+  if (query.trim().length < 2) {
+    return NextResponse.json(
+      { error: 'Search query too short - please enter at least 2 characters' },
+      { status: 400 }
+    );
+  }
+
+  console.log(`Searching NTS shows: "${query}"`);
+
+  const { data, fromCache } = await readThrough(
+    CACHE_KINDS.ntsSearch,
+    `show-${query.trim().toLowerCase()}`,
+    () => searchShows(query.trim())
+  );
+
+  const shows = (data.results || []).map(toShow).filter(show => show.alias);
+
+  if (shows.length === 0) {
+    return NextResponse.json(
+      { error: 'No shows found' },
+      { status: 404 }
+    );
+  }
+
+  return NextResponse.json({
+    shows,
+    total: data.metadata?.resultset?.count ?? shows.length,
+    fromCache
+  });
+}
+
+async function handleShowArchive(showPath, offset, limit) {
+  const match = showPath.match(SHOW_PATH_PATTERN);
+  if (!match) {
+    return NextResponse.json(
+      { error: 'Invalid show path - expected /shows/<show-name>' },
+      { status: 400 }
+    );
+  }
+  const showAlias = match[1].toLowerCase();
+
+  console.log(`Fetching NTS show archive: ${showAlias} (offset ${offset}, limit ${limit})`);
+
+  const { data, fromCache } = await readThrough(
+    CACHE_KINDS.ntsShow,
+    `${showAlias}-${offset}-${limit}`,
+    () => getShowEpisodes(showAlias, { offset, limit })
+  );
+
+  if (!data.results || (data.results.length === 0 && offset === 0)) {
+    return NextResponse.json(
+      { error: 'No episodes found for this show' },
+      { status: 404 }
+    );
+  }
+
+  const episodes = data.results.map(episode => toEpisode(episode, showAlias));
+  recordEpisodeGenres(episodes);
+
+  return NextResponse.json({
+    showPath: `/shows/${showAlias}`,
+    episodes,
+    total: data.metadata?.resultset?.count ?? data.results.length,
+    offset,
+    limit,
+    fromCache
+  });
+}
+
+export async function GET(request) {
+  const { searchParams } = new URL(request.url);
+  const query = searchParams.get('q');
+  const showPath = searchParams.get('path');
+  const offset = parseInt(searchParams.get('offset') || '0', 10);
+  const limit = parseInt(searchParams.get('limit') || String(NTS_PAGE_LIMIT), 10);
+
+  if (!query && !showPath) {
+    return NextResponse.json(
+      { error: 'Missing q or path parameter' },
+      { status: 400 }
+    );
+  }
+
+  if (!Number.isInteger(offset) || offset < 0 || !Number.isInteger(limit) || limit < 1 || limit > NTS_PAGE_LIMIT) {
+    return NextResponse.json(
+      { error: `Invalid offset or limit (limit must be 1-${NTS_PAGE_LIMIT})` },
+      { status: 400 }
+    );
+  }
+
+  try {
+    return showPath
+      ? await handleShowArchive(showPath, offset, limit)
+      : await handleShowSearch(query);
+  } catch (error) {
+    console.error('Error fetching from NTS show API:', error);
+    return NextResponse.json(
+      { error: 'Failed to fetch from NTS API' },
+      { status: 500 }
+    );
+  }
+}
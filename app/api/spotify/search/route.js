@@ -0,0 +1,57 @@
+import { NextResponse } from 'next/server';
+import { searchSpotifyTracks, SpotifyConfigError } from '../../../utils/spotifyClient';
+import { rankTrackCandidates } from '../../../utils/trackMatch';
+
+/**
+ * API Route: /api/spotify/search
+ *
+ * Searches Spotify for the "wrong match?" picker, so you can pick the right
+ * recording when the automatic match in /api/tracklist is wrong:
+ *
+ *   GET /api/spotify/search?artist=Bonobo&title=Kerala
+ *   GET /api/spotify/search?q=kerala+live&artist=Bonobo&title=Kerala
+ *
+ * `q` defaults to "artist title". When artist/title are given, results are
+ * scored against them (see utils/trackMatch.js) and sorted best first.
+ *
+ * Not cached - these are one-off searches typed by hand.
+ */
+
+const PICKER_LIMIT = 10;
+
+export async function GET(request) {
+  const { searchParams } = new URL(request.url);
+  const artist = (searchParams.get('artist') || '').trim();
+  const title = (searchParams.get('title') || '').trim();
+  const query = (searchParams.get('q') || `${artist} ${title}`).trim();
+
+  if (!query) {
+    return NextResponse.json(
+      { error: 'Missing q (or artist/title) parameter' },
+      { status: 400 }
+    );
+  }
+
+  try {
+    const candidates = await searchSpotifyTracks(query, { limit: PICKER_LIMIT });
+    const results = artist || title
+      ? rankTrackCandidates({ artist, title }, candidates)
+      : candidates;
+
+    return NextResponse.json({ query, results });
+
+  } catch (error) {
+    if (error instanceof SpotifyConfigError) {
+      return NextResponse.json(
+        { error: error.message },
+        { status: 503 }
+      );
+    }
+
+    console.error('Error searching Spotify:', error);
+    return NextResponse.json(
+      { error: 'Failed to search Spotify' },
+      { status: 500 }
+    );
+  }
+}
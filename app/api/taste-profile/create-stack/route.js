@@ -1,98 +1,42 @@
 import { NextResponse } from 'next/server';
 import { generateStackName } from '../../../utils/tasteProfileStorage';
+import { searchTracks, searchEpisodesByGenre, getTracklist } from '../../../utils/ntsClient';
+import { readThrough, CACHE_KINDS } from '../../../utils/cache';
+import { getMoodName } from '../../../data/moods';
+import { SpotifyConfigError } from '../../../utils/spotifyClient';
+import { enrichTracksWithSpotify } from '../../../utils/spotifyEnrichment';
+import { buildNtsQuery } from '../../../utils/trackNormalize';
 
 /**
  * API Route: /api/taste-profile/create-stack
  *
  * Creates a "stack" of tracks based on a taste profile:
- * - Takes artist/track combinations and genres
+ * - Takes artist/track combinations, genres and moods
  * - Searches NTS for first 5 episodes per source
  * - Gets tracklists from all episodes
  * - Filters out seen episodes and already-referenced tracks
- * - Enriches tracks with Spotify data for playback
+ * - Enriches tracks with Spotify data for playback, plus links to the
+ *   other providers they're on (Deezer, Bandcamp, ... - see utils/trackLinks.js)
  * - Returns combined stack with metadata
  *
+ * NTS and Spotify lookups are read-through cached, same as the other routes.
+ *
  * This is the magic endpoint that powers the Taste Profile feature!
  */
 
-/**
- * Helper: Get Spotify Access Token
- */
-async function getSpotifyToken() {
-  const clientId = process.env.SPOTIFY_CLIENT_ID;
-  const clientSecret = process.env.SPOTIFY_CLIENT_SECRET;
-
-  const credentials = Buffer.from(`${clientId}:${clientSecret}`).toString('base64');
-
-  const response = await fetch('https://accounts.spotify.com/api/token', {
-    method: 'POST',
-    headers: {
-      'Authorization': `Basic ${credentials}`,
-      'Content-Type': 'application/x-www-form-urlencoded',
-    },
-    body: 'grant_type=client_credentials'
-  });
-
-  if (!response.ok) {
-    throw new Error('Failed to get Spotify token');
-  }
-
-  const data = await response.json();
-  return data.access_token;
-}
-
-/**
- * Helper: Search Spotify for a track
- */
-async function searchSpotifyTrack(artist, title, accessToken) {
-  const query = encodeURIComponent(`${artist} ${title}`);
-  const spotifyUrl = `https://api.spotify.com/v1/search?q=${query}&type=track&limit=1`;
-
-  const response = await fetch(spotifyUrl, {
-    headers: {
-      'Authorization': `Bearer ${accessToken}`
-    }
-  });
-
-  if (!response.ok) {
-    console.error(`Spotify search failed for ${artist} - ${title}`);
-    return null;
-  }
-
-  const data = await response.json();
-
-  if (!data.tracks?.items?.length) {
-    return null;
-  }
-
-  const track = data.tracks.items[0];
-
-  return {
-    id: track.id,
-    uri: track.uri,
-    url: track.external_urls.spotify,
-    name: track.name,
-    artist: track.artists[0]?.name || artist
-  };
-}
-
 /**
  * Helper: Fetch episodes for a track search
  * Reuses the same NTS search logic from /api/nts but limited to 5 episodes
  */
 async function fetchEpisodesForTrack(artist, title, seenEpisodes) {
-  const queryParts = [title, artist].filter(Boolean);
-  const query = encodeURIComponent(queryParts.join(' '));
-
-  // Search NTS for this track
-  const ntsUrl = `https://www.nts.live/api/v2/search?q=${query}&version=2&offset=0&limit=60&types[]=track`;
-  const response = await fetch(ntsUrl);
-
-  if (!response.ok) {
-    throw new Error(`NTS API returned ${response.status}`);
-  }
-
-  const data = await response.json();
+  const query = buildNtsQuery(artist, title);
+
+  // Search NTS for this track (same query and cache entries as /api/nts first page)
+  const { data } = await readThrough(
+    CACHE_KINDS.ntsSearch,
+    `${query.toLowerCase()}-0-60`,
+    () => searchTracks(query)
+  );
   const results = data.results || [];
 
   // Sort by date (newest first) and filter out seen episodes
@@ -118,15 +62,37 @@ async function fetchEpisodesForTrack(artist, title, seenEpisodes) {
  * Uses the genre API endpoint
  */
 async function fetchEpisodesForGenre(genreId, seenEpisodes) {
-  // Use the NTS genre API
-  const ntsUrl = `https://www.nts.live/api/v2/search/episodes?offset=0&limit=60&genres[]=${genreId}`;
-  const response = await fetch(ntsUrl);
+  // Use the NTS genre API (same cache entries as /api/genre first page)
+  const { data } = await readThrough(
+    CACHE_KINDS.ntsGenre,
+    `${genreId}-0-60`,
+    () => searchEpisodesByGenre(genreId)
+  );
+  const results = data.results || [];
 
-  if (!response.ok) {
-    throw new Error(`NTS genre API returned ${response.status}`);
-  }
+  // Filter out seen episodes
+  const unseen = results.filter(episode => !seenEpisodes.includes(episode.article.path));
 
-  const data = await response.json();
+  // Take first 5 unseen episodes
+  return unseen.slice(0, 5).map(episode => ({
+    path: episode.article.path,
+    title: episode.title,
+    airDate: episode.local_date,
+    source: { type: 'genre', genreId }
+  }));
+}
+
+/**
+ * Helper: Fetch episodes for a mood
+ * Same as genres - NTS filters episodes by mood on the same endpoint
+ */
+async function fetchEpisodesForMood(moodId, seenEpisodes) {
+  // Same cache entries as /api/genre?mood=<id> first page
+  const { data } = await readThrough(
+    CACHE_KINDS.ntsGenre,
+    `mood-${moodId}-0-60`,
+    () => searchEpisodesByGenre([], { moodIds: [moodId] })
+  );
   const results = data.results || [];
 
   // Filter out seen episodes
@@ -137,7 +103,7 @@ async function fetchEpisodesForGenre(genreId, seenEpisodes) {
     path: episode.article.path,
     title: episode.title,
     airDate: episode.local_date,
-    source: { type: 'genre', genreId }
+    source: { type: 'mood', moodId }
   }));
 }
 
@@ -146,17 +112,22 @@ async function fetchEpisodesForGenre(genreId, seenEpisodes) {
  * Returns all tracks with their UIDs
  */
 async function fetchTracklist(episodePath) {
-  const ntsUrl = `https://www.nts.live/api/v2${episodePath}/tracklist`;
-  const response = await fetch(ntsUrl);
-
-  if (!response.ok) {
-    console.error(`Failed to fetch tracklist for ${episodePath}`);
+  let tracklist;
+  try {
+    const { data } = await readThrough(
+      CACHE_KINDS.ntsTracklist,
+      episodePath,
+      async () => {
+        const tracks = await getTracklist(episodePath);
+        return tracks.length > 0 ? tracks : null;
+      }
+    );
+    tracklist = data || [];
+  } catch (error) {
+    console.error(`Failed to fetch tracklist for ${episodePath}:`, error.message);
     return [];
   }
 
-  const data = await response.json();
-  const tracklist = data.results || [];
-
   return tracklist.map(track => ({
     uid: track.uid,
     artist: track.artist,
@@ -167,7 +138,8 @@ async function fetchTracklist(episodePath) {
 
 /**
  * Main POST handler
- * Accepts: { tracks: [{artist, title}], genres: [{id, name}], seenEpisodes: [], referencedTracks: [] }
+ * Accepts: { tracks: [{artist, title}], genres: [{id, name}], moods: [{id, name}], seenEpisodes: [], referencedTracks: [] }
+ * (genres and moods may also be plain ID strings)
  */
 export async function POST(request) {
   try {
@@ -175,19 +147,20 @@ export async function POST(request) {
     const {
       tracks = [],
       genres = [],
+      moods = [],
       seenEpisodes = [],
       referencedTracks = []
     } = body;
 
     // Validate input
-    if (tracks.length === 0 && genres.length === 0) {
+    if (tracks.length === 0 && genres.length === 0 && moods.length === 0) {
       return NextResponse.json(
-        { error: 'Must provide at least one track or genre' },
+        { error: 'Must provide at least one track, genre or mood' },
         { status: 400 }
       );
     }
 
-    console.log(`Creating stack from ${tracks.length} tracks and ${genres.length} genres`);
+    console.log(`Creating stack from ${tracks.length} tracks, ${genres.length} genres and ${moods.length} moods`);
 
     // Step 1: Collect episodes from all sources
     const episodePromises = [];
@@ -215,6 +188,18 @@ export async function POST(request) {
       );
     }
 
+    // Fetch episodes for each mood
+    for (const mood of moods) {
+      const moodId = typeof mood === 'string' ? mood : mood.id;
+      episodePromises.push(
+        fetchEpisodesForMood(moodId, seenEpisodes)
+          .catch(err => {
+            console.error(`Failed to fetch episodes for mood:`, moodId, err);
+            return [];
+          })
+      );
+    }
+
     // Wait for all episode fetches to complete
     const episodeResults = await Promise.all(episodePromises);
 
@@ -270,25 +255,12 @@ export async function POST(request) {
     console.log(`Compiled ${allTracks.length} unreferenced tracks (filtered from ${tracklistResults.reduce((sum, r) => sum + r.tracks.length, 0)} total)`);
 
     // Step 3.5: Enrich tracks with Spotify data
+    // (the Spotify client runs a few searches at a time and waits out 429s)
     console.log('Fetching Spotify data for tracks...');
-    const spotifyToken = await getSpotifyToken();
-
-    const tracksWithSpotify = await Promise.all(
-      allTracks.map(async (track) => {
-        const spotifyData = await searchSpotifyTrack(
-          track.artist,
-          track.title,
-          spotifyToken
-        );
-
-        return {
-          ...track,
-          spotify: spotifyData
-        };
-      })
-    );
+    const enrichment = await enrichTracksWithSpotify(allTracks);
+    const tracksWithSpotify = enrichment.tracks;
 
-    console.log(`Enriched ${tracksWithSpotify.length} tracks with Spotify data`);
+    console.log(`Enriched ${tracksWithSpotify.length} tracks with Spotify data (${enrichment.cacheHits} from cache, ${enrichment.rateLimited.length} rate limited)`);
 
     // Step 4: Build stack metadata
     const stackId = Date.now().toString();
@@ -296,9 +268,11 @@ export async function POST(request) {
 
     // Generate descriptive stack name
     const genreNames = genres.map(g => typeof g === 'string' ? g : g.name);
+    const moodNames = moods.map(m => typeof m === 'string' ? getMoodName(m) : m.name);
     const stackName = generateStackName({
       tracks: tracks.map(t => ({ artist: t.artist, title: t.title })),
-      genres: genreNames
+      genres: genreNames,
+      moods: moodNames
     });
 
     // Generate better summary
@@ -312,6 +286,9 @@ export async function POST(request) {
     if (genres.length > 0) {
       summaryParts.push(`${genreNames.slice(0, 2).join(', ')}${genreNames.length > 2 ? ` +${genreNames.length - 2} more` : ''}`);
     }
+    if (moods.length > 0) {
+      summaryParts.push(`a ${moodNames.slice(0, 2).join(' / ').toLowerCase()}${moodNames.length > 2 ? ` +${moodNames.length - 2} more` : ''} mood`);
+    }
 
     const episodeText = uniqueEpisodes.length === 1 ? 'episode' : 'episodes';
     const summary = summaryParts.length > 0
@@ -324,7 +301,8 @@ export async function POST(request) {
       name: stackName,
       sources: {
         tracks: tracks.map(t => ({ artist: t.artist, title: t.title })),
-        genres: genreNames
+        genres: genreNames,
+        moods: moodNames
       },
       tracks: tracksWithSpotify,
       episodesUsed: uniqueEpisodes.map(ep => ({
@@ -338,10 +316,25 @@ export async function POST(request) {
 
     return NextResponse.json({
       success: true,
-      stack
+      stack,
+      // Tracks left without a Spotify match because of rate limiting (not a real miss)
+      spotifyUnresolved: enrichment.rateLimited,
+      cacheStats: {
+        spotifyHits: enrichment.cacheHits,
+        spotifyMisses: tracksWithSpotify.length - enrichment.cacheHits,
+        spotifyRateLimited: enrichment.rateLimited.length
+      }
     });
 
   } catch (error) {
+    if (error instanceof SpotifyConfigError) {
+      console.error('Spotify is misconfigured:', error.message);
+      return NextResponse.json(
+        { error: error.message },
+        { status: 503 }
+      );
+    }
+
     console.error('Error creating stack:', error);
     return NextResponse.json(
       { error: 'Failed to create stack', details: error.message },
@@ -1,95 +1,121 @@
 import { NextResponse } from 'next/server';
+import { getTracklist } from '../../utils/ntsClient';
+import { readThrough, CACHE_KINDS } from '../../utils/cache';
+import { SpotifyConfigError, isSpotifyConfigured } from '../../utils/spotifyClient';
+import { enrichTracksWithSpotify } from '../../utils/spotifyEnrichment';
 
 /**
  * API Route: /api/tracklist
  *
  * This is the meaty route! It does THREE things:
  * 1. Fetches the full tracklist from an NTS episode
- * 2. Gets a Spotify access token (using Client Credentials flow)
+ * 2. Gets a Spotify access token (using Client Credentials flow - see utils/spotifyClient.js)
  * 3. For each track, searches Spotify and gets the embed URL
  *
  * Flow:
  * Client -> /api/tracklist?path=/shows/... -> NTS API -> Spotify Auth -> Spotify Search -> Client
- */
-
-/**
- * Helper function: Get Spotify Access Token
  *
- * Spotify uses OAuth 2.0 Client Credentials flow.
- * Think of it like getting a session token in Rails, but it expires after 1 hour.
+ * The NTS tracklist goes through the file cache and every track through the
+ * Spotify match index (utils/spotifyMatchIndex.js), so re-opening an episode -
+ * or another episode with the same tracks - doesn't hit either API again.
+ * Spotify search queries and index keys are built from cleaned-up
+ * artist/title strings (utils/trackNormalize.js).
+ *
+ * Each track also gets a `links` map: its Spotify match plus whatever the
+ * other providers found (Deezer, YouTube, Bandcamp, SoundCloud - see
+ * utils/trackLinks.js). Those are looked up alongside Spotify (without
+ * holding its matches back) and cached the same way; a provider that's down
+ * just leaves its link null.
+ *
+ * Tracks Spotify kept rate limiting come back with `spotifyRateLimited: true`
+ * (and are listed in `spotifyUnresolved`) instead of looking "not on Spotify".
+ *
+ * Streaming: /api/tracklist?path=...&stream=1 answers with NDJSON (one JSON
+ * object per line) so the page can show the tracks before Spotify is done:
  *
- * How it works:
- * 1. Base64 encode "client_id:client_secret"
- * 2. POST to Spotify's token endpoint
- * 3. Get back an access token
+ *   {"type":"tracklist","episodePath":...,"trackCount":12,"tracks":[...]}   NTS tracks, `spotifyPending: true`
+ *   {"type":"match","index":3,"track":{...}}                                 one per track, as each Spotify match resolves
+ *   {"type":"links","index":3,"links":{"deezer":{...},...}}                  one per track, as the other providers answer
+ *   {"type":"done","spotifyUnresolved":[...],"cacheStats":{...}}
+ *
+ * A track's "match" and "links" lines can come in either order - the
+ * "match" track's `links` only has Spotify's, merge the rest in. *
+ * If Spotify fails part-way (e.g. it rejects our credentials) the last line
+ * is {"type":"error","error":"..."} instead of "done". Errors before the
+ * tracklist is sent (missing path, no tracks, NTS down) are plain JSON with
+ * a status code, same as without streaming.
  */
-async function getSpotifyToken() {
-  const clientId = process.env.SPOTIFY_CLIENT_ID;
-  const clientSecret = process.env.SPOTIFY_CLIENT_SECRET;
-
-  // Base64 encode the credentials
-  // In Node.js, we use Buffer.from().toString('base64')
-  const credentials = Buffer.from(`${clientId}:${clientSecret}`).toString('base64');
-
-  const response = await fetch('https://accounts.spotify.com/api/token', {
-    method: 'POST',
-    headers: {
-      'Authorization': `Basic ${credentials}`,
-      'Content-Type': 'application/x-www-form-urlencoded',
-    },
-    body: 'grant_type=client_credentials'
-  });
-
-  if (!response.ok) {
-    throw new Error('Failed to get Spotify token');
-  }
-
-  const data = await response.json();
-  return data.access_token; // This is what we'll use for API calls
-}
 
 /**
- * Helper function: Search Spotify for a track
- *
- * Takes artist + title, searches Spotify, returns the first match.
- * Returns null if not found (we'll handle this gracefully on the frontend).
+ * Stream the tracklist, then each Spotify match and set of links as it resolves (NDJSON)
  */
-async function searchSpotifyTrack(artist, title, accessToken) {
-  // Build search query - Spotify search is pretty forgiving!
-  const query = encodeURIComponent(`${artist} ${title}`);
+function streamTracklist(episodePath, tracks, tracklistFromCache) {
+  const encoder = new TextEncoder();
+  // Set when the client goes away (e.g. the user opened another episode),
+  // or once the stream is closed
+  let cancelled = false;
+
+  const body = new ReadableStream({
+    async start(controller) {
+      const send = (event) => {
+        if (!cancelled) {
+          controller.enqueue(encoder.encode(`${JSON.stringify(event)}\n`));
+        }
+      };
+
+      send({
+        type: 'tracklist',
+        episodePath,
+        trackCount: tracks.length,
+        tracks: tracks.map(track => ({ ...track, spotify: null, spotifyPending: true }))
+      });
+
+      try {
+        const enrichment = await enrichTracksWithSpotify(tracks, {
+          onMatch: (index, track) => send({ type: 'match', index, track }),
+          onLinks: (index, links) => send({ type: 'links', index, links })
+        });
+
+        send({
+          type: 'done',
+          spotifyUnresolved: enrichment.rateLimited,
+          cacheStats: {
+            tracklist: tracklistFromCache,
+            spotifyHits: enrichment.cacheHits,
+            spotifyMisses: tracks.length - enrichment.cacheHits,
+            spotifyRateLimited: enrichment.rateLimited.length
+          }
+        });
+      } catch (error) {
+        // The 200 is already sent - report the error in the stream instead
+        console.error('Error streaming Spotify matches:', error);
+        send({
+          type: 'error',
+          error: error instanceof SpotifyConfigError ? error.message : 'Failed to match tracks on Spotify'
+        });
+      }
+
+      if (!cancelled) {
+        // Link lookups still running after an error have nowhere to go
+        cancelled = true;
+        controller.close();
+      }
+    },
 
-  // Spotify Search API - we're searching for tracks specifically
-  const spotifyUrl = `https://api.spotify.com/v1/search?q=${query}&type=track&limit=1`;
+    // Lookups already started still finish and land in the match index
+    cancel() {
+      cancelled = true;
+    }
+  });
 
-  const response = await fetch(spotifyUrl, {
+  return new Response(body, {
     headers: {
-      'Authorization': `Bearer ${accessToken}` // Here's where we use that token!
+      'Content-Type': 'application/x-ndjson; charset=utf-8',
+      'Cache-Control': 'no-cache',
+      // Don't let proxies (nginx) hold the lines back
+      'X-Accel-Buffering': 'no'
     }
   });
-
-  if (!response.ok) {
-    console.error(`Spotify search failed for ${artist} - ${title}`);
-    return null;
-  }
-
-  const data = await response.json();
-
-  // Check if we got any results
-  if (!data.tracks?.items?.length) {
-    return null;
-  }
-
-  const track = data.tracks.items[0];
-
-  // Return the Spotify track ID - we'll use this to build embed URLs
-  // Spotify embed format: https://open.spotify.com/embed/track/{id}
-  return {
-    id: track.id,
-    uri: track.uri,
-    url: track.external_urls.spotify,
-    name: track.name,
-    artist: track.artists[0]?.name || artist
-  };
 }
 
 /**
@@ -98,6 +124,7 @@ async function searchSpotifyTrack(artist, title, accessToken) {
 export async function GET(request) {
   const { searchParams } = new URL(request.url);
   const episodePath = searchParams.get('path');
+  const stream = searchParams.get('stream') === '1';
 
   if (!episodePath) {
     return NextResponse.json(
@@ -107,73 +134,72 @@ export async function GET(request) {
   }
 
   try {
-    // Step 1: Get Spotify access token first
-    // We do this ONCE at the start, then reuse it for all track searches
-    console.log('Getting Spotify access token...');
-    const spotifyToken = await getSpotifyToken();
-
-    // Step 2: Fetch the NTS tracklist
+    // Step 1: Fetch the NTS tracklist (cached - tracklists almost never change)
     // The episodePath looks like: /shows/andre-power/episodes/getting-lost-...
-    // We build the API URL from it
-    const ntsTracklistUrl = `https://www.nts.live/api/v2${episodePath}/tracklist`;
-
-    console.log('Fetching tracklist from:', ntsTracklistUrl);
-
-    const ntsResponse = await fetch(ntsTracklistUrl);
-
-    if (!ntsResponse.ok) {
-      throw new Error(`NTS tracklist API returned ${ntsResponse.status}`);
-    }
-
-    const tracklistData = await ntsResponse.json();
-
-    // NTS API returns an object with a 'results' array containing the tracks
-    // We need to extract the array from the response
-    console.log('NTS API response structure:', JSON.stringify(tracklistData, null, 2));
+    console.log('Fetching tracklist for:', episodePath);
 
-    const tracklist = tracklistData.results || tracklistData;
+    const tracklistResult = await readThrough(
+      CACHE_KINDS.ntsTracklist,
+      episodePath,
+      // Don't cache empty tracklists - hosts sometimes add them after broadcast
+      async () => {
+        const tracks = await getTracklist(episodePath);
+        return tracks.length > 0 ? tracks : null;
+      }
+    );
+    const tracklist = tracklistResult.data || [];
 
-    if (!Array.isArray(tracklist) || tracklist.length === 0) {
-      console.error('Invalid tracklist format:', typeof tracklist);
+    if (tracklist.length === 0) {
       return NextResponse.json(
         { error: 'No tracks found in this episode' },
         { status: 404 }
       );
     }
 
-    // Step 3: For each track in the NTS tracklist, search Spotify
-    // We use Promise.all to do these searches in parallel (faster!)
-    // This is like running multiple background jobs at once in Rails
+    // Only the NTS fields - combined with the Spotify data (null if not found)
+    const ntsTracks = tracklist.map(track => ({ artist: track.artist, title: track.title, uid: track.uid }));
+
+    // Step 2: For each track in the NTS tracklist, search Spotify
+    // Searches are started together but the Spotify client only runs a few at
+    // a time (and backs off when Spotify says 429) - see utils/spotifyClient.js
     console.log(`Searching Spotify for ${tracklist.length} tracks...`);
 
-    const tracksWithSpotify = await Promise.all(
-      tracklist.map(async (track) => {
-        const spotifyData = await searchSpotifyTrack(
-          track.artist,
-          track.title,
-          spotifyToken
-        );
-
-        // Return combined NTS + Spotify data
-        return {
-          // Original NTS data
-          artist: track.artist,
-          title: track.title,
-          uid: track.uid,
-          // Spotify data (will be null if not found)
-          spotify: spotifyData
-        };
-      })
-    );
+    if (stream) {
+      // Catch missing credentials while we can still answer with a status code
+      if (!isSpotifyConfigured()) {
+        throw new SpotifyConfigError('Spotify is not configured - set SPOTIFY_CLIENT_ID and SPOTIFY_CLIENT_SECRET');
+      }
+      return streamTracklist(episodePath, ntsTracks, tracklistResult.fromCache);
+    }
 
-    // Step 4: Return the enriched tracklist
+    const enrichment = await enrichTracksWithSpotify(ntsTracks);
+    const tracksWithSpotify = enrichment.tracks;
+    const spotifyCacheHits = enrichment.cacheHits;
+
+    // Step 3: Return the enriched tracklist
     return NextResponse.json({
       episodePath,
       trackCount: tracksWithSpotify.length,
-      tracks: tracksWithSpotify
+      tracks: tracksWithSpotify,
+      spotifyUnresolved: enrichment.rateLimited,
+      fromCache: tracklistResult.fromCache && spotifyCacheHits === tracksWithSpotify.length,
+      cacheStats: {
+        tracklist: tracklistResult.fromCache,
+        spotifyHits: spotifyCacheHits,
+        spotifyMisses: tracksWithSpotify.length - spotifyCacheHits,
+        spotifyRateLimited: enrichment.rateLimited.length
+      }
     });
 
   } catch (error) {
+    if (error instanceof SpotifyConfigError) {
+      console.error('Spotify is misconfigured:', error.message);
+      return NextResponse.json(
+        { error: error.message },
+        { status: 503 }
+      );
+    }
+
     console.error('Error in tracklist API:', error);
     return NextResponse.json(
       { error: 'Failed to fetch tracklist' },
@@ -0,0 +1,144 @@
+/**
+ * EpisodeHeader Component
+ *
+ * Shows the details of an NTS episode above its tracklist: artwork, title,
+ * broadcast time, hosts, description, genres/moods and an audio player
+ * (Mixcloud or SoundCloud) when NTS has one.
+ *
+ * Props:
+ * - episode: Normalized episode from /api/episode
+ */
+'use client';
+
+import { useState } from 'react';
+import Image from 'next/image';
+
+// Prefer a large square image, but take whatever NTS has
+const IMAGE_SIZE_PREFERENCE = ['medium_large', 'large', 'medium', 'small', 'thumb'];
+
+function formatBroadcast(broadcast) {
+  if (!broadcast) return null;
+  const date = new Date(broadcast);
+  if (isNaN(date)) return broadcast;
+  return date.toLocaleString(undefined, {
+    weekday: 'short',
+    day: 'numeric',
+    month: 'short',
+    year: 'numeric',
+    hour: '2-digit',
+    minute: '2-digit'
+  });
+}
+
+export default function EpisodeHeader({ episode }) {
+  const [expanded, setExpanded] = useState(false);
+
+  const imageSize = IMAGE_SIZE_PREFERENCE.find(size => episode.images[size]);
+  const imageUrl = imageSize ? episode.images[imageSize] : null;
+  const player = episode.audioSources.find(source => source.embedUrl);
+
+  return (
+    <div className="p-6 border-b border-zinc-800">
+      <div className="flex gap-5">
+        {imageUrl && (
+          <Image
+            src={imageUrl}
+            alt={episode.title}
+            width={112}
+            height={112}
+            className="w-28 h-28 rounded-lg object-cover flex-shrink-0"
+          />
+        )}
+        <div className="flex-1 min-w-0">
+          <div className="text-xs font-mono text-gray-500 mb-1">
+            {formatBroadcast(episode.broadcast)}
+            {episode.location && ` · ${episode.location}`}
+          </div>
+          <a
+            href={`https://www.nts.live${episode.episodePath}`}
+            target="_blank"
+            rel="noopener noreferrer"
+            className="text-xl font-bold hover:text-blue-400 transition-colors"
+          >
+            {episode.title}
+          </a>
+          {episode.hosts.length > 0 && (
+            <p className="text-sm text-gray-400 mt-1">
+              Hosted by {episode.hosts.join(', ')}
+            </p>
+          )}
+
+          {/* Genres and moods */}
+          {(episode.genres.length > 0 || episode.moods.length > 0) && (
+            <div className="flex flex-wrap gap-1 mt-3">
+              {episode.genres.map((genre) => (
+                <span
+                  key={genre.id}
+                  className="text-xs px-2 py-0.5 rounded-full bg-purple-900/50 border border-purple-700/50 text-purple-300"
+                >
+                  {genre.name}
+                </span>
+              ))}
+              {episode.moods.map((mood) => (
+                <span
+                  key={mood.id}
+                  className="text-xs px-2 py-0.5 rounded-full bg-amber-900/50 border border-amber-700/50 text-amber-300"
+                >
+                  {mood.name}
+                </span>
+              ))}
+            </div>
+          )}
+        </div>
+      </div>
+
+      {/* Description - clamped until expanded */}
+      {episode.description && (
+        <div className="mt-4">
+          <p className={`text-sm text-gray-300 whitespace-pre-line ${expanded ? '' : 'line-clamp-3'}`}>
+            {episode.description}
+          </p>
+          {episode.description.length > 240 && (
+            <button
+              onClick={() => setExpanded(!expanded)}
+              className="text-xs text-gray-500 hover:text-white transition-colors mt-1"
+            >
+              {expanded ? 'Show less' : 'Show more'}
+            </button>
+          )}
+        </div>
+      )}
+
+      {/* Audio - embed the first playable source, link the rest */}
+      {episode.audioSources.length > 0 && (
+        <div className="mt-4">
+          {player && (
+            <iframe
+              src={player.embedUrl}
+              width="100%"
+              height={player.provider === 'soundcloud' ? 120 : 60}
+              frameBorder="0"
+              allow="autoplay"
+              loading="lazy"
+              title={`${episode.title} on ${player.provider}`}
+              className="rounded-lg"
+            />
+          )}
+          <div className="flex flex-wrap gap-3 mt-2">
+            {episode.audioSources.map((source) => (
+              <a
+                key={source.url}
+                href={source.url}
+                target="_blank"
+                rel="noopener noreferrer"
+                className="text-xs text-gray-400 hover:text-white transition-colors capitalize"
+              >
+                Listen on {source.provider} ↗
+              </a>
+            ))}
+          </div>
+        </div>
+      )}
+    </div>
+  );
+}
@@ -8,6 +8,8 @@
 
 import { useState } from 'react';
 import { genreCategories, genreColors, getGenreApiId } from '../data/genres';
+import { searchGenres } from '../utils/genreSearch';
+import MoodPicker from './MoodPicker';
 
 // Helper to get genre name from ID
 function getGenreName(genreId) {
@@ -27,6 +29,8 @@ export default function HomeTab({
   setHomeTracks,
   selectedGenres,
   setSelectedGenres,
+  selectedMoods,
+  setSelectedMoods,
   currentStack,
   setCurrentStack,
   stackHistory,
@@ -82,24 +86,16 @@ export default function HomeTab({
     }
   };
 
-  const allGenres = genreCategories.flatMap(category =>
-    category.subgenres.map(subgenre => ({
-      categoryId: category.id,
-      categoryName: category.name,
-      subgenreId: subgenre.id,
-      subgenreName: subgenre.name,
-      fullApiId: getGenreApiId(category.id, subgenre.id),
-      displayName: `${subgenre.name} (${category.name})`,
-      color: category.color
-    }))
-  );
+  const toggleMood = (mood) => {
+    if (selectedMoods.find(m => m.id === mood.id)) {
+      setSelectedMoods(selectedMoods.filter(m => m.id !== mood.id));
+    } else {
+      setSelectedMoods([...selectedMoods, mood]);
+    }
+  };
 
-  const filteredGenres = genreSearchQuery.trim() === ''
-    ? []
-    : allGenres.filter(genre =>
-        genre.subgenreName.toLowerCase().includes(genreSearchQuery.toLowerCase()) ||
-        genre.categoryName.toLowerCase().includes(genreSearchQuery.toLowerCase())
-      ).slice(0, 10);
+  // Ranked fuzzy search (accents, typos, aliases like "dnb")
+  const filteredGenres = searchGenres(genreSearchQuery);
 
   const displayStack = viewingHistoryStack || currentStack;
 
@@ -273,6 +269,13 @@ export default function HomeTab({
           )}
         </div>
 
+        {/* Mood Selection */}
+        <div className="bg-zinc-900 border border-zinc-800 rounded-lg p-6">
+          <h2 className="text-xl font-semibold mb-1">Moods</h2>
+          <div className="text-sm text-gray-400 mb-4">Seed the stack with a vibe instead of (or as well as) genres</div>
+          <MoodPicker selectedMoods={selectedMoods} onToggle={toggleMood} />
+        </div>
+
         {/* Create Stack Button */}
         <button
           onClick={handleCreateStack}
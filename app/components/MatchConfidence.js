@@ -0,0 +1,34 @@
+/**
+ * MatchConfidence Component
+ *
+ * A small warning badge for Spotify matches we aren't sure about
+ * (see utils/spotifyMatch.js). Renders nothing for confident matches.
+ * Hovering shows what Spotify matched, so you can tell at a glance
+ * whether the player is the right track.
+ *
+ * Props:
+ * - spotify: A track's `spotify` field (with confidence and alternates)
+ */
+'use client';
+
+import { isLowConfidenceMatch } from '../utils/spotifyMatch';
+
+export default function MatchConfidence({ spotify }) {
+  if (!isLowConfidenceMatch(spotify)) return null;
+
+  const percent = Math.round(spotify.confidence * 100);
+  const details = [
+    `Spotify matched "${spotify.name}" by ${spotify.artist} (${percent}% confidence)`,
+    ...(spotify.alternates || []).map(alternate =>
+      `Also found: "${alternate.name}" by ${alternate.artist} (${Math.round(alternate.confidence * 100)}%)`)
+  ].join('\n');
+
+  return (
+    <span
+      className="inline-block px-2 py-0.5 bg-amber-900/30 border border-amber-700/50 rounded text-xs text-amber-400 font-medium whitespace-nowrap"
+      title={details}
+    >
+      UNSURE MATCH
+    </span>
+  );
+}
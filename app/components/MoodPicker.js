@@ -0,0 +1,38 @@
+/**
+ * MoodPicker Component
+ *
+ * The NTS moods as a row of toggle chips. Used to browse by mood and to
+ * seed taste profile stacks with moods ("Late Night" + "Deep") instead of
+ * picking a pile of genres.
+ *
+ * Props:
+ * - selectedMoods: [{ id, name }] currently selected
+ * - onToggle: Called with ({ id, name }) when a mood is clicked
+ * - disabled: Disable the chips (e.g. while loading)
+ */
+'use client';
+
+import { moods } from '../data/moods';
+
+export default function MoodPicker({ selectedMoods, onToggle, disabled = false }) {
+  return (
+    <div className="flex flex-wrap gap-2">
+      {moods.map((mood) => {
+        const isSelected = selectedMoods.some(selected => selected.id === mood.id);
+        return (
+          <button
+            key={mood.id}
+            type="button"
+            onClick={() => onToggle({ id: mood.id, name: mood.name })}
+            disabled={disabled}
+            className={`px-4 py-2 rounded-full text-sm font-medium border transition-all disabled:cursor-not-allowed ${
+              isSelected ? 'bg-white text-black border-white' : mood.color
+            }`}
+          >
+            {mood.name}
+          </button>
+        );
+      })}
+    </div>
+  );
+}
@@ -0,0 +1,67 @@
+/**
+ * RelatedGenres Component
+ *
+ * A row of genres that often share episodes with the most recently selected
+ * genre (from /api/genre/related). Clicking one adds it to the selection.
+ * Renders nothing until there's something to suggest.
+ *
+ * Props:
+ * - genreIds: Selected genre API IDs (suggestions are for the last one)
+ * - onSelect: Called with ({ id, name }) when a related genre is clicked
+ * - disabled: Disable the buttons (e.g. while loading)
+ */
+'use client';
+
+import { useState, useEffect } from 'react';
+
+const RELATED_LIMIT = 8;
+// Ask for more than we show, so genres already picked can be skipped
+// without refetching every time the selection changes
+const FETCH_LIMIT = 20;
+
+export default function RelatedGenres({ genreIds, onSelect, disabled = false }) {
+  const [relatedGenres, setRelatedGenres] = useState(null); // { genreId, related }
+  const genreId = genreIds.length > 0 ? genreIds[genreIds.length - 1] : null;
+
+  useEffect(() => {
+    if (!genreId) return;
+    let cancelled = false;
+
+    fetch(`/api/genre/related?id=${encodeURIComponent(genreId)}&limit=${FETCH_LIMIT}`)
+      .then(response => (response.ok ? response.json() : null))
+      .then(data => {
+        if (!cancelled && data) {
+          setRelatedGenres({ genreId, related: data.related });
+        }
+      })
+      .catch(error => console.error('Error loading related genres:', error));
+
+    return () => {
+      cancelled = true;
+    };
+  }, [genreId]);
+
+  // Ignore suggestions left over from the previous genre, and skip ones already picked
+  const suggestions = relatedGenres?.genreId === genreId
+    ? relatedGenres.related.filter(genre => !genreIds.includes(genre.id)).slice(0, RELATED_LIMIT)
+    : [];
+
+  if (suggestions.length === 0) return null;
+
+  return (
+    <div className="flex flex-wrap items-center gap-2">
+      <span className="text-xs font-semibold text-gray-500 mr-1">RELATED</span>
+      {suggestions.map((genre) => (
+        <button
+          key={genre.id}
+          onClick={() => onSelect({ id: genre.id, name: genre.name })}
+          disabled={disabled}
+          className="px-3 py-1 rounded-full text-xs font-medium border border-zinc-700 text-gray-300 hover:bg-zinc-800 disabled:cursor-not-allowed transition-colors"
+          title={`Shares ${genre.sharedEpisodes} episodes we've seen`}
+        >
+          + {genre.name}
+        </button>
+      ))}
+    </div>
+  );
+}
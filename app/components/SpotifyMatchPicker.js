@@ -0,0 +1,182 @@
+/**
+ * SpotifyMatchPicker Component
+ *
+ * A "wrong match?" button that opens a small Spotify search, for when the
+ * automatic match is the wrong recording (or missing). The chosen match is
+ * saved per artist + title (see utils/spotifyOverrides.js), so it's used
+ * wherever the track shows up again.
+ *
+ * The dialog starts with the current match and its alternates, then searches
+ * /api/spotify/search for artist + title; you can edit the query and search again.
+ *
+ * Props:
+ * - artist: Artist as NTS lists it
+ * - title: Title as NTS lists it
+ * - spotify: The track's current `spotify` field (may be null)
+ * - overridden: Whether `spotify` already comes from a saved override
+ * - onChange: Called after an override is saved or cleared
+ */
+'use client';
+
+import { useState } from 'react';
+import { setSpotifyOverride, clearSpotifyOverride } from '../utils/spotifyOverrides';
+
+export default function SpotifyMatchPicker({ artist, title, spotify, overridden, onChange }) {
+  const [isOpen, setIsOpen] = useState(false);
+  const [query, setQuery] = useState('');
+  const [results, setResults] = useState([]);
+  const [isSearching, setIsSearching] = useState(false);
+  const [error, setError] = useState(null);
+
+  const search = async (searchQuery) => {
+    setIsSearching(true);
+    setError(null);
+
+    try {
+      const params = new URLSearchParams({ q: searchQuery, artist: artist || '', title: title || '' });
+      const response = await fetch(`/api/spotify/search?${params}`);
+      const data = await response.json();
+      if (!response.ok) {
+        throw new Error(data.error || 'Spotify search failed');
+      }
+      setResults(data.results);
+    } catch (searchError) {
+      console.error('Error searching Spotify:', searchError);
+      setError(searchError.message);
+    } finally {
+      setIsSearching(false);
+    }
+  };
+
+  const open = () => {
+    const initialQuery = `${artist || ''} ${title || ''}`.trim();
+    // Show what we already know while the search runs
+    setResults(spotify ? [spotify, ...(spotify.alternates || [])] : []);
+    setQuery(initialQuery);
+    setIsOpen(true);
+    search(initialQuery);
+  };
+
+  const choose = (match) => {
+    setSpotifyOverride(artist, title, match);
+    setIsOpen(false);
+    onChange?.();
+  };
+
+  const reset = () => {
+    clearSpotifyOverride(artist, title);
+    setIsOpen(false);
+    onChange?.();
+  };
+
+  return (
+    <>
+      <button
+        onClick={(e) => {
+          e.stopPropagation();
+          open();
+        }}
+        className="flex-shrink-0 px-2 py-0.5 rounded text-xs text-gray-500 hover:text-white hover:bg-white/10 transition-colors whitespace-nowrap"
+        title="Pick the right Spotify track"
+      >
+        {spotify ? 'Wrong match?' : 'Find on Spotify'}
+      </button>
+
+      {isOpen && (
+        <div
+          className="fixed inset-0 z-50 flex items-center justify-center bg-black/70 p-4"
+          onClick={() => setIsOpen(false)}
+        >
+          <div
+            className="w-full max-w-lg bg-zinc-900 border border-zinc-700 rounded-lg overflow-hidden"
+            onClick={(e) => e.stopPropagation()}
+          >
+            <div className="p-4 border-b border-zinc-800">
+              <div className="text-xs text-gray-500 font-medium">PICK THE SPOTIFY TRACK FOR</div>
+              <div className="font-semibold truncate">{title}</div>
+              <div className="text-sm text-gray-400 truncate">{artist}</div>
+
+              <form
+                className="mt-3 flex gap-2"
+                onSubmit={(e) => {
+                  e.preventDefault();
+                  if (query.trim()) search(query.trim());
+                }}
+              >
+                <input
+                  type="text"
+                  value={query}
+                  onChange={(e) => setQuery(e.target.value)}
+                  className="flex-1 px-3 py-1.5 bg-zinc-800 border border-zinc-700 rounded text-sm focus:outline-none focus:border-zinc-500"
+                  placeholder="Search Spotify..."
+                />
+                <button
+                  type="submit"
+                  disabled={isSearching}
+                  className="px-3 py-1.5 bg-white text-black rounded text-sm font-medium hover:bg-gray-200 disabled:opacity-50"
+                >
+                  {isSearching ? 'Searching...' : 'Search'}
+                </button>
+              </form>
+            </div>
+
+            <div className="max-h-80 overflow-y-auto divide-y divide-zinc-800">
+              {error && (
+                <div className="p-4 text-sm text-red-400">{error}</div>
+              )}
+              {!isSearching && !error && results.length === 0 && (
+                <div className="p-4 text-sm text-gray-500">No Spotify tracks found</div>
+              )}
+              {results.map((result) => (
+                <div key={result.id} className="p-3 flex items-center gap-3">
+                  <div className="flex-1 min-w-0">
+                    <div className="text-sm font-medium truncate">{result.name}</div>
+                    <div className="text-xs text-gray-400 truncate">
+                      {(result.artists || [result.artist]).join(', ')}
+                      {result.album && ` · ${result.album}`}
+                    </div>
+                  </div>
+                  {spotify?.id === result.id ? (
+                    <span className="text-xs text-green-500 whitespace-nowrap">Current</span>
+                  ) : (
+                    <button
+                      onClick={() => choose(result)}
+                      className="px-2 py-1 border border-zinc-700 rounded text-xs hover:bg-white/10 whitespace-nowrap"
+                    >
+                      Use this
+                    </button>
+                  )}
+                </div>
+              ))}
+            </div>
+
+            <div className="p-3 border-t border-zinc-800 flex items-center justify-between gap-2">
+              <div className="flex gap-2">
+                <button
+                  onClick={() => choose(null)}
+                  className="px-2 py-1 text-xs text-gray-400 hover:text-white"
+                >
+                  Not on Spotify
+                </button>
+                {overridden && (
+                  <button
+                    onClick={reset}
+                    className="px-2 py-1 text-xs text-gray-400 hover:text-white"
+                  >
+                    Reset to automatic
+                  </button>
+                )}
+              </div>
+              <button
+                onClick={() => setIsOpen(false)}
+                className="px-2 py-1 text-xs text-gray-400 hover:text-white"
+              >
+                Cancel
+              </button>
+            </div>
+          </div>
+        </div>
+      )}
+    </>
+  );
+}
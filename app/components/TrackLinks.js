@@ -0,0 +1,42 @@
+/**
+ * TrackLinks Component
+ *
+ * Small "listen on" links to the other providers a track was found on
+ * (Deezer, YouTube, Bandcamp, SoundCloud - see utils/trackLinks.js).
+ * Spotify isn't repeated here, it has its own button and player.
+ * Renders nothing if the track wasn't found anywhere else.
+ *
+ * Props:
+ * - links: A track's `links` map (provider id -> link or null)
+ */
+'use client';
+
+// In the order they're shown
+const PROVIDER_LABELS = {
+  deezer: 'Deezer',
+  youtube: 'YouTube',
+  bandcamp: 'Bandcamp',
+  soundcloud: 'SoundCloud'
+};
+
+export default function TrackLinks({ links }) {
+  const found = Object.keys(PROVIDER_LABELS).filter(id => links?.[id]?.url);
+  if (found.length === 0) return null;
+
+  return (
+    <div className="flex items-center gap-1 flex-wrap mt-1">
+      {found.map(id => (
+        <a
+          key={id}
+          href={links[id].url}
+          target="_blank"
+          rel="noopener noreferrer"
+          className="px-2 py-0.5 border border-zinc-700 rounded text-xs text-gray-400 hover:text-white hover:border-zinc-500 transition-colors whitespace-nowrap"
+          title={`"${links[id].name}" by ${links[id].artist} on ${PROVIDER_LABELS[id]}`}
+        >
+          {PROVIDER_LABELS[id]}
+        </a>
+      ))}
+    </div>
+  );
+}
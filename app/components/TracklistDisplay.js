@@ -1,19 +1,58 @@
 /**
  * TracklistDisplay Component
  *
- * This component displays the full NTS tracklist with Spotify embeds.
+ * This component displays the full NTS tracklist with Spotify embeds,
+ * below a header with the episode details (loaded from /api/episode).
  *
  * Now a CLIENT COMPONENT to track played tracks in localStorage
+ *
+ * Spotify matches you've corrected with "wrong match?" (SpotifyMatchPicker)
+ * replace the automatic ones from /api/tracklist.
+ *
+ * The tracklist may still be streaming in: tracks with `spotifyPending`
+ * haven't been matched yet, and get their player when the match arrives.
+ *
+ * Links to the other providers a track was found on (Deezer, Bandcamp, ...)
+ * are shown under it (TrackLinks).
  */
 'use client';
 
-import { useState } from 'react';
+import { useState, useEffect } from 'react';
 import SpotifyEmbed from './SpotifyEmbed';
+import EpisodeHeader from './EpisodeHeader';
+import MatchConfidence from './MatchConfidence';
+import SpotifyMatchPicker from './SpotifyMatchPicker';
+import TrackLinks from './TrackLinks';
+import { getSpotifyOverrides, withSpotifyOverride } from '../utils/spotifyOverrides';
 import { markTrackPlayed, isTrackPlayed, likeTrack, unlikeTrack, isTrackLiked } from '../utils/localStorage';
 
 export default function TracklistDisplay({ tracklist, episodePath }) {
   const [playedTracks, setPlayedTracks] = useState(new Set());
   const [likedTracks, setLikedTracks] = useState({});
+  const [episodeDetails, setEpisodeDetails] = useState(null); // { path, episode }
+  const [, setOverrideVersion] = useState(0); // bumped to re-read overrides after a change
+
+  // Load the episode details for the header (the tracklist shows without them if this fails)
+  useEffect(() => {
+    if (!episodePath) return;
+    let cancelled = false;
+
+    fetch(`/api/episode?path=${encodeURIComponent(episodePath)}`)
+      .then(response => (response.ok ? response.json() : null))
+      .then(data => {
+        if (!cancelled && data) {
+          setEpisodeDetails({ path: episodePath, episode: data.episode });
+        }
+      })
+      .catch(error => console.error('Error loading episode details:', error));
+
+    return () => {
+      cancelled = true;
+    };
+  }, [episodePath]);
+
+  // Ignore details left over from the previous episode while the next ones load
+  const episode = episodeDetails?.path === episodePath ? episodeDetails.episode : null;
 
   const handleSpotifyClick = (trackIndex) => {
     markTrackPlayed(episodePath, trackIndex);
@@ -46,8 +85,17 @@ export default function TracklistDisplay({ tracklist, episodePath }) {
     }
     return isTrackLiked(spotifyId);
   };
+
+  // Apply saved "wrong match?" corrections (re-read on every render, they're tiny)
+  const overrides = getSpotifyOverrides();
+  const tracks = tracklist.tracks.map(track => withSpotifyOverride(track, overrides));
+  const pendingCount = tracks.filter(track => track.spotifyPending && !track.spotifyOverridden).length;
+
   return (
     <div className="bg-zinc-900 border border-zinc-800 rounded-lg overflow-hidden">
+      {/* Episode Header */}
+      {episode && <EpisodeHeader episode={episode} />}
+
       {/* Playlist Header */}
       <div className="p-6 border-b border-zinc-800">
         <h2 className="text-2xl font-bold">
@@ -55,13 +103,23 @@ export default function TracklistDisplay({ tracklist, episodePath }) {
         </h2>
         <p className="text-gray-400 text-sm mt-1">
           {tracklist.trackCount} tracks
+          {pendingCount > 0 && (
+            <span className="text-gray-500"> · finding {pendingCount} on Spotify...</span>
+          )}
         </p>
+        {tracklist.spotifyUnresolved?.length > 0 && (
+          <p className="text-amber-500 text-sm mt-1">
+            Spotify was rate limiting us, so {tracklist.spotifyUnresolved.length} track{tracklist.spotifyUnresolved.length !== 1 ? 's' : ''} couldn&apos;t be matched - reload the tracklist to try again.
+          </p>
+        )}
       </div>
 
       {/* Track List - Spotify playlist style */}
       <div className="divide-y divide-zinc-800">
-        {tracklist.tracks.map((track, index) => {
+        {tracks.map((track, index) => {
           const played = isPlayed(index);
+          // Still waiting for the streamed Spotify match (a saved override doesn't need one)
+          const pending = track.spotifyPending && !track.spotifyOverridden;
           return (
           <div
             key={track.uid || index}
@@ -77,8 +135,19 @@ export default function TracklistDisplay({ tracklist, episodePath }) {
                   {track.title}
                 </h3>
                 <p className="text-gray-400 text-sm truncate">{track.artist}</p>
+                <TrackLinks links={track.links} />
               </div>
               <div className="flex items-center gap-2">
+                <MatchConfidence spotify={track.spotify} />
+                {!pending && (
+                  <SpotifyMatchPicker
+                    artist={track.artist}
+                    title={track.title}
+                    spotify={track.spotify}
+                    overridden={track.spotifyOverridden}
+                    onChange={() => setOverrideVersion(version => version + 1)}
+                  />
+                )}
                 {/* Like button */}
                 {track.spotify && (
                   <button
@@ -141,6 +210,14 @@ export default function TracklistDisplay({ tracklist, episodePath }) {
                       <path d="M12 0C5.4 0 0 5.4 0 12s5.4 12 12 12 12-5.4 12-12S18.66 0 12 0zm5.521 17.34c-.24.359-.66.48-1.021.24-2.82-1.74-6.36-2.101-10.561-1.141-.418.122-.779-.179-.899-.539-.12-.421.18-.78.54-.9 4.56-1.021 8.52-.6 11.64 1.32.42.18.479.659.301 1.02zm1.44-3.3c-.301.42-.841.6-1.262.3-3.239-1.98-8.159-2.58-11.939-1.38-.479.12-1.02-.12-1.14-.6-.12-.48.12-1.021.6-1.141C9.6 9.9 15 10.561 18.72 12.84c.361.181.54.78.241 1.2zm.12-3.36C15.24 8.4 8.82 8.16 5.16 9.301c-.6.179-1.2-.181-1.38-.721-.18-.601.18-1.2.72-1.381 4.26-1.26 11.28-1.02 15.721 1.621.539.3.719 1.02.419 1.56-.299.421-1.02.599-1.559.3z"/>
                     </svg>
                   </a>
+                ) : pending ? (
+                  <div className="flex-shrink-0 text-xs text-gray-600 italic animate-pulse">
+                    Finding...
+                  </div>
+                ) : track.spotifyRateLimited ? (
+                  <div className="flex-shrink-0 text-xs text-amber-500 italic" title="Spotify was rate limiting us - reload the tracklist to try again">
+                    Spotify busy
+                  </div>
                 ) : (
                   <div className="flex-shrink-0 text-xs text-gray-600 italic">
                     Not on Spotify
@@ -0,0 +1,13 @@
+/**
+ * NTS Genre IDs
+ *
+ * Genre IDs in the API follow the pattern: {categoryId}-{subgenreId}
+ * Kept in its own module (no JSON imports) so the genre sync script can use it too.
+ */
+
+// Helper function to generate the full genre ID for API calls
+export function getGenreApiId(categoryId, subgenreId) {
+  // NTS API format is simply: {categoryId}-{subgenreId}
+  // No cleaning needed - use the IDs as-is
+  return `${categoryId}-${subgenreId}`;
+}
@@ -2,18 +2,16 @@
  * NTS Genres Data
  *
  * Complete list of ALL genres from NTS Radio.
- * Transcribed directly from the NTS website screenshots.
+ * Generated from the NTS API by `npm run sync-genres` - don't edit
+ * genres.generated.json by hand, re-run the sync instead.
  *
  * IMPORTANT: Genre IDs in the API follow the pattern: {categoryId}-{subgenreId}
  * We store simple IDs here and compute the full ID when needed.
  */
 
-// Helper function to generate the full genre ID for API calls
-export function getGenreApiId(categoryId, subgenreId) {
-  // NTS API format is simply: {categoryId}-{subgenreId}
-  // No cleaning needed - use the IDs as-is
-  return `${categoryId}-${subgenreId}`;
-}
+import generatedGenres from './genres.generated.json';
+
+export { getGenreApiId } from './genreIds';
 
 // Color scheme for genre categories
 export const genreColors = {
@@ -22,10 +20,10 @@ export const genreColors = {
   asia: 'bg-indigo-900 border-indigo-700 hover:bg-indigo-800',
   avantgarde: 'bg-violet-900 border-violet-700 hover:bg-violet-800',
   caribbean: 'bg-emerald-900 border-emerald-700 hover:bg-emerald-800',
-  classical: 'bg-sky-900 border-sky-700 hover:bg-sky-800',
+  classicalopera: 'bg-sky-900 border-sky-700 hover:bg-sky-800',
   discoboogie: 'bg-yellow-900 border-yellow-700 hover:bg-yellow-800',
   electronicadowntempo: 'bg-blue-900 border-blue-700 hover:bg-blue-800',
-  hiphoprnb: 'bg-orange-900 border-orange-700 hover:bg-orange-800',
+  hiphoprandb: 'bg-orange-900 border-orange-700 hover:bg-orange-800',
   housetechno: 'bg-purple-900 border-purple-700 hover:bg-purple-800',
   jazz: 'bg-amber-900 border-amber-700 hover:bg-amber-800',
   latinbrazil: 'bg-green-900 border-green-700 hover:bg-green-800',
@@ -40,563 +38,8 @@ export const genreColors = {
 };
 
 // Complete genre categories with ALL sub-genres
-export const genreCategories = [
-  {
-    id: 'africanmiddleeastern',
-    name: 'African / Middle Eastern',
-    color: 'africanmiddleeastern',
-    subgenres: [
-      { id: 'afrodisco', name: 'Afro Disco' },
-      { id: 'afrobeat', name: 'Afrobeat' },
-      { id: 'anatolianrock', name: 'Anatolian Rock' },
-      { id: 'arabianbellydance', name: 'Arabian Bellydance' },
-      { id: 'arabicpop', name: 'Arabic Pop' },
-      { id: 'arabictraditional', name: 'Arabic Traditional' },
-      { id: 'arbantone', name: 'Arbantone' },
-      { id: 'balani', name: 'Balani' },
-      { id: 'benga', name: 'Benga' },
-      { id: 'bikutsi', name: 'Bikutsi' },
-      { id: 'chaabi', name: 'Chaabi' },
-      { id: 'chaoui', name: 'Chaoui' },
-      { id: 'coladeira', name: 'Coladeira' },
-      { id: 'dabke', name: 'Dabke' },
-      { id: 'dhaanto', name: 'Dhaanto' },
-      { id: 'eritreanfolk', name: 'Eritrean Folk' },
-      { id: 'ethiopiques', name: 'Ethiopiques' },
-      { id: 'funana', name: 'Funaná' },
-      { id: 'ga', name: 'Ga' },
-      { id: 'gnawa', name: 'Gnawa' },
-      { id: 'griot', name: 'Griot' },
-      { id: 'gumbe', name: 'Gumbe' },
-      { id: 'gyil', name: 'Gyil' },
-      { id: 'halay', name: 'Halay' },
-      { id: 'hawzi', name: 'Hawzi' },
-      { id: 'highlife', name: 'Highlife' },
-      { id: 'iraqimaqam', name: 'Iraqi Maqam' },
-      { id: 'juju', name: 'Jùjú' },
-      { id: 'khaleeji', name: 'Khaleeji' },
-      { id: 'kabyle', name: 'Kabyle' },
-      { id: 'kalenjin', name: 'Kalenjin' },
-      { id: 'kizomba', name: 'Kizomba' },
-      { id: 'kora', name: 'Kora' },
-      { id: 'lewa', name: 'Lewa' },
-      { id: 'malagasyfolk', name: 'Malagasy Folk' },
-      { id: 'makossa', name: 'Makossa' },
-      { id: 'maloya', name: 'Maloya' },
-      { id: 'mandemusic', name: 'Mande Music' },
-      { id: 'mandinka', name: 'Mandinka' },
-      { id: 'mapouka', name: 'Mapouka' },
-      { id: 'maringa', name: 'Maringa' },
-      { id: 'mauritaniantraditional', name: 'Mauritanian Traditional' },
-      { id: 'mbalax', name: 'Mbalax' },
-      { id: 'mezoued', name: 'Mezoued' },
-      { id: 'mizmar', name: 'Mizmar' },
-      { id: 'morna', name: 'Morna' },
-      { id: 'muzikamizrahit', name: 'Muzika Mizrahit' },
-      { id: 'persiantraditional', name: 'Persian Traditional' },
-      { id: 'qaraami', name: 'Qaraami' },
-      { id: 'rababa', name: 'Rababa' },
-      { id: 'rai', name: 'Raï' },
-      { id: 'rumba', name: 'Rumba' },
-      { id: 'saharablues', name: 'Sahara Blues' },
-      { id: 'sai', name: 'Saï' },
-      { id: 'salegy', name: 'Salegy' },
-      { id: 'sega', name: 'Séga' },
-      { id: 'semba', name: 'Semba' },
-      { id: 'shangaanelectro', name: 'Shangaan Electro' },
-      { id: 'soukous', name: 'Soukous' },
-      { id: 'southafricanjazz', name: 'South African Jazz' },
-      { id: 'sudanesefolk', name: 'Sudanese Folk' },
-      { id: 'sudanesepop', name: 'Sudanese Pop' },
-      { id: 'taarab', name: 'Taarab' },
-      { id: 'turkishdisco', name: 'Turkish Disco' },
-      { id: 'wassalou', name: 'Wassalou' },
-      { id: 'zamrock', name: 'Zamrock' },
-      { id: 'ziglibithiy', name: 'Ziglibithiy' },
-      { id: 'zouglou', name: 'Zouglou' },
-      { id: 'zukra', name: 'Zukra' },
-    ]
-  },
-  {
-    id: 'ambientnewage',
-    name: 'Ambient / New Age',
-    color: 'ambientnewage',
-    subgenres: [
-      { id: 'ambient', name: 'Ambient' },
-      { id: 'fourthworld', name: 'Fourth World' },
-      { id: 'kosmische', name: 'Kosmische' },
-      { id: 'newage', name: 'New Age' },
-      { id: 'vaporwave', name: 'Vaporwave' },
-    ]
-  },
-  {
-    id: 'asia',
-    name: 'Asia',
-    color: 'asia',
-    subgenres: [
-      { id: 'lukkrung', name: 'Luk Krung' },
-      { id: 'afghantraditionalmusic', name: 'Afghan Traditional Music' },
-      { id: 'bailafolk', name: 'Baila Folk' },
-      { id: 'balochi', name: 'Balochi' },
-      { id: 'bengalipop', name: 'Bengali Pop' },
-      { id: 'bhangra', name: 'Bhangra' },
-      { id: 'bollywood', name: 'Bollywood' },
-      { id: 'budots', name: 'Budots' },
-      { id: 'cpop', name: 'C-Pop' },
-      { id: 'cantopop', name: 'Canto Pop' },
-      { id: 'chinesetraditional', name: 'Chinese Traditional' },
-      { id: 'choliya', name: 'Choliya' },
-      { id: 'citypop', name: 'City Pop' },
-      { id: 'cailuong', name: 'Cải Lương' },
-      { id: 'dangdut', name: 'Dangdut' },
-      { id: 'danca', name: 'Dân Ca' },
-      { id: 'gamelan', name: 'Gamelan' },
-      { id: 'ghazal', name: 'Ghazal' },
-      { id: 'hokkienpop', name: 'Hokkien Pop' },
-      { id: 'ipop', name: 'I-Pop' },
-      { id: 'indianclassical', name: 'Indian Classical' },
-      { id: 'jrock', name: 'J-Rock' },
-      { id: 'jpop', name: 'J-Pop' },
-      { id: 'jaipong', name: 'Jaipong' },
-      { id: 'japanesetraditional', name: 'Japanese Traditional' },
-      { id: 'kpop', name: 'K-Pop' },
-      { id: 'keroncong', name: 'Keroncong' },
-      { id: 'khmerpop', name: 'Khmer Pop' },
-      { id: 'koreantraditional', name: 'Korean Traditional' },
-      { id: 'kundiman', name: 'Kundiman' },
-      { id: 'kyrgyzfolk', name: 'Kyrgyz Folk' },
-      { id: 'laotraditional', name: 'Lao Traditional' },
-      { id: 'lollywood', name: 'Lollywood' },
-      { id: 'lukthung', name: 'Luk Thung' },
-      { id: 'mandopop', name: 'Mando Pop' },
-      { id: 'molam', name: 'Molam' },
-      { id: 'newa', name: 'Newa' },
-      { id: 'nhacvang', name: 'Nhạc Vàng' },
-      { id: 'pakistaniclassical', name: 'Pakistani Classical' },
-      { id: 'pakistanipop', name: 'Pakistani Pop' },
-      { id: 'pashtopop', name: 'Pashto Pop' },
-      { id: 'persianpop', name: 'Persian Pop' },
-      { id: 'popsunda', name: 'Pop Sunda' },
-      { id: 'protovisualkei', name: 'Proto Visual Kei' },
-      { id: 'rajasthanifolk', name: 'Rajasthani Folk' },
-      { id: 'roadshowmusic', name: 'Roadshow Music' },
-      { id: 'saung', name: 'Saung' },
-      { id: 'shashmaqam', name: 'Shashmaqam' },
-      { id: 'shidaiqu', name: 'Shidaiqu' },
-      { id: 'tajikfolk', name: 'Tajik Folk' },
-      { id: 'tamilfilmmusic', name: 'Tamil Film Music' },
-      { id: 'thaiclassical', name: 'Thai Classical' },
-      { id: 'toi', name: 'Toi' },
-      { id: 'vpop', name: 'V-Pop' },
-      { id: 'vietnamesetraditional', name: 'Vietnamese Traditional' },
-    ]
-  },
-  {
-    id: 'avantgarde',
-    name: 'Avant Garde',
-    color: 'avantgarde',
-    subgenres: [
-      { id: 'darkambient', name: 'Dark Ambient' },
-      { id: 'drone', name: 'Drone' },
-      { id: 'experimental', name: 'Experimental' },
-      { id: 'freakfolk', name: 'Freak Folk' },
-      { id: 'musiqueconcrete', name: 'Musique Concrète' },
-      { id: 'noise', name: 'Noise' },
-    ]
-  },
-  {
-    id: 'caribbean',
-    name: 'Caribbean',
-    color: 'caribbean',
-    subgenres: [
-      { id: 'bashment', name: 'Bashment' },
-      { id: 'beguine', name: 'Béguine' },
-      { id: 'bouyon', name: 'Bouyon' },
-      { id: 'bubbling', name: 'Bubbling' },
-      { id: 'calypso', name: 'Calypso' },
-      { id: 'chutney', name: 'Chutney' },
-      { id: 'dancehall', name: 'Dancehall' },
-      { id: 'dembow', name: 'Dembow' },
-      { id: 'dennerysegment', name: 'Dennery Segment' },
-      { id: 'digidub', name: 'Digi Dub' },
-      { id: 'dub', name: 'Dub' },
-      { id: 'gwoka', name: 'Gwo Ka' },
-      { id: 'kaseko', name: 'Kaseko' },
-      { id: 'laplena', name: 'La Plena' },
-      { id: 'loversrock', name: 'Lovers Rock' },
-      { id: 'mento', name: 'Mento' },
-      { id: 'raboday', name: 'Raboday' },
-      { id: 'reggae', name: 'Reggae' },
-      { id: 'rocksteady', name: 'Rocksteady' },
-      { id: 'shatta', name: 'Shatta' },
-      { id: 'ska', name: 'Ska' },
-      { id: 'soca', name: 'Soca' },
-      { id: 'steeldrum', name: 'Steel Drum' },
-      { id: 'twoubadou', name: 'Twoubadou' },
-      { id: 'zouk', name: 'Zouk' },
-    ]
-  },
-  {
-    id: 'classicalopera',
-    name: 'Classical / Opera',
-    color: 'classical',
-    subgenres: [
-      { id: 'baroque', name: 'Baroque' },
-      { id: 'chambermusic', name: 'Chamber Music' },
-      { id: 'choralmusic', name: 'Choral Music' },
-      { id: 'classical', name: 'Classical' },
-      { id: 'minimalism', name: 'Minimalism' },
-      { id: 'modern-classical', name: 'Modern Classical' },
-      { id: 'opera', name: 'Opera' },
-    ]
-  },
-  {
-    id: 'discoboogie',
-    name: 'Disco / Boogie',
-    color: 'discoboogie',
-    subgenres: [
-      { id: 'boogie', name: 'Boogie' },
-      { id: 'bubblegum', name: 'Bubblegum' },
-      { id: 'classicdisco', name: 'Classic Disco' },
-      { id: 'cosmicdisco', name: 'Cosmic Disco' },
-      { id: 'italo', name: 'Italo' },
-      { id: 'leftfielddisco', name: 'Leftfield Disco' },
-    ]
-  },
-  {
-    id: 'electronicadowntempo',
-    name: 'Electronica / Downtempo',
-    color: 'electronicadowntempo',
-    subgenres: [
-      { id: 'beats', name: 'Beats' },
-      { id: 'electronica', name: 'Electronica' },
-      { id: 'glitch', name: 'Glitch' },
-      { id: 'triphop', name: 'Trip Hop' },
-      { id: 'witchhouse', name: 'Witch House' },
-    ]
-  },
-  {
-    id: 'hiphoprandb',
-    name: 'Hip-Hop / R\'n\'B',
-    color: 'hiphoprnb',
-    subgenres: [
-      { id: 'choppednscrewed', name: 'Chopped N Screwed' },
-      { id: 'classichiphop', name: 'Classic Hip Hop' },
-      { id: 'cloudrap', name: 'Cloud Rap' },
-      { id: 'dirtysouth', name: 'Dirty South' },
-      { id: 'drill', name: 'Drill' },
-      { id: 'emorap', name: 'Emo Rap' },
-      { id: 'experimentalhiphop', name: 'Experimental Hip Hop' },
-      { id: 'gfunk', name: 'G-Funk' },
-      { id: 'gangstarap', name: 'Gangsta Rap' },
-      { id: 'gengetone', name: 'Gengetone' },
-      { id: 'hiphop', name: 'Hip Hop' },
-      { id: 'memphis', name: 'Memphis' },
-      { id: 'motswako', name: 'Motswako' },
-      { id: 'newjackswing', name: 'New Jack Swing' },
-      { id: 'rnb', name: 'RnB' },
-      { id: 'rap', name: 'Rap' },
-      { id: 'trap', name: 'Trap' },
-    ]
-  },
-  {
-    id: 'housetechno',
-    name: 'House / Techno',
-    color: 'housetechno',
-    subgenres: [
-      { id: 'acid', name: 'Acid' },
-      { id: 'ambienttechno', name: 'Ambient Techno' },
-      { id: 'balearichouse', name: 'Balearic House' },
-      { id: 'breaks', name: 'Breaks' },
-      { id: 'brokenbeat', name: 'Broken Beat' },
-      { id: 'chicagohouse', name: 'Chicago House' },
-      { id: 'deephouse', name: 'Deep House' },
-      { id: 'detroithouse', name: 'Detroit House' },
-      { id: 'detroittechno', name: 'Detroit Techno' },
-      { id: 'dubtechno', name: 'Dub Techno' },
-      { id: 'electro', name: 'Electro' },
-      { id: 'eurohouse', name: 'Euro House' },
-      { id: 'gabber', name: 'Gabber' },
-      { id: 'ghettohouse', name: 'Ghetto House' },
-      { id: 'ghettotech', name: 'Ghettotech' },
-      { id: 'happyhardcore', name: 'Happy Hardcore' },
-      { id: 'hardstyle', name: 'Hardstyle' },
-      { id: 'hiphouse', name: 'Hip-House' },
-      { id: 'house', name: 'House' },
-      { id: 'leftfieldhouse', name: 'Leftfield House' },
-      { id: 'leftfieldtechno', name: 'Leftfield Techno' },
-      { id: 'minimal', name: 'Minimal' },
-      { id: 'makina', name: 'Mákina' },
-      { id: 'techhouse', name: 'Tech House' },
-      { id: 'techno', name: 'Techno' },
-      { id: 'trance', name: 'Trance' },
-    ]
-  },
-  {
-    id: 'jazz',
-    name: 'Jazz',
-    color: 'jazz',
-    subgenres: [
-      { id: 'afro-cuban-jazz', name: 'Afro Cuban Jazz' },
-      { id: 'ambientjazz', name: 'Ambient Jazz' },
-      { id: 'bebop', name: 'Bebop' },
-      { id: 'contemporaryjazz', name: 'Contemporary Jazz' },
-      { id: 'freejazz', name: 'Free Jazz' },
-      { id: 'hardbop', name: 'Hard Bop' },
-      { id: 'jazzfusion', name: 'Jazz Fusion' },
-      { id: 'jazzrock', name: 'Jazz Rock' },
-      { id: 'modal', name: 'Modal' },
-      { id: 'postbop', name: 'Post Bop' },
-      { id: 'souljazz', name: 'Soul Jazz' },
-      { id: 'spiritualjazz', name: 'Spiritual Jazz' },
-      { id: 'straightjazz', name: 'Straight Jazz' },
-      { id: 'sunra', name: 'Sun Ra' },
-      { id: 'swing', name: 'Swing' },
-    ]
-  },
-  {
-    id: 'latinbrazil',
-    name: 'Latin / Brazilian',
-    color: 'latinbrazil',
-    subgenres: [
-      { id: 'bachata', name: 'Bachata' },
-      { id: 'batucada', name: 'Batucada' },
-      { id: 'bolero', name: 'Bolero' },
-      { id: 'bossanova', name: 'Bossa Nova' },
-      { id: 'brasillica', name: 'Brasillica' },
-      { id: 'carimbo', name: 'Carimbó' },
-      { id: 'champeta', name: 'Champeta' },
-      { id: 'chicha', name: 'Chicha' },
-      { id: 'corrido', name: 'Corrido' },
-      { id: 'cumbia', name: 'Cumbia' },
-      { id: 'flamenco', name: 'Flamenco' },
-      { id: 'forro', name: 'Forró' },
-      { id: 'freestyle', name: 'Freestyle' },
-      { id: 'guarani', name: 'Guaraní' },
-      { id: 'gaita', name: 'Gaita' },
-      { id: 'guaracha', name: 'Guaracha' },
-      { id: 'guarapo', name: 'Guarapo' },
-      { id: 'huaynos', name: 'Huaynos' },
-      { id: 'joropo', name: 'Joropo' },
-      { id: 'kaseko', name: 'Kaseko' },
-      { id: 'latinjazz', name: 'Latin Jazz' },
-      { id: 'latinsoul', name: 'Latin Soul' },
-      { id: 'mariachi', name: 'Mariachi' },
-      { id: 'meringue', name: 'Meringue' },
-      { id: 'musicapopular', name: 'Música Popular Brasileira' },
-      { id: 'norteno', name: 'Norteño' },
-      { id: 'nuevacancion', name: 'Nueva Canción' },
-      { id: 'nuevatrova', name: 'Nueva Trova' },
-      { id: 'nuevocancionero', name: 'Nuevo Cancionero' },
-      { id: 'pasillo', name: 'Pasillo' },
-      { id: 'pasodoble', name: 'Pasodoble' },
-      { id: 'quechua', name: 'Quechua' },
-      { id: 'rancheras', name: 'Rancheras' },
-      { id: 'rockola', name: 'Rockola' },
-      { id: 'salsa', name: 'Salsa' },
-      { id: 'samba', name: 'Samba' },
-      { id: 'southamericanindigenousmusic', name: 'South American Indigenous Music' },
-      { id: 'tonada', name: 'Tonada' },
-      { id: 'vallenato', name: 'Vallenato' },
-      { id: 'zapateado', name: 'Zapateado' },
-    ]
-  },
-  {
-    id: 'metal',
-    name: 'Metal',
-    color: 'metal',
-    subgenres: [
-      { id: 'blackmetal', name: 'Black Metal' },
-      { id: 'deathmetal', name: 'Death Metal' },
-      { id: 'doom', name: 'Doom' },
-      { id: 'grindcore', name: 'Grindcore' },
-      { id: 'heavymetal', name: 'Heavy Metal' },
-      { id: 'metalcore', name: 'Metalcore' },
-      { id: 'numetal', name: 'Nu Metal' },
-      { id: 'sludge', name: 'Sludge' },
-      { id: 'thrash', name: 'Thrash' },
-    ]
-  },
-  {
-    id: 'newclub',
-    name: 'New Club',
-    color: 'newclub',
-    subgenres: [
-      { id: 'afrohouse', name: 'Afro House' },
-      { id: 'afrobeats', name: 'Afrobeats' },
-      { id: 'amapiano', name: 'Amapiano' },
-      { id: 'arrocha', name: 'Arrocha' },
-      { id: 'bailefunk', name: 'Baile Funk' },
-      { id: 'ballroom', name: 'Ballroom' },
-      { id: 'baltimoreclub', name: 'Baltimore Club' },
-      { id: 'bass', name: 'Bass' },
-      { id: 'batida', name: 'Batida' },
-      { id: 'brega', name: 'Brega' },
-      { id: 'club', name: 'Club' },
-      { id: 'coupedecale', name: 'Coupé-Décalé' },
-      { id: 'deck', name: 'Deck' },
-      { id: 'electroacholi', name: 'Electro Acholi' },
-      { id: 'footwork', name: 'Footwork' },
-      { id: 'forropiseiro', name: 'Forró Piseiro' },
-      { id: 'gengetone', name: 'Gengetone' },
-      { id: 'gqom', name: 'Gqom' },
-      { id: 'hyperpop', name: 'Hyperpop' },
-      { id: 'jerseyclub', name: 'Jersey Club' },
-      { id: 'kuduro', name: 'Kuduro' },
-      { id: 'kwaito', name: 'Kwaito' },
-      { id: 'ndombolo', name: 'Ndombolo' },
-      { id: 'nightcore', name: 'Nightcore' },
-      { id: 'raptorhouse', name: 'Raptor House' },
-      { id: 'reggaeton', name: 'Reggaeton' },
-      { id: 'singeli', name: 'Singeli' },
-      { id: 'streethop', name: 'Street Hop' },
-      { id: 'vinahouse', name: 'Vinahouse' },
-    ]
-  },
-  {
-    id: 'other',
-    name: 'Other',
-    color: 'other',
-    subgenres: [
-      { id: 'armenianpop', name: 'Armenian Pop' },
-      { id: 'australianindigenousmusic', name: 'Australian Indigenous Music' },
-      { id: 'balkanpop', name: 'Balkan Pop' },
-      { id: 'bhajan', name: 'Bhajan' },
-      { id: 'bluegrass', name: 'Bluegrass' },
-      { id: 'celticfolk', name: 'Celtic Folk' },
-      { id: 'chanson', name: 'Chanson' },
-      { id: 'chiptune', name: 'Chip Tune' },
-      { id: 'christiantraditional', name: 'Christian Traditional' },
-      { id: 'christmas', name: 'Christmas' },
-      { id: 'dungeonsynth', name: 'Dungeon Synth' },
-      { id: 'fieldrecordings', name: 'Field Recordings' },
-      { id: 'greektraditional', name: 'Greek Traditional' },
-      { id: 'halloween', name: 'Halloween' },
-      { id: 'himenetarava', name: 'Himene Tarava' },
-      { id: 'imenetuki', name: 'Imene Tuki' },
-      { id: 'interview', name: 'Interview' },
-      { id: 'irishtraditional', name: 'Irish Traditional' },
-      { id: 'joik', name: 'Joik' },
-      { id: 'keljihainomusic', name: 'Keiji Haino Music' },
-      { id: 'leftfieldpop', name: 'Leftfield Pop' },
-      { id: 'library', name: 'Library' },
-      { id: 'liveperformance', name: 'Live Performance' },
-      { id: 'manelepop', name: 'Manele Pop' },
-      { id: 'nasheed', name: 'Nasheed' },
-      { id: 'nativeamericanrock', name: 'Native American Rock' },
-      { id: 'northamericanindigenousmusic', name: 'North American Indigenous Music' },
-      { id: 'northumbrianfolk', name: 'Northumbrian Folk' },
-      { id: 'norweiganfolk', name: 'Norwegian Folk' },
-      { id: 'pop', name: 'Pop' },
-      { id: 'portugesefado', name: 'Portuguese Fado' },
-      { id: 'qawwali', name: 'Qawwali' },
-      { id: 'rabiz', name: 'Rabiz' },
-      { id: 'soundtrack', name: 'Soundtrack' },
-      { id: 'spaceagepop', name: 'Space Age Pop' },
-      { id: 'spirituals', name: 'Spirituals' },
-      { id: 'spokenword', name: 'Spoken Word' },
-      { id: 'talk', name: 'Talk' },
-      { id: 'videogamemusic', name: 'Video Game Music' },
-    ]
-  },
-  {
-    id: 'postpunkwave',
-    name: 'Post Punk / New Wave',
-    color: 'postpunkwave',
-    subgenres: [
-      { id: 'ebm', name: 'EBM' },
-      { id: 'electroclash', name: 'Electroclash' },
-      { id: 'gothrock', name: 'Goth Rock' },
-      { id: 'industrial', name: 'Industrial' },
-      { id: 'minimalsynth', name: 'Minimal Synth' },
-      { id: 'newbeat', name: 'New Beat' },
-      { id: 'newwave', name: 'New Wave' },
-      { id: 'nowave', name: 'No Wave' },
-      { id: 'postpunk', name: 'Post Punk' },
-      { id: 'synthpop', name: 'Synth Pop' },
-    ]
-  },
-  {
-    id: 'alternativerockpunk',
-    name: 'Alternative Rock / Punk',
-    color: 'alternativerockpunk',
-    subgenres: [
-      { id: 'artrock', name: 'Art Rock' },
-      { id: 'dreampop', name: 'Dream Pop' },
-      { id: 'emo', name: 'Emo' },
-      { id: 'garagerock', name: 'Garage Rock' },
-      { id: 'grunge', name: 'Grunge' },
-      { id: 'hardcorepunk', name: 'Hardcore Punk' },
-      { id: 'indierock', name: 'Indie Rock' },
-      { id: 'mathrock', name: 'Math Rock' },
-      { id: 'noiserock', name: 'Noise Rock' },
-      { id: 'posthardcore', name: 'Post Hardcore' },
-      { id: 'postrock', name: 'Post Rock' },
-      { id: 'punk', name: 'Punk' },
-      { id: 'shibuyakei', name: 'Shibuya-Kei' },
-      { id: 'shoegaze', name: 'Shoegaze' },
-      { id: 'spacerock', name: 'Space Rock' },
-    ]
-  },
-  {
-    id: 'rock',
-    name: 'Rock',
-    color: 'rock',
-    subgenres: [
-      { id: 'americanprimitivism', name: 'American Primitivism' },
-      { id: 'classicrock', name: 'Classic Rock' },
-      { id: 'country', name: 'Country' },
-      { id: 'folk', name: 'Folk' },
-      { id: 'hardrock', name: 'Hard Rock' },
-      { id: 'krautrock', name: 'Krautrock' },
-      { id: 'powerpop', name: 'Power Pop' },
-      { id: 'progrock', name: 'Prog Rock' },
-      { id: 'psychedelicfolk', name: 'Psychedelic Folk' },
-      { id: 'psychedelicrock', name: 'Psychedelic Rock' },
-      { id: 'rocknroll', name: 'Rock N Roll' },
-      { id: 'rockabilly', name: 'Rockabilly' },
-      { id: 'softrock', name: 'Soft Rock' },
-      { id: 'surf', name: 'Surf' },
-      { id: 'visualkei', name: 'Visual Kei' },
-      { id: 'yachtrock', name: 'Yacht Rock' },
-    ]
-  },
-  {
-    id: 'soulrhythmblues',
-    name: 'Soul / Rhythm & Blues',
-    color: 'soulrhythmblues',
-    subgenres: [
-      { id: 'blues', name: 'Blues' },
-      { id: 'doowop', name: 'Doo Wop' },
-      { id: 'funk', name: 'Funk' },
-      { id: 'gospel', name: 'Gospel' },
-      { id: 'pfunk', name: 'P Funk' },
-      { id: 'psychedelicsoul', name: 'Psychedelic Soul' },
-      { id: 'raregroove', name: 'Rare Groove' },
-      { id: 'rhythmblues', name: 'Rhythm & Blues' },
-      { id: 'sacredharp', name: 'Sacred Harp' },
-      { id: 'slowjams', name: 'Slow Jams' },
-      { id: 'soul', name: 'Soul' },
-      { id: 'streetsoul', name: 'Street Soul' },
-      { id: 'sweetsoul', name: 'Sweet Soul' },
-    ]
-  },
-  {
-    id: 'ukdance',
-    name: 'UK Dance / Grime',
-    color: 'ukdance',
-    subgenres: [
-      { id: 'bassline', name: 'Bassline' },
-      { id: 'hardcore', name: 'Breakbeat Hardcore' },
-      { id: 'breakcore', name: 'Breakcore' },
-      { id: 'donk', name: 'Donk' },
-      { id: 'drumnbass', name: 'Drum & Bass' },
-      { id: 'dubstep', name: 'Dubstep' },
-      { id: 'ukgarage', name: 'Garage' },
-      { id: 'grime', name: 'Grime' },
-      { id: 'jungle', name: 'Jungle' },
-      { id: 'speedgarage', name: 'Speed Garage' },
-      { id: 'ukfunky', name: 'UK Funky' },
-    ]
-  },
-];
+// Each category is colored by its ID (falling back to 'other' for new categories)
+export const genreCategories = generatedGenres.categories.map(category => ({
+  ...category,
+  color: category.id in genreColors ? category.id : 'other'
+}));
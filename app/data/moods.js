@@ -0,0 +1,33 @@
+/**
+ * NTS Moods Data
+ *
+ * NTS tags episodes with moods as well as genres ("Late Night", "Deep"...).
+ * Moods are a flat list - no categories - and their IDs are used as-is in
+ * the API (moods[]=late-night), so there's no equivalent of getGenreApiId().
+ *
+ * The list is short and rarely changes, so it's kept by hand here.
+ */
+
+export const moods = [
+  { id: 'late-night', name: 'Late Night', color: 'bg-indigo-900 border-indigo-700 hover:bg-indigo-800' },
+  { id: 'deep', name: 'Deep', color: 'bg-blue-900 border-blue-700 hover:bg-blue-800' },
+  { id: 'dreamy', name: 'Dreamy', color: 'bg-violet-900 border-violet-700 hover:bg-violet-800' },
+  { id: 'chilled', name: 'Chilled', color: 'bg-teal-900 border-teal-700 hover:bg-teal-800' },
+  { id: 'hypnotic', name: 'Hypnotic', color: 'bg-purple-900 border-purple-700 hover:bg-purple-800' },
+  { id: 'melancholic', name: 'Melancholic', color: 'bg-slate-900 border-slate-700 hover:bg-slate-800' },
+  { id: 'dark', name: 'Dark', color: 'bg-zinc-900 border-zinc-700 hover:bg-zinc-800' },
+  { id: 'spiritual', name: 'Spiritual', color: 'bg-amber-900 border-amber-700 hover:bg-amber-800' },
+  { id: 'warm', name: 'Warm', color: 'bg-orange-900 border-orange-700 hover:bg-orange-800' },
+  { id: 'sunny', name: 'Sunny', color: 'bg-yellow-900 border-yellow-700 hover:bg-yellow-800' },
+  { id: 'uplifting', name: 'Uplifting', color: 'bg-lime-900 border-lime-700 hover:bg-lime-800' },
+  { id: 'euphoric', name: 'Euphoric', color: 'bg-fuchsia-900 border-fuchsia-700 hover:bg-fuchsia-800' },
+  { id: 'dancefloor', name: 'Dancefloor', color: 'bg-pink-900 border-pink-700 hover:bg-pink-800' },
+  { id: 'energetic', name: 'Energetic', color: 'bg-red-900 border-red-700 hover:bg-red-800' },
+  { id: 'heavy', name: 'Heavy', color: 'bg-stone-900 border-stone-700 hover:bg-stone-800' },
+  { id: 'weird', name: 'Weird', color: 'bg-emerald-900 border-emerald-700 hover:bg-emerald-800' }
+];
+
+// Helper to get a mood's name from its ID (falls back to the ID for moods we don't know)
+export function getMoodName(moodId) {
+  return moods.find(mood => mood.id === moodId)?.name || moodId;
+}
@@ -17,8 +17,16 @@
 import { useState, useEffect, useRef } from 'react';
 import TracklistDisplay from './components/TracklistDisplay';
 import HomeTab from './components/HomeTab';
+import RelatedGenres from './components/RelatedGenres';
+import MoodPicker from './components/MoodPicker';
+import MatchConfidence from './components/MatchConfidence';
+import SpotifyMatchPicker from './components/SpotifyMatchPicker';
+import TrackLinks from './components/TrackLinks';
 import { genreCategories, genreColors, getGenreApiId } from './data/genres';
-import { markTracklistViewed, isTracklistViewed, clearAllTracking, getTrackingStats, likeEpisode, unlikeEpisode, isEpisodeLiked, getLikedEpisodes, getLikedTracks, likeTrack, unlikeTrack, isTrackLiked, markTrackPlayed, isTrackPlayed } from './utils/localStorage';
+import { searchGenres } from './utils/genreSearch';
+import { readNdjson } from './utils/ndjson';
+import { getSpotifyOverrides, withSpotifyOverride } from './utils/spotifyOverrides';
+import { markTracklistViewed, isTracklistViewed, clearAllTracking, getTrackingStats, likeEpisode, unlikeEpisode, isEpisodeLiked, getLikedEpisodes, getLikedTracks, likeTrack, unlikeTrack, isTrackLiked, updateLikedTracks, markTrackPlayed, isTrackPlayed } from './utils/localStorage';
 import {
   getSeenEpisodes,
   getReferencedTracks,
@@ -30,6 +38,7 @@ import {
   markTracksAsReferenced,
   deleteStack
 } from './utils/tasteProfileStorage';
+import { SORT_MODES, DEFAULT_SORT, sortEpisodes } from './utils/episodeSort';
 
 // Helper to get genre name from ID
 function getGenreNameFromId(genreId) {
@@ -44,6 +53,38 @@ function getGenreNameFromId(genreId) {
   return genreId;
 }
 
+// No filters applied to a track search
+const EMPTY_TRACK_FILTERS = { from: '', to: '', location: '', genre: '', mood: '' };
+
+// Helper to get a YYYY-MM-DD date some days ago (for the quick date filter chips)
+function daysAgo(days) {
+  const date = new Date();
+  date.setDate(date.getDate() - days);
+  return date.toISOString().slice(0, 10);
+}
+
+// Helper to add up facet counts from two batches of track search results
+function mergeFacets(current, incoming) {
+  if (!current) return incoming;
+  const merge = (a, b, key) => {
+    const merged = new Map(a.map(item => [item[key], { ...item }]));
+    for (const item of b) {
+      const existing = merged.get(item[key]);
+      if (existing) {
+        existing.count += item.count;
+      } else {
+        merged.set(item[key], { ...item });
+      }
+    }
+    return Array.from(merged.values()).sort((x, y) => y.count - x.count);
+  };
+  return {
+    locations: merge(current.locations, incoming.locations, 'name'),
+    genres: merge(current.genres, incoming.genres, 'id'),
+    moods: merge(current.moods, incoming.moods, 'id')
+  };
+}
+
 // Lazy-loaded Spotify embed component with play tracking
 function LazySpotifyEmbed({ spotifyId, onInteraction, played }) {
   const [isVisible, setIsVisible] = useState(false);
@@ -126,21 +167,43 @@ export default function Home() {
   // If you're used to React, this is familiar!
   // In Rails, you'd handle this with form submissions and page reloads
   // Stack source: currently only 'nts', but will support 'soundcloud', 'bandcamp', etc.
-  // Search mode: 'home', 'track', 'genre', 'liked', or 'likedTracks'
+  // Search mode: 'home', 'track', 'genre', 'show', 'liked', or 'likedTracks'
   const [searchMode, setSearchMode] = useState('home');
   const [likedEpisodes, setLikedEpisodes] = useState([]);
   const [likedTracks, setLikedTracksState] = useState([]);
   const [likedStates, setLikedStates] = useState({});
+  const [, setOverrideVersion] = useState(0); // bumped to re-read Spotify overrides after a change
 
   // Track search state
   const [artist, setArtist] = useState('');
   const [title, setTitle] = useState('');
+  const [trackSearch, setTrackSearch] = useState(null); // { artist, title } of the last search
+  const [nextCursor, setNextCursor] = useState(null);
+  const [totalAvailable, setTotalAvailable] = useState(null);
+  const [loadingMore, setLoadingMore] = useState(false);
+  const [trackFilters, setTrackFilters] = useState(EMPTY_TRACK_FILTERS);
+  const [trackFacets, setTrackFacets] = useState(null); // { locations, genres } seen in the results
+  const [trackSort, setTrackSort] = useState(DEFAULT_SORT);
+  const [trackStrict, setTrackStrict] = useState(false); // only close artist/title matches
 
   // Genre search state
   const [genreSearchQuery, setGenreSearchQuery] = useState('');
-  const [genreBrowseMode, setGenreBrowseMode] = useState('search'); // 'search' or 'browse'
+  const [genreBrowseMode, setGenreBrowseMode] = useState('search'); // 'search', 'browse' or 'mood'
   const [expandedCategory, setExpandedCategory] = useState(null);
-  const [selectedGenre, setSelectedGenre] = useState(null);
+  const [genreSelection, setGenreSelection] = useState([]); // [{ id, name }] - full API IDs
+  const [moodSelection, setMoodSelection] = useState([]); // [{ id, name }] - narrows the genres (or browses on its own)
+  const [genreMatchMode, setGenreMatchMode] = useState('any'); // 'any' or 'all' of the selected genres
+  const [genreSort, setGenreSort] = useState('newest'); // 'newest' or 'oldest'
+  const [genreDates, setGenreDates] = useState({ from: '', to: '' }); // air-date range
+  // Server-side paging for the genre view: { query, offsets, total, nextOffset, exactTotal }
+  // offsets[n] is the /api/genre offset of page n (known up to the page after the current one)
+  const [genrePaging, setGenrePaging] = useState(null);
+
+  // Show search state
+  const [showSearchQuery, setShowSearchQuery] = useState('');
+  const [showResults, setShowResults] = useState(null); // shows matching the search
+  const [selectedShow, setSelectedShow] = useState(null);
+  const [showEpisodesTotal, setShowEpisodesTotal] = useState(null);
 
   // Shared state
   const [loading, setLoading] = useState(false);
@@ -150,10 +213,12 @@ export default function Home() {
   const [selectedEpisode, setSelectedEpisode] = useState(null);
   const [tracklist, setTracklist] = useState(null);
   const [loadingTracklist, setLoadingTracklist] = useState(false);
+  const tracklistRequestRef = useRef(null); // AbortController for the tracklist being streamed
 
   // Home/Taste Profile state
   const [homeTracks, setHomeTracks] = useState([{ artist: '', title: '' }]);
   const [selectedGenres, setSelectedGenres] = useState([]);
+  const [selectedMoods, setSelectedMoods] = useState([]);
   const [currentStack, setCurrentStack] = useState(null);
   const [stackHistory, setStackHistory] = useState([]);
   const [viewingHistoryStack, setViewingHistoryStack] = useState(null);
@@ -168,8 +233,28 @@ export default function Home() {
 
   // Pagination settings
   const episodesPerPage = 9;
-  const currentEpisodes = episodes ? episodes.slice(currentPage * episodesPerPage, (currentPage + 1) * episodesPerPage) : [];
-  const totalPages = episodes ? Math.ceil(episodes.length / episodesPerPage) : 0;
+  // Genre results are paged by the server (one page per request), everything else on the client
+  const serverPaged = searchMode === 'genre' && genrePaging !== null;
+  const currentEpisodes = !episodes
+    ? []
+    : serverPaged
+    ? episodes
+    : episodes.slice(currentPage * episodesPerPage, (currentPage + 1) * episodesPerPage);
+  const totalPages = serverPaged
+    ? (genrePaging.exactTotal ? Math.ceil(genrePaging.total / episodesPerPage) : genrePaging.offsets.length)
+    : episodes ? Math.ceil(episodes.length / episodesPerPage) : 0;
+  // In "all genres" mode we only know the page count once we reach the end
+  const totalPagesKnown = !serverPaged || genrePaging.exactTotal || genrePaging.nextOffset === null;
+  // The genre view searches once at least one genre or mood is picked
+  const hasGenreQuery = genreSelection.length > 0 || moodSelection.length > 0;
+
+  // Plays per show, shown on each card when track results are grouped by show
+  const showPlayCounts = new Map();
+  if (episodes && searchMode === 'track' && trackSort === 'show') {
+    for (const episode of episodes) {
+      showPlayCounts.set(episode.showPath, (showPlayCounts.get(episode.showPath) || 0) + 1);
+    }
+  }
 
   // Load liked episodes, tracks, and stack history on mount
   useEffect(() => {
@@ -179,6 +264,12 @@ export default function Home() {
     setStats(getTasteProfileStats());
   }, []);
 
+  // A "wrong match?" correction can relink liked tracks too - re-read them
+  const handleSpotifyOverrideChange = () => {
+    setOverrideVersion(version => version + 1);
+    setLikedTracksState(getLikedTracks());
+  };
+
   // Reset hide played when switching stacks
   useEffect(() => {
     setHidePlayed(false);
@@ -205,6 +296,92 @@ export default function Home() {
     return isEpisodeLiked(episodePath);
   };
 
+  /**
+   * Fetch one batch of episodes for a track search from /api/nts
+   * Pass the cursor from the previous batch to get the next one
+   */
+  const fetchTrackEpisodes = async (search, filters, cursor = null, strict = trackStrict) => {
+    const params = new URLSearchParams({ artist: search.artist, title: search.title, sort: trackSort });
+    if (strict) {
+      params.set('strict', 'true');
+    }
+    if (cursor) {
+      params.set('cursor', cursor);
+    }
+    // Filters are applied server-side
+    for (const [name, value] of Object.entries(filters)) {
+      if (value) {
+        params.set(name, value);
+      }
+    }
+
+    const ntsResponse = await fetch(`/api/nts?${params}`);
+
+    if (!ntsResponse.ok) {
+      const errorData = await ntsResponse.json();
+      throw new Error(errorData.error || 'Failed to search NTS');
+    }
+
+    return ntsResponse.json();
+  };
+
+  /**
+   * Load the next batch of episodes for the current track search
+   *
+   * New episodes are merged in and everything is re-sorted with the current
+   * sort mode, so later results slot in where they belong.
+   */
+  const handleLoadMore = async () => {
+    if (!nextCursor || !trackSearch) return;
+
+    setLoadingMore(true);
+    setError(null);
+
+    try {
+      const ntsData = await fetchTrackEpisodes(trackSearch, trackFilters, nextCursor);
+      setEpisodes(prev => sortEpisodes([...prev, ...ntsData.episodes], trackSort));
+      setNextCursor(ntsData.nextCursor);
+      setTotalAvailable(ntsData.totalAvailable);
+      setTrackFacets(prev => mergeFacets(prev, ntsData.facets));
+    } catch (err) {
+      console.error('Error:', err);
+      setError(err.message);
+    } finally {
+      setLoadingMore(false);
+    }
+  };
+
+  /**
+   * Run a track search from the first batch, with the given filters
+   */
+  const runTrackSearch = async (search, filters, strict = trackStrict) => {
+    // Reset state
+    setLoading(true);
+    setError(null);
+    setEpisodes(null);
+    setCurrentPage(0);
+    setSelectedEpisode(null);
+    setTracklist(null);
+    setNextCursor(null);
+    setTotalAvailable(null);
+
+    try {
+      // Search NTS for the track - returns the first batch of episodes
+      const ntsData = await fetchTrackEpisodes(search, filters, null, strict);
+      setTrackSearch(search);
+      setEpisodes(ntsData.episodes);
+      setNextCursor(ntsData.nextCursor);
+      setTotalAvailable(ntsData.totalAvailable);
+      setTrackFacets(ntsData.facets);
+
+    } catch (err) {
+      console.error('Error:', err);
+      setError(err.message);
+    } finally {
+      setLoading(false);
+    }
+  };
+
   /**
    * Handle form submission
    *
@@ -220,27 +397,98 @@ export default function Home() {
       return;
     }
 
-    // Reset state
+    // A new search starts without filters - the old locations/genres may not apply
+    setTrackFilters(EMPTY_TRACK_FILTERS);
+    setTrackFacets(null);
+    await runTrackSearch({ artist, title }, EMPTY_TRACK_FILTERS);
+  };
+
+  /**
+   * Handle a filter chip change - re-runs the current search with the new filters
+   */
+  const updateTrackFilters = (changes) => {
+    const nextFilters = { ...trackFilters, ...changes };
+    setTrackFilters(nextFilters);
+    if (trackSearch) {
+      runTrackSearch(trackSearch, nextFilters);
+    }
+  };
+
+  /**
+   * Handle the "close matches only" toggle - strict mode is applied server-side
+   */
+  const handleTrackStrictChange = (strict) => {
+    setTrackStrict(strict);
+    if (trackSearch) {
+      runTrackSearch(trackSearch, trackFilters, strict);
+    }
+  };
+
+  /**
+   * Handle a sort mode change
+   *
+   * Every mode can be worked out from the episodes we already have,
+   * so there's no need to search again - later batches use the new mode too.
+   */
+  const handleTrackSortChange = (sort) => {
+    setTrackSort(sort);
+    setEpisodes(prev => (prev && searchMode === 'track' ? sortEpisodes(prev, sort) : prev));
+    setCurrentPage(0);
+  };
+
+  /**
+   * Fetch one page of the genre view from /api/genre
+   *
+   * @param {Object} query - { genreIds, mode, sort, from, to }
+   * @param {number} pageIndex - Page to show
+   * @param {number[]} offsets - Offsets of the pages we know about so far
+   */
+  const loadGenrePage = async (query, pageIndex, offsets) => {
     setLoading(true);
     setError(null);
-    setEpisodes(null);
-    setCurrentPage(0);
     setSelectedEpisode(null);
     setTracklist(null);
 
     try {
-      // Search NTS for the track - now returns 10 episodes!
-      const ntsResponse = await fetch(
-        `/api/nts?artist=${encodeURIComponent(artist)}&title=${encodeURIComponent(title)}`
-      );
+      console.log(`Searching for genres: ${query.genreIds.join(', ')}, moods: ${query.moodIds.join(', ')} (${query.mode}, ${query.sort}, page ${pageIndex + 1})`);
+
+      // Search NTS for episodes by genre - one page at a time
+      const params = new URLSearchParams({
+        mode: query.mode,
+        sort: query.sort,
+        offset: offsets[pageIndex],
+        limit: episodesPerPage
+      });
+      for (const id of query.genreIds) {
+        params.append('id', id);
+      }
+      if (query.moodIds.length > 0) params.set('mood', query.moodIds.join(','));
+      if (query.from) params.set('from', query.from);
+      if (query.to) params.set('to', query.to);
+
+      const genreResponse = await fetch(`/api/genre?${params}`);
 
-      if (!ntsResponse.ok) {
-        const errorData = await ntsResponse.json();
-        throw new Error(errorData.error || 'Failed to search NTS');
+      if (!genreResponse.ok) {
+        const errorData = await genreResponse.json();
+        throw new Error(errorData.error || 'Failed to search by genre');
       }
 
-      const ntsData = await ntsResponse.json();
-      setEpisodes(ntsData.episodes);
+      const genreData = await genreResponse.json();
+      const knownOffsets = offsets.slice(0, pageIndex + 1);
+      if (genreData.nextOffset !== null) {
+        knownOffsets.push(genreData.nextOffset);
+      }
+
+      setEpisodes(genreData.episodes);
+      setCurrentPage(pageIndex);
+      setGenrePaging({
+        query,
+        offsets: knownOffsets,
+        total: genreData.total,
+        nextOffset: genreData.nextOffset,
+        // "all" mode totals count candidates, not matches
+        exactTotal: query.mode !== 'all' || query.genreIds.length < 2
+      });
 
     } catch (err) {
       console.error('Error:', err);
@@ -250,43 +498,188 @@ export default function Home() {
     }
   };
 
+  /**
+   * Go to another page of the genre view
+   */
+  const goToGenrePage = (pageIndex) => {
+    if (!genrePaging || pageIndex < 0 || pageIndex >= totalPages) return;
+
+    // Pages are a fixed size - except in "all" mode, where we follow the offsets the server gave us
+    const offsets = genrePaging.exactTotal
+      ? Array.from({ length: pageIndex + 1 }, (_, index) => index * episodesPerPage)
+      : genrePaging.offsets;
+    loadGenrePage(genrePaging.query, pageIndex, offsets);
+  };
+
+  /**
+   * Search episodes for a set of genres, from the first page
+   *
+   * With several genres, `mode` decides whether episodes need ANY or ALL of them
+   * (the server works out the "all" intersection). Moods, ordering and the
+   * air-date range come from state unless given in `changes`.
+   */
+  const selectGenres = (selection, changes = {}) => {
+    const { moods = moodSelection, ...queryChanges } = changes;
+    const query = {
+      genreIds: selection.map(genre => genre.id),
+      moodIds: moods.map(mood => mood.id),
+      mode: genreMatchMode,
+      sort: genreSort,
+      ...genreDates,
+      ...queryChanges
+    };
+
+    setGenreSelection(selection);
+    setMoodSelection(moods);
+    setEpisodes(null);
+    setCurrentPage(0);
+    setSelectedEpisode(null);
+    setTracklist(null);
+    setGenrePaging(null);
+    setError(null);
+
+    if (selection.length > 0 || moods.length > 0) {
+      loadGenrePage(query, 0, [0]);
+    }
+  };
+
+  // Helper: Turn (categoryId, subgenre) or (genreApiId) into { id, name }
+  const toGenreSelectionItem = (categoryIdOrApiId, subgenre) => (subgenre
+    ? { id: getGenreApiId(categoryIdOrApiId, subgenre.id), name: subgenre.name }
+    : { id: categoryIdOrApiId, name: getGenreNameFromId(categoryIdOrApiId) });
+
   /**
    * Handle genre selection
    *
-   * When you click a genre, fetch episodes for that genre!
+   * When you click a genre, fetch episodes for just that genre!
    * Can be called with either (categoryId, subgenre) or (genreApiId)
    */
-  const handleGenreClick = async (categoryIdOrApiId, subgenre = null) => {
-    // If called with two args, it's from browse mode (category + subgenre)
-    // If called with one arg, it's from type-ahead mode (full API ID)
-    const genreApiId = subgenre
-      ? getGenreApiId(categoryIdOrApiId, subgenre.id)
-      : categoryIdOrApiId;
-
-    setSelectedGenre(subgenre || { name: genreApiId });
+  const handleGenreClick = (categoryIdOrApiId, subgenre = null) => {
+    selectGenres([toGenreSelectionItem(categoryIdOrApiId, subgenre)]);
+  };
+
+  /**
+   * Add a genre to (or remove it from) the current multi-genre selection
+   */
+  const toggleGenreSelection = (categoryIdOrApiId, subgenre = null) => {
+    const genre = toGenreSelectionItem(categoryIdOrApiId, subgenre);
+    const isSelected = genreSelection.some(selected => selected.id === genre.id);
+    selectGenres(isSelected
+      ? genreSelection.filter(selected => selected.id !== genre.id)
+      : [...genreSelection, genre]);
+  };
+
+  /**
+   * Add a mood to (or remove it from) the genre view - works with or without genres
+   */
+  const toggleMoodSelection = (mood) => {
+    const isSelected = moodSelection.some(selected => selected.id === mood.id);
+    selectGenres(genreSelection, {
+      moods: isSelected
+        ? moodSelection.filter(selected => selected.id !== mood.id)
+        : [...moodSelection, mood]
+    });
+  };
+
+  /**
+   * Switch between matching ANY or ALL of the selected genres
+   */
+  const handleGenreMatchModeChange = (mode) => {
+    setGenreMatchMode(mode);
+    if (genreSelection.length > 1) {
+      selectGenres(genreSelection, { mode });
+    }
+  };
+
+  /**
+   * Switch between newest and oldest first
+   */
+  const handleGenreSortChange = (sort) => {
+    setGenreSort(sort);
+    if (hasGenreQuery) {
+      selectGenres(genreSelection, { sort });
+    }
+  };
+
+  /**
+   * Change the air-date range (changes = { from } and/or { to })
+   */
+  const updateGenreDates = (changes) => {
+    const nextDates = { ...genreDates, ...changes };
+    setGenreDates(nextDates);
+    if (hasGenreQuery) {
+      selectGenres(genreSelection, nextDates);
+    }
+  };
+
+  /**
+   * Handle show search form submission - finds NTS shows by name
+   */
+  const handleShowSearch = async (e) => {
+    e.preventDefault();
+
+    if (showSearchQuery.trim().length < 2) {
+      setError('Please enter at least 2 characters');
+      return;
+    }
+
     setLoading(true);
     setError(null);
+    setShowResults(null);
+    setSelectedShow(null);
     setEpisodes(null);
-    setCurrentPage(0);
     setSelectedEpisode(null);
     setTracklist(null);
 
     try {
-      console.log(`Searching for genre: ${genreApiId}`);
+      const response = await fetch(`/api/show?q=${encodeURIComponent(showSearchQuery.trim())}`);
 
-      // Search NTS for episodes by genre
-      const genreResponse = await fetch(
-        `/api/genre?id=${encodeURIComponent(genreApiId)}`
-      );
-
-      if (!genreResponse.ok) {
-        const errorData = await genreResponse.json();
-        throw new Error(errorData.error || 'Failed to search by genre');
+      if (!response.ok) {
+        const errorData = await response.json();
+        throw new Error(errorData.error || 'Failed to search shows');
       }
 
-      const genreData = await genreResponse.json();
-      setEpisodes(genreData.episodes);
+      const data = await response.json();
+      setShowResults(data.shows);
+    } catch (err) {
+      console.error('Error:', err);
+      setError(err.message);
+    } finally {
+      setLoading(false);
+    }
+  };
+
+  /**
+   * Fetch one page of a show's archive from /api/show
+   */
+  const fetchShowEpisodes = async (showPath, offset = 0) => {
+    const response = await fetch(`/api/show?path=${encodeURIComponent(showPath)}&offset=${offset}`);
+
+    if (!response.ok) {
+      const errorData = await response.json();
+      throw new Error(errorData.error || 'Failed to load show episodes');
+    }
+
+    return response.json();
+  };
+
+  /**
+   * Handle show selection - loads the first page of the show's episodes
+   */
+  const handleShowClick = async (show) => {
+    setSelectedShow(show);
+    setLoading(true);
+    setError(null);
+    setEpisodes(null);
+    setCurrentPage(0);
+    setSelectedEpisode(null);
+    setTracklist(null);
+    setShowEpisodesTotal(null);
 
+    try {
+      const data = await fetchShowEpisodes(show.showPath);
+      setEpisodes(data.episodes);
+      setShowEpisodesTotal(data.total);
     } catch (err) {
       console.error('Error:', err);
       setError(err.message);
@@ -295,34 +688,46 @@ export default function Home() {
     }
   };
 
-  // Get all genres flattened for type-ahead search
-  const allGenres = genreCategories.flatMap(category =>
-    category.subgenres.map(subgenre => ({
-      categoryId: category.id,
-      categoryName: category.name,
-      subgenreId: subgenre.id,
-      subgenreName: subgenre.name,
-      fullApiId: getGenreApiId(category.id, subgenre.id),
-      displayName: `${subgenre.name} (${category.name})`,
-      color: category.color
-    }))
-  );
+  /**
+   * Load the next page of the selected show's archive
+   * The archive is already newest first, so new episodes just go on the end
+   */
+  const handleLoadMoreShowEpisodes = async () => {
+    if (!selectedShow || !episodes) return;
 
-  // Filter genres based on search query
-  const filteredGenres = genreSearchQuery.trim() === ''
-    ? []
-    : allGenres.filter(genre =>
-        genre.subgenreName.toLowerCase().includes(genreSearchQuery.toLowerCase()) ||
-        genre.categoryName.toLowerCase().includes(genreSearchQuery.toLowerCase())
-      ).slice(0, 10); // Show max 10 results
+    setLoadingMore(true);
+    setError(null);
+
+    try {
+      const data = await fetchShowEpisodes(selectedShow.showPath, episodes.length);
+      setEpisodes(prev => [...prev, ...data.episodes]);
+      setShowEpisodesTotal(data.total);
+    } catch (err) {
+      console.error('Error:', err);
+      setError(err.message);
+    } finally {
+      setLoadingMore(false);
+    }
+  };
+
+  // Ranked fuzzy search (accents, typos, aliases like "dnb")
+  const filteredGenres = searchGenres(genreSearchQuery);
 
   /**
    * Handle episode click
    *
    * When you click an episode, THIS is when we fetch the tracklist!
    * Only fetch once per episode (saves API calls and is faster).
+   *
+   * The tracklist is streamed (/api/tracklist?stream=1): the tracks show up
+   * as soon as NTS answers, and Spotify players fill in as matches arrive.
    */
   const handleEpisodeClick = async (episode) => {
+    // Stop filling in the previous episode's matches
+    tracklistRequestRef.current?.abort();
+    const controller = new AbortController();
+    tracklistRequestRef.current = controller;
+
     setSelectedEpisode(episode);
     setLoadingTracklist(true);
     setError(null);
@@ -330,10 +735,23 @@ export default function Home() {
     // Mark this tracklist as viewed
     markTracklistViewed(episode.episodePath);
 
+    // Only update the tracklist if it's still this episode's
+    const updateTracklist = (update) => setTracklist(prev => (
+      prev?.episodePath === episode.episodePath ? update(prev) : prev
+    ));
+
+    // The stream failed - whatever didn't resolve isn't coming
+    const stopWaitingForMatches = () => updateTracklist(prev => ({
+      ...prev,
+      matchesPending: false,
+      tracks: prev.tracks.map(track => (track.spotifyPending ? { ...track, spotifyPending: false } : track))
+    }));
+
     try {
       // Fetch the tracklist with Spotify links for THIS specific episode
       const tracklistResponse = await fetch(
-        `/api/tracklist?path=${encodeURIComponent(episode.episodePath)}`
+        `/api/tracklist?path=${encodeURIComponent(episode.episodePath)}&stream=1`,
+        { signal: controller.signal }
       );
 
       if (!tracklistResponse.ok) {
@@ -341,14 +759,49 @@ export default function Home() {
         throw new Error(errorData.error || 'Failed to fetch tracklist');
       }
 
-      const tracklistData = await tracklistResponse.json();
-      setTracklist(tracklistData);
+      await readNdjson(tracklistResponse, (event) => {
+        if (event.type === 'tracklist') {
+          // Show the tracks straight away - Spotify matches follow
+          setTracklist({ ...event, matchesPending: true });
+          setLoadingTracklist(false);
+        } else if (event.type === 'match') {
+          // Keep any links that got here first
+          updateTracklist(prev => ({
+            ...prev,
+            tracks: prev.tracks.map((track, index) => (
+              index === event.index ? { ...event.track, links: { ...event.track.links, ...track.links } } : track
+            ))
+          }));
+        } else if (event.type === 'links') {
+          updateTracklist(prev => ({
+            ...prev,
+            tracks: prev.tracks.map((track, index) => (
+              index === event.index ? { ...track, links: { ...track.links, ...event.links } } : track
+            ))
+          }));
+        } else if (event.type === 'done') {
+          updateTracklist(prev => ({
+            ...prev,
+            matchesPending: false,
+            spotifyUnresolved: event.spotifyUnresolved,
+            cacheStats: event.cacheStats
+          }));
+        } else if (event.type === 'error') {
+          stopWaitingForMatches();
+          setError(event.error);
+        }
+      });
 
     } catch (err) {
+      if (err.name === 'AbortError') return;
       console.error('Error:', err);
+      // The connection may have dropped part-way through the stream
+      stopWaitingForMatches();
       setError(err.message);
     } finally {
-      setLoadingTracklist(false);
+      if (tracklistRequestRef.current === controller) {
+        setLoadingTracklist(false);
+      }
     }
   };
 
@@ -384,7 +837,7 @@ export default function Home() {
             onClick={() => {
               setSearchMode('home');
               setEpisodes(null);
-              setSelectedGenre(null);
+              setGenreSelection([]);
               setSelectedEpisode(null);
               setTracklist(null);
             }}
@@ -400,7 +853,7 @@ export default function Home() {
             onClick={() => {
               setSearchMode('track');
               setEpisodes(null);
-              setSelectedGenre(null);
+              setGenreSelection([]);
               setSelectedEpisode(null);
               setTracklist(null);
             }}
@@ -427,6 +880,22 @@ export default function Home() {
           >
             Browse by Genre
           </button>
+          <button
+            onClick={() => {
+              setSearchMode('show');
+              setEpisodes(null);
+              setSelectedShow(null);
+              setSelectedEpisode(null);
+              setTracklist(null);
+            }}
+            className={`px-6 py-3 rounded-lg font-semibold transition-all ${
+              searchMode === 'show'
+                ? 'bg-white text-black'
+                : 'bg-zinc-900 text-white border border-zinc-800 hover:border-zinc-600'
+            }`}
+          >
+            Browse by Show
+          </button>
           <button
             onClick={() => {
               setSearchMode('liked');
@@ -470,6 +939,8 @@ export default function Home() {
               setHomeTracks={setHomeTracks}
               selectedGenres={selectedGenres}
               setSelectedGenres={setSelectedGenres}
+              selectedMoods={selectedMoods}
+              setSelectedMoods={setSelectedMoods}
               currentStack={currentStack}
               setCurrentStack={setCurrentStack}
               stackHistory={stackHistory}
@@ -526,8 +997,8 @@ export default function Home() {
               }}
               handleCreateStack={async () => {
                 const validTracks = homeTracks.filter(t => t.artist.trim() || t.title.trim());
-                if (validTracks.length === 0 && selectedGenres.length === 0) {
-                  setError('Please add at least one track or genre');
+                if (validTracks.length === 0 && selectedGenres.length === 0 && selectedMoods.length === 0) {
+                  setError('Please add at least one track, genre or mood');
                   return;
                 }
                 setLoading(true);
@@ -543,6 +1014,7 @@ export default function Home() {
                     body: JSON.stringify({
                       tracks: validTracks,
                       genres: selectedGenres.map(g => ({ id: g.id, name: g.name })),
+                      moods: selectedMoods,
                       seenEpisodes,
                       referencedTracks
                     })
@@ -596,6 +1068,29 @@ export default function Home() {
                 />
               </div>
             </div>
+            <div className="flex items-center justify-end gap-2 mb-4">
+              <label className="flex items-center gap-2 mr-4 text-xs font-semibold text-gray-500 cursor-pointer">
+                <input
+                  type="checkbox"
+                  checked={trackStrict}
+                  onChange={(e) => handleTrackStrictChange(e.target.checked)}
+                  disabled={loading}
+                  className="accent-white"
+                />
+                CLOSE MATCHES ONLY
+              </label>
+              <label htmlFor="track-sort" className="text-xs font-semibold text-gray-500">SORT</label>
+              <select
+                id="track-sort"
+                value={trackSort}
+                onChange={(e) => handleTrackSortChange(e.target.value)}
+                className="px-3 py-2 bg-zinc-900 border border-zinc-800 rounded-lg text-sm focus:outline-none focus:ring-2 focus:ring-white"
+              >
+                {SORT_MODES.map((mode) => (
+                  <option key={mode.id} value={mode.id}>{mode.label}</option>
+                ))}
+              </select>
+            </div>
             <button
               type="submit"
               disabled={loading}
@@ -603,6 +1098,128 @@ export default function Home() {
             >
               {loading ? 'Searching...' : 'Find Episode'}
             </button>
+
+            {/* Filter chips - applied server-side by /api/nts */}
+            {trackSearch && trackFacets && (
+              <div className="mt-4 p-4 bg-zinc-900 border border-zinc-800 rounded-lg space-y-3">
+                <div className="flex items-center justify-between">
+                  <div className="text-xs font-semibold text-gray-500">FILTERS</div>
+                  {Object.values(trackFilters).some(Boolean) && (
+                    <button
+                      type="button"
+                      onClick={() => updateTrackFilters(EMPTY_TRACK_FILTERS)}
+                      className="text-xs text-gray-400 hover:text-white transition-colors"
+                    >
+                      Clear filters
+                    </button>
+                  )}
+                </div>
+
+                {/* Aired between */}
+                <div className="flex flex-wrap items-center gap-2">
+                  {[
+                    { label: 'Past month', from: daysAgo(30) },
+                    { label: 'Past year', from: daysAgo(365) }
+                  ].map((chip) => {
+                    const isActive = trackFilters.from === chip.from && !trackFilters.to;
+                    return (
+                      <button
+                        key={chip.label}
+                        type="button"
+                        onClick={() => updateTrackFilters(isActive ? { from: '', to: '' } : { from: chip.from, to: '' })}
+                        disabled={loading}
+                        className={`px-3 py-1 rounded-full text-xs font-medium transition-all border disabled:cursor-not-allowed ${
+                          isActive ? 'bg-white text-black border-white' : 'bg-zinc-800 border-zinc-700 text-gray-300 hover:border-zinc-500'
+                        }`}
+                      >
+                        {chip.label}
+                      </button>
+                    );
+                  })}
+                  <input
+                    type="date"
+                    value={trackFilters.from}
+                    onChange={(e) => updateTrackFilters({ from: e.target.value })}
+                    className="px-2 py-1 bg-black border border-zinc-700 rounded text-xs"
+                    aria-label="Aired from"
+                  />
+                  <span className="text-xs text-gray-500">to</span>
+                  <input
+                    type="date"
+                    value={trackFilters.to}
+                    onChange={(e) => updateTrackFilters({ to: e.target.value })}
+                    className="px-2 py-1 bg-black border border-zinc-700 rounded text-xs"
+                    aria-label="Aired to"
+                  />
+                </div>
+
+                {/* Locations */}
+                {trackFacets.locations.length > 0 && (
+                  <div className="flex flex-wrap gap-2">
+                    {trackFacets.locations.map((location) => {
+                      const isActive = trackFilters.location === location.name;
+                      return (
+                        <button
+                          key={location.name}
+                          type="button"
+                          onClick={() => updateTrackFilters({ location: isActive ? '' : location.name })}
+                          disabled={loading}
+                          className={`px-3 py-1 rounded-full text-xs font-medium transition-all border disabled:cursor-not-allowed ${
+                            isActive ? 'bg-white text-black border-white' : 'bg-blue-900/50 border-blue-700/50 text-blue-300 hover:border-blue-500'
+                          }`}
+                        >
+                          {location.name} <span className="opacity-60">{location.count}</span>
+                        </button>
+                      );
+                    })}
+                  </div>
+                )}
+
+                {/* Genres (top 12 in the results) */}
+                {trackFacets.genres.length > 0 && (
+                  <div className="flex flex-wrap gap-2">
+                    {trackFacets.genres.slice(0, 12).map((genre) => {
+                      const isActive = trackFilters.genre === genre.id;
+                      return (
+                        <button
+                          key={genre.id}
+                          type="button"
+                          onClick={() => updateTrackFilters({ genre: isActive ? '' : genre.id })}
+                          disabled={loading}
+                          className={`px-3 py-1 rounded-full text-xs font-medium transition-all border disabled:cursor-not-allowed ${
+                            isActive ? 'bg-white text-black border-white' : 'bg-purple-900/50 border-purple-700/50 text-purple-300 hover:border-purple-500'
+                          }`}
+                        >
+                          {genre.name} <span className="opacity-60">{genre.count}</span>
+                        </button>
+                      );
+                    })}
+                  </div>
+                )}
+
+                {/* Moods */}
+                {trackFacets.moods?.length > 0 && (
+                  <div className="flex flex-wrap gap-2">
+                    {trackFacets.moods.map((mood) => {
+                      const isActive = trackFilters.mood === mood.id;
+                      return (
+                        <button
+                          key={mood.id}
+                          type="button"
+                          onClick={() => updateTrackFilters({ mood: isActive ? '' : mood.id })}
+                          disabled={loading}
+                          className={`px-3 py-1 rounded-full text-xs font-medium transition-all border disabled:cursor-not-allowed ${
+                            isActive ? 'bg-white text-black border-white' : 'bg-teal-900/50 border-teal-700/50 text-teal-300 hover:border-teal-500'
+                          }`}
+                        >
+                          {mood.name} <span className="opacity-60">{mood.count}</span>
+                        </button>
+                      );
+                    })}
+                  </div>
+                )}
+              </div>
+            )}
           </form>
         )}
 
@@ -611,18 +1228,27 @@ export default function Home() {
           <div className="mb-12">
             <div className="flex items-center justify-between mb-4">
               <h2 className="text-xl font-semibold">
-                {genreBrowseMode === 'search' ? 'Search Genres' : 'Browse by Genre'}
+                {{ search: 'Search Genres', browse: 'Browse by Genre', mood: 'Browse by Mood' }[genreBrowseMode]}
               </h2>
-              <button
-                onClick={() => {
-                  setGenreBrowseMode(genreBrowseMode === 'search' ? 'browse' : 'search');
-                  setGenreSearchQuery('');
-                  setExpandedCategory(null);
-                }}
-                className="text-sm text-gray-400 hover:text-white transition-colors"
-              >
-                {genreBrowseMode === 'search' ? 'Browse categories instead' : 'Search instead'}
-              </button>
+              <div className="flex gap-4">
+                {[
+                  { id: 'search', label: 'Search' },
+                  { id: 'browse', label: 'Browse categories' },
+                  { id: 'mood', label: 'Moods' }
+                ].filter(option => option.id !== genreBrowseMode).map((option) => (
+                  <button
+                    key={option.id}
+                    onClick={() => {
+                      setGenreBrowseMode(option.id);
+                      setGenreSearchQuery('');
+                      setExpandedCategory(null);
+                    }}
+                    className="text-sm text-gray-400 hover:text-white transition-colors"
+                  >
+                    {option.label}
+                  </button>
+                ))}
+              </div>
             </div>
 
             {/* Type-ahead search mode */}
@@ -664,7 +1290,9 @@ export default function Home() {
                         <button
                           key={index}
                           onClick={() => {
-                            handleGenreClick(genre.fullApiId);
+                            if (!genreSelection.some(selected => selected.id === genre.fullApiId)) {
+                              toggleGenreSelection(genre.fullApiId);
+                            }
                             setGenreSearchQuery('');
                           }}
                           disabled={loading}
@@ -721,13 +1349,15 @@ export default function Home() {
               <div className="p-4 bg-zinc-900 border border-zinc-800 rounded-lg">
                 <div className="flex flex-wrap gap-2">
                   {expandedCategory.subgenres.map((subgenre) => {
-                    const isSelected = selectedGenre?.id === subgenre.id;
+                    const isSelected = genreSelection.some(
+                      selected => selected.id === getGenreApiId(expandedCategory.id, subgenre.id)
+                    );
                     const colorClass = genreColors[expandedCategory.color] || genreColors.other;
 
                     return (
                       <button
                         key={subgenre.id}
-                        onClick={() => handleGenreClick(expandedCategory.id, subgenre)}
+                        onClick={() => toggleGenreSelection(expandedCategory.id, subgenre)}
                         disabled={loading}
                         className={`
                           px-3 py-1.5 rounded-full font-medium text-xs transition-all
@@ -747,6 +1377,173 @@ export default function Home() {
             )}
               </>
             )}
+
+            {/* Mood mode - moods on their own, or narrowing down the selected genres */}
+            {genreBrowseMode === 'mood' && (
+              <MoodPicker selectedMoods={moodSelection} onToggle={toggleMoodSelection} disabled={loading} />
+            )}
+
+            {/* Selected genres (and moods) - pick several to combine them */}
+            {hasGenreQuery && (
+              <div className="mt-4 flex flex-wrap items-center gap-2">
+                <span className="text-xs font-semibold text-gray-500 mr-1">SELECTED</span>
+                {genreSelection.map((genre) => (
+                  <button
+                    key={genre.id}
+                    onClick={() => toggleGenreSelection(genre.id)}
+                    disabled={loading}
+                    className="px-3 py-1 rounded-full text-xs font-medium bg-white text-black hover:bg-gray-200 disabled:cursor-not-allowed transition-colors"
+                    title="Remove genre"
+                  >
+                    {genre.name} ×
+                  </button>
+                ))}
+                {moodSelection.map((mood) => (
+                  <button
+                    key={mood.id}
+                    onClick={() => toggleMoodSelection(mood)}
+                    disabled={loading}
+                    className="px-3 py-1 rounded-full text-xs font-medium border border-white text-white hover:bg-zinc-800 disabled:cursor-not-allowed transition-colors"
+                    title="Remove mood"
+                  >
+                    {mood.name} mood ×
+                  </button>
+                ))}
+
+                {/* Any/All only matters with more than one genre */}
+                {genreSelection.length > 1 && (
+                  <div className="flex rounded-full border border-zinc-700 overflow-hidden ml-2">
+                    {[
+                      { id: 'any', label: 'Any of these' },
+                      { id: 'all', label: 'All of these' }
+                    ].map((option) => (
+                      <button
+                        key={option.id}
+                        onClick={() => handleGenreMatchModeChange(option.id)}
+                        disabled={loading}
+                        className={`px-3 py-1 text-xs font-medium transition-colors disabled:cursor-not-allowed ${
+                          genreMatchMode === option.id ? 'bg-white text-black' : 'text-gray-300 hover:bg-zinc-800'
+                        }`}
+                      >
+                        {option.label}
+                      </button>
+                    ))}
+                  </div>
+                )}
+
+                <button
+                  onClick={() => selectGenres([], { moods: [] })}
+                  disabled={loading}
+                  className="text-xs text-gray-400 hover:text-white transition-colors ml-2"
+                >
+                  Clear
+                </button>
+              </div>
+            )}
+
+            {/* Genres that often share episodes with the last one picked */}
+            {genreSelection.length > 0 && (
+              <div className="mt-3">
+                <RelatedGenres
+                  genreIds={genreSelection.map(genre => genre.id)}
+                  onSelect={(genre) => selectGenres([...genreSelection, genre])}
+                  disabled={loading}
+                />
+              </div>
+            )}
+
+            {/* Ordering and air-date range */}
+            {hasGenreQuery && (
+              <div className="mt-3 flex flex-wrap items-center gap-2">
+                <label htmlFor="genre-sort" className="text-xs font-semibold text-gray-500 mr-1">SORT</label>
+                <select
+                  id="genre-sort"
+                  value={genreSort}
+                  onChange={(e) => handleGenreSortChange(e.target.value)}
+                  disabled={loading}
+                  className="px-3 py-1 bg-zinc-900 border border-zinc-700 rounded text-xs"
+                >
+                  <option value="newest">Newest first</option>
+                  <option value="oldest">Oldest first</option>
+                </select>
+                <span className="text-xs font-semibold text-gray-500 ml-4 mr-1">AIRED</span>
+                <input
+                  type="date"
+                  value={genreDates.from}
+                  onChange={(e) => updateGenreDates({ from: e.target.value })}
+                  disabled={loading}
+                  className="px-2 py-1 bg-black border border-zinc-700 rounded text-xs"
+                  aria-label="Aired from"
+                />
+                <span className="text-xs text-gray-500">to</span>
+                <input
+                  type="date"
+                  value={genreDates.to}
+                  onChange={(e) => updateGenreDates({ to: e.target.value })}
+                  disabled={loading}
+                  className="px-2 py-1 bg-black border border-zinc-700 rounded text-xs"
+                  aria-label="Aired to"
+                />
+                {(genreDates.from || genreDates.to) && (
+                  <button
+                    onClick={() => updateGenreDates({ from: '', to: '' })}
+                    disabled={loading}
+                    className="text-xs text-gray-400 hover:text-white transition-colors ml-1"
+                  >
+                    Any date
+                  </button>
+                )}
+              </div>
+            )}
+
+          </div>
+        )}
+
+        {/* Show Search */}
+        {searchMode === 'show' && (
+          <div className="mb-12">
+            <h2 className="text-xl font-semibold mb-4">Search Shows</h2>
+            <form onSubmit={handleShowSearch} className="flex gap-3 mb-4">
+              <input
+                type="text"
+                value={showSearchQuery}
+                onChange={(e) => setShowSearchQuery(e.target.value)}
+                placeholder="Show or resident name (e.g., Floating Points, Charlie Bones...)"
+                className="flex-1 px-4 py-3 bg-zinc-900 border border-zinc-800 rounded-lg focus:outline-none focus:ring-2 focus:ring-white text-lg"
+              />
+              <button
+                type="submit"
+                disabled={loading}
+                className="py-3 px-6 bg-white text-black font-semibold rounded-lg hover:bg-gray-200 disabled:bg-gray-600 disabled:cursor-not-allowed transition-colors"
+              >
+                {loading && !selectedShow ? 'Searching...' : 'Find Show'}
+              </button>
+            </form>
+
+            {/* Matching shows */}
+            {showResults && (
+              <div className="flex flex-wrap gap-2">
+                {showResults.map((show) => {
+                  const isSelected = selectedShow?.showPath === show.showPath;
+                  return (
+                    <button
+                      key={show.showPath}
+                      onClick={() => handleShowClick(show)}
+                      disabled={loading}
+                      title={show.description || show.name}
+                      className={`px-4 py-2 rounded-full font-semibold text-sm transition-all whitespace-nowrap border disabled:cursor-not-allowed ${
+                        isSelected
+                          ? 'bg-white text-black border-white shadow-lg'
+                          : 'bg-zinc-900 border-zinc-700 text-gray-200 hover:border-zinc-500'
+                      }`}
+                    >
+                      {show.name}
+                      {show.location && <span className="ml-2 font-normal opacity-60">{show.location}</span>}
+                    </button>
+                  );
+                })}
+              </div>
+            )}
           </div>
         )}
 
@@ -883,8 +1680,16 @@ export default function Home() {
                               <div className="flex-1 min-w-0">
                                 <h3 className="font-semibold">{track.title}</h3>
                                 <p className="text-gray-400 text-sm">{track.artist}</p>
+                                <TrackLinks links={track.links} />
                               </div>
                               <div className="flex items-center gap-2 flex-shrink-0">
+                                <SpotifyMatchPicker
+                                  artist={track.artist}
+                                  title={track.title}
+                                  spotify={track.spotify}
+                                  overridden={track.spotify?.chosenByUser}
+                                  onChange={handleSpotifyOverrideChange}
+                                />
                                 {/* Play status indicator */}
                                 <div
                                   className={`p-1.5 rounded-full ${
@@ -925,10 +1730,14 @@ export default function Home() {
                                 )}
                                 <button
                                   onClick={() => {
-                                    if (!spotifyId) return;
-                                    unlikeTrack(spotifyId);
+                                    if (spotifyId) {
+                                      unlikeTrack(spotifyId);
+                                      setLikedStates(prev => ({ ...prev, [spotifyId]: false }));
+                                    } else {
+                                      // Marked "not on Spotify" since it was liked - no ID to go by
+                                      updateLikedTracks(tracks => tracks.filter((_, i) => i !== index));
+                                    }
                                     setLikedTracksState(getLikedTracks());
-                                    setLikedStates(prev => ({ ...prev, [spotifyId]: false }));
                                   }}
                                   className="p-2 hover:bg-white/10 rounded-full transition-colors"
                                   title="Unlike"
@@ -984,11 +1793,21 @@ export default function Home() {
           <div className="mb-8">
             <div className="flex items-center justify-between mb-4">
               <h2 className="text-2xl font-bold">
-                Found {episodes.length} episode{episodes.length !== 1 ? 's' : ''}
+                {serverPaged && genrePaging.exactTotal
+                  ? `Found ${genrePaging.total} episode${genrePaging.total !== 1 ? 's' : ''}`
+                  : `Found ${episodes.length} episode${episodes.length !== 1 ? 's' : ''}`}
+                {searchMode === 'track' && totalAvailable > episodes.length && (
+                  <span className="text-base font-normal text-gray-400"> of {totalAvailable}</span>
+                )}
+                {searchMode === 'show' && selectedShow && (
+                  <span className="text-base font-normal text-gray-400">
+                    {showEpisodesTotal > episodes.length && ` of ${showEpisodesTotal}`} from {selectedShow.name}
+                  </span>
+                )}
               </h2>
               {totalPages > 1 && (
                 <div className="text-sm text-gray-400">
-                  Page {currentPage + 1} of {totalPages}
+                  Page {currentPage + 1}{totalPagesKnown ? ` of ${totalPages}` : ''}
                 </div>
               )}
             </div>
@@ -1012,6 +1831,7 @@ export default function Home() {
                   }`}>
                     Aired: {episode.airDate}
                     {episode.location && ` · ${episode.location}`}
+                    {showPlayCounts.has(episode.showPath) && ` · ${showPlayCounts.get(episode.showPath)} ${showPlayCounts.get(episode.showPath) === 1 ? 'play' : 'plays'} on this show`}
                   </div>
                   <a
                     href={`https://www.nts.live${episode.episodePath}`}
@@ -1070,6 +1890,18 @@ export default function Home() {
                     </div>
                   )}
 
+                  {/* Best match badge - the played track closely matches the artist/title searched */}
+                  {episode.isBestMatch && (
+                    <div className="mb-2">
+                      <span
+                        className="text-xs px-2 py-0.5 rounded-full bg-green-900/50 border border-green-700/50 text-green-300"
+                        title={`Match score ${Math.round(episode.matchScore * 100)}%`}
+                      >
+                        ✓ Best match
+                      </span>
+                    </div>
+                  )}
+
                   <div className="flex items-center justify-end gap-2">
                     <button
                       onClick={() => handleEpisodeClick(episode)}
@@ -1131,8 +1963,10 @@ export default function Home() {
             {totalPages > 1 && (
               <div className="flex items-center justify-center gap-4">
                 <button
-                  onClick={() => setCurrentPage(prev => Math.max(0, prev - 1))}
-                  disabled={currentPage === 0}
+                  onClick={() => (serverPaged
+                    ? goToGenrePage(currentPage - 1)
+                    : setCurrentPage(prev => Math.max(0, prev - 1)))}
+                  disabled={currentPage === 0 || loading}
                   className="p-2 rounded-lg border border-zinc-800 hover:border-zinc-600 disabled:opacity-30 disabled:cursor-not-allowed transition-colors"
                   aria-label="Previous page"
                 >
@@ -1152,12 +1986,14 @@ export default function Home() {
                 </button>
 
                 <div className="text-sm text-gray-400">
-                  {currentPage + 1} / {totalPages}
+                  {currentPage + 1}{totalPagesKnown ? ` / ${totalPages}` : ''}
                 </div>
 
                 <button
-                  onClick={() => setCurrentPage(prev => Math.min(totalPages - 1, prev + 1))}
-                  disabled={currentPage === totalPages - 1}
+                  onClick={() => (serverPaged
+                    ? goToGenrePage(currentPage + 1)
+                    : setCurrentPage(prev => Math.min(totalPages - 1, prev + 1)))}
+                  disabled={currentPage === totalPages - 1 || loading}
                   className="p-2 rounded-lg border border-zinc-800 hover:border-zinc-600 disabled:opacity-30 disabled:cursor-not-allowed transition-colors"
                   aria-label="Next page"
                 >
@@ -1177,6 +2013,32 @@ export default function Home() {
                 </button>
               </div>
             )}
+
+            {/* Load More - fetches the next batch of older plays from NTS */}
+            {searchMode === 'track' && nextCursor && (
+              <div className="flex justify-center mt-4">
+                <button
+                  onClick={handleLoadMore}
+                  disabled={loadingMore}
+                  className="px-6 py-2 rounded-lg border border-zinc-800 hover:border-zinc-600 text-sm text-gray-300 disabled:opacity-50 disabled:cursor-not-allowed transition-colors"
+                >
+                  {loadingMore ? 'Loading more...' : `Load more (${episodes.length} of ${totalAvailable})`}
+                </button>
+              </div>
+            )}
+
+            {/* Load More - next page of the show's archive */}
+            {searchMode === 'show' && showEpisodesTotal > episodes.length && (
+              <div className="flex justify-center mt-4">
+                <button
+                  onClick={handleLoadMoreShowEpisodes}
+                  disabled={loadingMore}
+                  className="px-6 py-2 rounded-lg border border-zinc-800 hover:border-zinc-600 text-sm text-gray-300 disabled:opacity-50 disabled:cursor-not-allowed transition-colors"
+                >
+                  {loadingMore ? 'Loading more...' : `Load more (${episodes.length} of ${showEpisodesTotal})`}
+                </button>
+              </div>
+            )}
           </div>
         )}
 
@@ -1196,7 +2058,8 @@ export default function Home() {
         {searchMode === 'home' && (currentStack || viewingHistoryStack) && (() => {
           const displayStack = viewingHistoryStack || currentStack;
 
-          // Group tracks by episode or tracklist
+          // Group tracks by episode or tracklist (with "wrong match?" corrections applied)
+          const overrides = getSpotifyOverrides();
           const episodeGroups = {};
           displayStack.tracks.forEach((track, index) => {
             const episodeKey = displayStack.source === '1001tl'
@@ -1219,7 +2082,7 @@ export default function Home() {
                     tracks: []
                   };
             }
-            episodeGroups[episodeKey].tracks.push({ ...track, originalIndex: index });
+            episodeGroups[episodeKey].tracks.push({ ...withSpotifyOverride(track, overrides), originalIndex: index });
           });
 
           const episodes = Object.values(episodeGroups);
@@ -1343,6 +2206,22 @@ export default function Home() {
                           </div>
                         </div>
                       )}
+
+                      {displayStack.sources.moods?.length > 0 && (
+                        <div>
+                          <div className="text-xs font-semibold text-gray-500 mb-2">MOODS:</div>
+                          <div className="flex flex-wrap gap-2">
+                            {displayStack.sources.moods.map((mood, idx) => (
+                              <div
+                                key={idx}
+                                className="px-3 py-1.5 bg-teal-900 border border-teal-700 rounded-full text-sm"
+                              >
+                                {mood}
+                              </div>
+                            ))}
+                          </div>
+                        </div>
+                      )}
                     </>
                   )}
                 </div>
@@ -1476,8 +2355,17 @@ export default function Home() {
                                       <div className="flex-1 min-w-0">
                                         <h3 className="font-semibold">{track.title}</h3>
                                         <p className="text-gray-400 text-sm">{track.artist}</p>
+                                        <TrackLinks links={track.links} />
                                       </div>
                                       <div className="flex items-center gap-2 flex-shrink-0">
+                                        <MatchConfidence spotify={track.spotify} />
+                                        <SpotifyMatchPicker
+                                          artist={track.artist}
+                                          title={track.title}
+                                          spotify={track.spotify}
+                                          overridden={track.spotifyOverridden}
+                                          onChange={handleSpotifyOverrideChange}
+                                        />
                                         {played && (
                                           <span className="px-2 py-1 bg-green-900/30 border border-green-700/50 rounded text-xs text-green-400 font-medium">
                                             PLAYED
@@ -1510,7 +2398,8 @@ export default function Home() {
                                               likeTrack({
                                                 artist: track.artist,
                                                 title: track.title,
-                                                spotify: track.spotify
+                                                spotify: track.spotify,
+                                                links: track.links
                                               });
                                               setLikedStates(prev => ({ ...prev, [spotifyId]: true }));
                                             }
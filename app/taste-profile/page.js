@@ -7,7 +7,7 @@
  *
  * How it works:
  * 1. Add artist/track combinations (like the search page)
- * 2. Add genres you like
+ * 2. Add genres and moods you like
  * 3. Click "Create Stacks" to generate a combined playlist
  * 4. System remembers what you've seen and avoids showing it again
  * 5. Previous stacks are saved with timestamps
@@ -15,6 +15,12 @@
 
 import { useState, useEffect, useRef } from 'react';
 import { genreCategories, genreColors, getGenreApiId } from '../data/genres';
+import { searchGenres } from '../utils/genreSearch';
+import RelatedGenres from '../components/RelatedGenres';
+import MoodPicker from '../components/MoodPicker';
+import MatchConfidence from '../components/MatchConfidence';
+import SpotifyMatchPicker from '../components/SpotifyMatchPicker';
+import { getSpotifyOverrides, withSpotifyOverride } from '../utils/spotifyOverrides';
 import {
   getSeenEpisodes,
   getReferencedTracks,
@@ -134,6 +140,7 @@ export default function TasteProfilePage() {
   // Taste profile inputs
   const [tracks, setTracks] = useState([{ artist: '', title: '' }]);
   const [selectedGenres, setSelectedGenres] = useState([]);
+  const [selectedMoods, setSelectedMoods] = useState([]);
 
   // Genre search/browse
   const [genreSearchQuery, setGenreSearchQuery] = useState('');
@@ -152,6 +159,7 @@ export default function TasteProfilePage() {
 
   // Track liked states for reactivity
   const [likedStates, setLikedStates] = useState({});
+  const [, setOverrideVersion] = useState(0); // bumped to re-read Spotify overrides after a change
 
   // Track played states for reactivity
   const [playedStates, setPlayedStates] = useState(new Set());
@@ -192,34 +200,25 @@ export default function TasteProfilePage() {
     }
   };
 
-  // Get all genres for search
-  const allGenres = genreCategories.flatMap(category =>
-    category.subgenres.map(subgenre => ({
-      categoryId: category.id,
-      categoryName: category.name,
-      subgenreId: subgenre.id,
-      subgenreName: subgenre.name,
-      fullApiId: getGenreApiId(category.id, subgenre.id),
-      displayName: `${subgenre.name} (${category.name})`,
-      color: category.color
-    }))
-  );
+  // Toggle mood selection
+  const toggleMood = (mood) => {
+    if (selectedMoods.find(m => m.id === mood.id)) {
+      setSelectedMoods(selectedMoods.filter(m => m.id !== mood.id));
+    } else {
+      setSelectedMoods([...selectedMoods, mood]);
+    }
+  };
 
-  // Filter genres based on search
-  const filteredGenres = genreSearchQuery.trim() === ''
-    ? []
-    : allGenres.filter(genre =>
-        genre.subgenreName.toLowerCase().includes(genreSearchQuery.toLowerCase()) ||
-        genre.categoryName.toLowerCase().includes(genreSearchQuery.toLowerCase())
-      ).slice(0, 10);
+  // Ranked fuzzy search (accents, typos, aliases like "dnb")
+  const filteredGenres = searchGenres(genreSearchQuery);
 
   // Create stack
   const handleCreateStack = async () => {
     // Validate input
     const validTracks = tracks.filter(t => t.artist.trim() || t.title.trim());
 
-    if (validTracks.length === 0 && selectedGenres.length === 0) {
-      setError('Please add at least one track or genre');
+    if (validTracks.length === 0 && selectedGenres.length === 0 && selectedMoods.length === 0) {
+      setError('Please add at least one track, genre or mood');
       return;
     }
 
@@ -242,6 +241,7 @@ export default function TasteProfilePage() {
         body: JSON.stringify({
           tracks: validTracks,
           genres: selectedGenres.map(g => g.id),
+          moods: selectedMoods,
           seenEpisodes,
           referencedTracks
         })
@@ -327,6 +327,8 @@ export default function TasteProfilePage() {
   };
 
   const displayStack = viewingHistoryStack || currentStack;
+  // "Wrong match?" corrections, applied to the stack's tracks below
+  const spotifyOverrides = displayStack ? getSpotifyOverrides() : {};
 
   return (
     <main className="min-h-screen bg-black text-white p-8">
@@ -440,6 +442,12 @@ export default function TasteProfilePage() {
                       </button>
                     ))}
                   </div>
+                  <div className="mt-3">
+                    <RelatedGenres
+                      genreIds={selectedGenres.map(genre => genre.id)}
+                      onSelect={(genre) => toggleGenre(genre.id, genre.name)}
+                    />
+                  </div>
                 </div>
               )}
 
@@ -545,6 +553,13 @@ export default function TasteProfilePage() {
               )}
             </div>
 
+            {/* Mood Selection */}
+            <div className="bg-zinc-900 border border-zinc-800 rounded-lg p-6">
+              <h2 className="text-xl font-semibold mb-1">Moods</h2>
+              <div className="text-sm text-gray-400 mb-4">Seed the stack with a vibe instead of (or as well as) genres</div>
+              <MoodPicker selectedMoods={selectedMoods} onToggle={toggleMood} />
+            </div>
+
             {/* Create Stack Button */}
             <button
               onClick={handleCreateStack}
@@ -622,11 +637,28 @@ export default function TasteProfilePage() {
                         </div>
                       </div>
                     )}
+
+                    {/* Mood Sources */}
+                    {displayStack.sources.moods?.length > 0 && (
+                      <div>
+                        <div className="text-xs font-semibold text-gray-500 mb-2">MOODS:</div>
+                        <div className="flex flex-wrap gap-2">
+                          {displayStack.sources.moods.map((mood, idx) => (
+                            <div
+                              key={idx}
+                              className="px-3 py-1.5 bg-teal-900 border border-teal-700 rounded-full text-sm"
+                            >
+                              {mood}
+                            </div>
+                          ))}
+                        </div>
+                      </div>
+                    )}
                   </div>
                 </div>
 
                 <div className="divide-y divide-zinc-800">
-                  {displayStack.tracks.map((track, index) => {
+                  {displayStack.tracks.map(track => withSpotifyOverride(track, spotifyOverrides)).map((track, index) => {
                     const liked = likedStates[track.uid] !== undefined ? likedStates[track.uid] : isTrackLiked(track.uid);
                     const played = isPlayed(displayStack.id, index);
                     return (
@@ -642,6 +674,14 @@ export default function TasteProfilePage() {
                                 <p className="text-gray-400 text-sm">{track.artist}</p>
                               </div>
                               <div className="flex items-center gap-2 flex-shrink-0">
+                                <MatchConfidence spotify={track.spotify} />
+                                <SpotifyMatchPicker
+                                  artist={track.artist}
+                                  title={track.title}
+                                  spotify={track.spotify}
+                                  overridden={track.spotifyOverridden}
+                                  onChange={() => setOverrideVersion(version => version + 1)}
+                                />
                                 {/* Play status indicator */}
                                 <div
                                   className={`p-1.5 rounded-full ${
@@ -0,0 +1,49 @@
+/**
+ * Admin route protection
+ *
+ * Admin endpoints (under /api/admin) require the shared token from the
+ * ADMIN_TOKEN environment variable, sent as:
+ *
+ *   Authorization: Bearer <token>
+ *
+ * If ADMIN_TOKEN isn't set, admin routes are disabled entirely.
+ */
+
+import crypto from 'crypto';
+import { NextResponse } from 'next/server';
+
+// Compare in constant time so the token can't be guessed byte by byte
+function tokensMatch(provided, expected) {
+  const a = Buffer.from(provided);
+  const b = Buffer.from(expected);
+  return a.length === b.length && crypto.timingSafeEqual(a, b);
+}
+
+/**
+ * Check the admin token on a request
+ *
+ * @param {Request} request
+ * @returns {NextResponse|null} An error response to return, or null if authorized
+ */
+export function requireAdmin(request) {
+  const expected = process.env.ADMIN_TOKEN;
+
+  if (!expected) {
+    return NextResponse.json(
+      { error: 'Admin API is disabled - set ADMIN_TOKEN to enable it' },
+      { status: 503 }
+    );
+  }
+
+  const header = request.headers.get('authorization') || '';
+  const provided = header.startsWith('Bearer ') ? header.slice('Bearer '.length).trim() : '';
+
+  if (!provided || !tokensMatch(provided, expected)) {
+    return NextResponse.json(
+      { error: 'Invalid or missing admin token' },
+      { status: 401 }
+    );
+  }
+
+  return null;
+}
@@ -0,0 +1,45 @@
+/**
+ * Bandcamp search client
+ *
+ * Track search only, for the `links` map (see trackLinks.js). Bandcamp has
+ * no public API, so this uses the JSON endpoint behind the search box on
+ * bandcamp.com. It needs no credentials but isn't documented - if Bandcamp
+ * changes it, lookups fail (and nothing is stored) rather than
+ * returning wrong links.
+ *
+ * Opt-in: only used when TRACK_LINK_PROVIDERS lists "bandcamp".
+ */
+
+import { createTrackProvider } from './trackProviders';
+
+const SEARCH_PATH = '/api/bcsearch_public_api/1/autocomplete_elastic';
+
+async function searchBandcampTracks(query, { fetchJson, limit }) {
+  const data = await fetchJson(SEARCH_PATH, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    // "t" = tracks only (not albums, artists or labels)
+    body: JSON.stringify({ search_text: query, search_filter: 't', full_page: false, fan_id: null })
+  });
+
+  return (data.auto?.results || [])
+    .filter(result => result.type === 't' && result.item_url_path)
+    .slice(0, limit)
+    .map(result => ({
+      id: String(result.id),
+      url: result.item_url_path,
+      name: result.name,
+      artist: result.band_name || '',
+      artists: result.band_name ? [result.band_name] : [],
+      album: result.album_name || null
+    }));
+}
+
+export const bandcampProvider = createTrackProvider({
+  id: 'bandcamp',
+  name: 'Bandcamp',
+  baseUrlEnv: 'BANDCAMP_API_BASE_URL',
+  defaultBaseUrl: 'https://bandcamp.com',
+  optIn: true,
+  search: searchBandcampTracks
+});
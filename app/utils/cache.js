@@ -1,33 +1,81 @@
 /**
- * File-based caching utilities
+ * Caching utilities
  *
- * This module provides simple file-based caching for API responses.
- * Caches are stored in the /cache directory and automatically expire.
+ * This module provides simple caching for API responses. Entries automatically
+ * expire. Where they are stored is up to the backend picked by CACHE_BACKEND
+ * (see cacheBackends.js) - by default, JSON files in the /cache directory.
  */
 
-import fs from 'fs';
-import path from 'path';
+import { createBackendFromEnv } from './cacheBackends';
 
-const CACHE_DIR = path.join(process.cwd(), 'cache');
+/**
+ * Cache settings per kind of data
+ *
+ * Tracklists almost never change once an episode has aired, while search
+ * results pick up new episodes within hours.
+ *
+ * ttlHours   - how long an entry is fresh
+ * staleHours - how much longer an expired entry may still be served
+ *              while it is refreshed in the background
+ * missTtlHours - match indexes only (see matchIndex.js): how long a
+ *              "not found" result is kept
+ */
+export const CACHE_KINDS = {
+  ntsSearch: { subDir: 'nts-search', ttlHours: 6, staleHours: 24 * 7 },
+  ntsGenre: { subDir: 'nts-genre', ttlHours: 12, staleHours: 24 * 7 },
+  ntsShow: { subDir: 'nts-show', ttlHours: 12, staleHours: 24 * 7 },
+  ntsEpisode: { subDir: 'nts-episode', ttlHours: 24 * 7, staleHours: 24 * 90 },
+  ntsTracklist: { subDir: 'nts-tracklist', ttlHours: 24 * 30, staleHours: 24 * 365 },
+  // Replaced by spotifyMatch - kept so the sweep clears out old entries
+  spotifySearch: { subDir: 'spotify-search', ttlHours: 24 * 7, staleHours: 24 * 30 },
+  // The Spotify match index (see spotifyMatchIndex.js) - "not on Spotify"
+  // results expire sooner (missTtlHours), since Spotify's catalogue grows
+  spotifyMatch: { subDir: 'spotify-match', ttlHours: 24 * 30, missTtlHours: 24 * 3, staleHours: 0 },
+  // Match indexes for the other track providers (see trackLinks.js) - same idea,
+  // but YouTube misses are kept longer since every search eats into its daily quota
+  deezerMatch: { subDir: 'deezer-match', ttlHours: 24 * 30, missTtlHours: 24 * 3, staleHours: 0 },
+  youtubeMatch: { subDir: 'youtube-match', ttlHours: 24 * 30, missTtlHours: 24 * 7, staleHours: 0 },
+  bandcampMatch: { subDir: 'bandcamp-match', ttlHours: 24 * 30, missTtlHours: 24 * 3, staleHours: 0 },
+  soundcloudMatch: { subDir: 'soundcloud-match', ttlHours: 24 * 30, missTtlHours: 24 * 3, staleHours: 0 },
+  // Not an upstream response - the genre co-occurrence graph we build up ourselves (see genreGraph.js)
+  genreGraph: { subDir: 'genre-graph', ttlHours: 24 * 365, staleHours: 0 }
+};
+
+// Upstream fetches currently running, keyed by "subDir/key"
+// Concurrent requests for the same key share one promise instead of each hitting the API
+const inFlight = new Map();
+
+// Hit/miss counters per subdirectory, since this process started
+// subDir -> { hits, staleHits, misses }
+const lookupStats = new Map();
+
+let backend = null;
 
 /**
- * Ensure cache directory exists
+ * Get the configured cache backend (created on first use)
+ *
+ * @returns {import('./cacheBackends').CacheBackend}
  */
-function ensureCacheDir(subDir = '') {
-  const dir = subDir ? path.join(CACHE_DIR, subDir) : CACHE_DIR;
-  if (!fs.existsSync(dir)) {
-    fs.mkdirSync(dir, { recursive: true });
+export function getCacheBackend() {
+  if (!backend) {
+    backend = createBackendFromEnv();
+    console.log(`Using ${backend.name} cache backend`);
   }
-  return dir;
+  return backend;
 }
 
 /**
- * Generate cache file path from key
+ * Read a raw cache entry ({ timestamp, data }) without checking its age
+ *
+ * @returns {object|null} The entry or null if missing/unreadable
  */
-function getCacheFilePath(key, subDir = '') {
-  const safeKey = key.replace(/[^a-z0-9-_]/gi, '_');
-  const dir = ensureCacheDir(subDir);
-  return path.join(dir, `${safeKey}.json`);
+function readCacheEntry(key, subDir = '') {
+  try {
+    return getCacheBackend().get(subDir, key);
+  } catch (error) {
+    console.error('Cache read error:', error);
+    return null;
+  }
 }
 
 /**
@@ -39,31 +87,23 @@ function getCacheFilePath(key, subDir = '') {
  * @returns {object|null} Cached data or null if expired/missing
  */
 export function getCachedData(key, ttlHours, subDir = '') {
-  try {
-    const filePath = getCacheFilePath(key, subDir);
-
-    if (!fs.existsSync(filePath)) {
-      return null;
-    }
-
-    const fileContent = fs.readFileSync(filePath, 'utf-8');
-    const cached = JSON.parse(fileContent);
+  const cached = readCacheEntry(key, subDir);
 
-    // Check if cache has expired
-    const age = Date.now() - cached.timestamp;
-    const maxAge = ttlHours * 60 * 60 * 1000;
+  if (!cached) {
+    return null;
+  }
 
-    if (age > maxAge) {
-      // Cache expired, delete file
-      fs.unlinkSync(filePath);
-      return null;
-    }
+  // Check if cache has expired
+  const age = Date.now() - cached.timestamp;
+  const maxAge = ttlHours * 60 * 60 * 1000;
 
-    return cached.data;
-  } catch (error) {
-    console.error('Cache read error:', error);
+  if (age > maxAge) {
+    // Cache expired, delete entry
+    getCacheBackend().delete(subDir, key);
     return null;
   }
+
+  return cached.data;
 }
 
 /**
@@ -75,55 +115,256 @@ export function getCachedData(key, ttlHours, subDir = '') {
  */
 export function setCachedData(key, data, subDir = '') {
   try {
-    const filePath = getCacheFilePath(key, subDir);
-
-    const cacheEntry = {
+    getCacheBackend().set(subDir, key, {
+      key,
       timestamp: Date.now(),
       data: data
-    };
-
-    fs.writeFileSync(filePath, JSON.stringify(cacheEntry, null, 2));
+    });
   } catch (error) {
     console.error('Cache write error:', error);
   }
 }
 
 /**
- * Clear expired cache files from a directory
+ * Count a cache lookup for the admin stats
+ */
+function recordLookup(subDir, outcome) {
+  if (!lookupStats.has(subDir)) {
+    lookupStats.set(subDir, { hits: 0, staleHits: 0, misses: 0 });
+  }
+  lookupStats.get(subDir)[outcome]++;
+}
+
+/**
+ * Run the fetcher for a key, sharing one promise between concurrent callers
+ * and caching the result once it resolves
+ */
+function fetchCoalesced(kind, key, fetcher) {
+  const flightKey = `${kind.subDir}/${key}`;
+
+  if (inFlight.has(flightKey)) {
+    return inFlight.get(flightKey);
+  }
+
+  const promise = (async () => {
+    try {
+      const data = await fetcher();
+      if (data !== null && data !== undefined) {
+        setCachedData(key, data, kind.subDir);
+      }
+      return data;
+    } finally {
+      inFlight.delete(flightKey);
+    }
+  })();
+
+  inFlight.set(flightKey, promise);
+  return promise;
+}
+
+/**
+ * Read-through cache with stale-while-revalidate
+ *
+ * - Fresh entry: returned straight away
+ * - Expired but within the stale window: returned straight away, and a
+ *   background refresh is started (at most one per key)
+ * - Missing or too old: fetched upstream; concurrent callers share the fetch
+ *
+ * Null/undefined results are not cached, so failed lookups are retried next time.
+ *
+ * @param {{ subDir: string, ttlHours: number, staleHours?: number }} kind - One of CACHE_KINDS
+ * @param {string} key - Cache key
+ * @param {Function} fetcher - Async function that loads fresh data
+ * @returns {Promise<{ data: any, fromCache: boolean, stale: boolean }>}
+ */
+export async function readThrough(kind, key, fetcher) {
+  const entry = readCacheEntry(key, kind.subDir);
+
+  if (entry) {
+    const age = Date.now() - entry.timestamp;
+    const maxAge = kind.ttlHours * 60 * 60 * 1000;
+    const maxStaleAge = maxAge + (kind.staleHours || 0) * 60 * 60 * 1000;
+
+    if (age <= maxAge) {
+      recordLookup(kind.subDir, 'hits');
+      return { data: entry.data, fromCache: true, stale: false };
+    }
+
+    if (age <= maxStaleAge) {
+      recordLookup(kind.subDir, 'staleHits');
+      // Serve the stale copy now, refresh for the next caller
+      fetchCoalesced(kind, key, fetcher).catch(error => {
+        console.error(`Background cache refresh failed for ${kind.subDir}/${key}:`, error.message);
+      });
+      return { data: entry.data, fromCache: true, stale: true };
+    }
+  }
+
+  recordLookup(kind.subDir, 'misses');
+  const data = await fetchCoalesced(kind, key, fetcher);
+  return { data, fromCache: false, stale: false };
+}
+
+/**
+ * Delete a single cache entry
+ *
+ * @param {string} key - Cache key
+ * @param {string} subDir - Subdirectory the key lives in
+ * @returns {boolean} Whether an entry was removed
+ */
+export function deleteCachedData(key, subDir = '') {
+  try {
+    return getCacheBackend().delete(subDir, key);
+  } catch (error) {
+    console.error('Cache delete error:', error);
+    return false;
+  }
+}
+
+/**
+ * Get cache statistics per subdirectory
+ *
+ * Entry counts and sizes come from the backend; hit/miss counts are for
+ * this server process only (they reset on restart).
+ *
+ * @returns {{ backend: string, totalEntries: number, totalBytes: number, namespaces: Object }}
+ */
+export function getCacheStats() {
+  const cacheBackend = getCacheBackend();
+  const namespaces = {};
+
+  const namespaceStats = (subDir) => {
+    if (!namespaces[subDir]) {
+      namespaces[subDir] = {
+        entries: 0,
+        bytes: 0,
+        oldestEntry: null,
+        newestEntry: null,
+        hits: 0,
+        staleHits: 0,
+        misses: 0,
+        hitRatio: null
+      };
+    }
+    return namespaces[subDir];
+  };
+
+  // Always report the known kinds, even when empty
+  Object.values(CACHE_KINDS).forEach(kind => namespaceStats(kind.subDir));
+
+  for (const info of cacheBackend.list('')) {
+    const stats = namespaceStats(info.namespace || 'root');
+    stats.entries++;
+    stats.bytes += info.bytes;
+    if (stats.oldestEntry === null || info.timestamp < stats.oldestEntry) stats.oldestEntry = info.timestamp;
+    if (stats.newestEntry === null || info.timestamp > stats.newestEntry) stats.newestEntry = info.timestamp;
+  }
+
+  for (const [subDir, counts] of lookupStats) {
+    const stats = namespaceStats(subDir || 'root');
+    Object.assign(stats, counts);
+    const lookups = counts.hits + counts.staleHits + counts.misses;
+    // Stale hits count as hits - the caller didn't wait on upstream
+    stats.hitRatio = lookups > 0 ? (counts.hits + counts.staleHits) / lookups : null;
+  }
+
+  // Timestamps as ISO strings for readability
+  for (const stats of Object.values(namespaces)) {
+    stats.oldestEntry = stats.oldestEntry && new Date(stats.oldestEntry).toISOString();
+    stats.newestEntry = stats.newestEntry && new Date(stats.newestEntry).toISOString();
+  }
+
+  const all = Object.values(namespaces);
+  return {
+    backend: cacheBackend.name,
+    totalEntries: all.reduce((sum, stats) => sum + stats.entries, 0),
+    totalBytes: all.reduce((sum, stats) => sum + stats.bytes, 0),
+    namespaces
+  };
+}
+
+/**
+ * Remove entries that are past their TTL and stale window, for every known kind
+ *
+ * Match indexes also lose their "not found" entries once those are past
+ * `missTtlHours` - they'd otherwise sit there until the (much longer) hit TTL.
+ *
+ * @returns {Object} Entries removed per subdirectory
+ */
+export function sweepExpiredCache() {
+  const removed = {};
+  for (const kind of Object.values(CACHE_KINDS)) {
+    removed[kind.subDir] = clearExpiredCache(kind.ttlHours + (kind.staleHours || 0), kind.subDir);
+    if (kind.missTtlHours) {
+      removed[kind.subDir] += clearExpiredMisses(kind.missTtlHours, kind.subDir);
+    }
+  }
+  return removed;
+}
+
+/**
+ * Clear match index entries that say "not found" ({ match: null }) and are
+ * older than the miss TTL (see matchIndex.js)
+ *
+ * @param {number} missTtlHours
+ * @param {string} subDir
+ * @returns {number} Number of entries removed
+ */
+function clearExpiredMisses(missTtlHours, subDir) {
+  try {
+    const cacheBackend = getCacheBackend();
+    const maxAge = missTtlHours * 60 * 60 * 1000;
+    let cleared = 0;
+
+    // Only entries old enough to be an expired miss need reading
+    for (const info of cacheBackend.list(subDir)) {
+      if (Date.now() - info.timestamp <= maxAge) continue;
+
+      const entry = cacheBackend.get(info.namespace, info.key);
+      if (entry && entry.data && entry.data.match === null) {
+        cacheBackend.delete(info.namespace, info.key);
+        cleared++;
+      }
+    }
+
+    if (cleared > 0) {
+      console.log(`Cleared ${cleared} expired "not found" entries from ${subDir}`);
+    }
+    return cleared;
+  } catch (error) {
+    console.error('Cache cleanup error:', error);
+    return 0;
+  }
+}
+
+/**
+ * Clear expired cache entries from a subdirectory
  *
  * @param {number} ttlHours - Time to live in hours
  * @param {string} subDir - Subdirectory to clean
+ * @returns {number} Number of entries removed
  */
 export function clearExpiredCache(ttlHours, subDir = '') {
   try {
-    const dir = ensureCacheDir(subDir);
-    const files = fs.readdirSync(dir);
+    const cacheBackend = getCacheBackend();
     const maxAge = ttlHours * 60 * 60 * 1000;
     let cleared = 0;
 
-    files.forEach(file => {
-      const filePath = path.join(dir, file);
-      try {
-        const fileContent = fs.readFileSync(filePath, 'utf-8');
-        const cached = JSON.parse(fileContent);
-        const age = Date.now() - cached.timestamp;
-
-        if (age > maxAge) {
-          fs.unlinkSync(filePath);
-          cleared++;
-        }
-      } catch (error) {
-        // If file is corrupted, delete it
-        fs.unlinkSync(filePath);
+    // Backends keep timestamps in their listing, so this doesn't read every entry
+    for (const info of cacheBackend.list(subDir)) {
+      if (Date.now() - info.timestamp > maxAge) {
+        cacheBackend.delete(info.namespace, info.key);
         cleared++;
       }
-    });
+    }
 
     if (cleared > 0) {
-      console.log(`Cleared ${cleared} expired cache files from ${subDir || 'root'}`);
+      console.log(`Cleared ${cleared} expired cache entries from ${subDir || 'root'}`);
     }
+    return cleared;
   } catch (error) {
     console.error('Cache cleanup error:', error);
+    return 0;
   }
 }
 
@@ -131,15 +372,15 @@ export function clearExpiredCache(ttlHours, subDir = '') {
  * Clear all cache for a specific subdirectory
  *
  * @param {string} subDir - Subdirectory to clear
+ * @returns {number} Number of entries removed
  */
 export function clearAllCache(subDir = '') {
   try {
-    const dir = path.join(CACHE_DIR, subDir);
-    if (fs.existsSync(dir)) {
-      fs.rmSync(dir, { recursive: true, force: true });
-      console.log(`Cleared all cache from ${subDir || 'root'}`);
-    }
+    const cleared = getCacheBackend().clear(subDir);
+    console.log(`Cleared all cache from ${subDir || 'root'}`);
+    return cleared;
   } catch (error) {
     console.error('Cache clear error:', error);
+    return 0;
   }
 }
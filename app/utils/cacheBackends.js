@@ -0,0 +1,485 @@
+/**
+ * Cache storage backends
+ *
+ * cache.js decides WHAT to cache and for how long; a backend only stores
+ * entries. All backends share the same small interface, so they can be
+ * swapped with the CACHE_BACKEND environment variable:
+ *
+ * - file        One JSON file per key under /cache/<namespace> (default)
+ * - memory      In-process LRU, for serverless deployments without a disk
+ * - single-file Every entry in one JSON file, like a tiny SQLite database
+ *
+ * Entries look like: { key, timestamp, data }
+ */
+
+import fs from 'fs';
+import path from 'path';
+import crypto from 'crypto';
+
+// Keep file names well under filesystem limits (long tracklist paths, track names)
+const MAX_KEY_LENGTH = 120;
+
+/**
+ * @typedef {Object} CacheEntry
+ * @property {string} key
+ * @property {number} timestamp - When the entry was written (ms since epoch)
+ * @property {any} data
+ */
+
+/**
+ * @typedef {Object} CacheEntryInfo
+ * @property {string} namespace
+ * @property {string} key
+ * @property {number} timestamp
+ * @property {number} bytes - Approximate stored size
+ */
+
+/**
+ * @typedef {Object} CacheBackend
+ * @property {string} name
+ * @property {(namespace: string, key: string) => CacheEntry|null} get
+ * @property {(namespace: string, key: string, entry: CacheEntry) => void} set
+ * @property {(namespace: string, key: string) => boolean} delete
+ * @property {(namespace: string) => number} clear - '' clears every namespace; returns entries removed
+ * @property {(namespace: string) => CacheEntryInfo[]} list - '' lists every namespace
+ */
+
+/**
+ * Write a file atomically: write a temp file next to it, then rename over it.
+ * Readers never see a half-written file.
+ */
+export function writeFileAtomic(filePath, contents) {
+  const tmpPath = `${filePath}.${process.pid}.${crypto.randomBytes(4).toString('hex')}.tmp`;
+  try {
+    fs.writeFileSync(tmpPath, contents);
+    fs.renameSync(tmpPath, filePath);
+  } catch (error) {
+    fs.rmSync(tmpPath, { force: true });
+    throw error;
+  }
+}
+
+/**
+ * Turn a cache key into a safe file name (without extension)
+ */
+function toSafeFileName(key) {
+  let safeKey = key.replace(/[^a-z0-9-_]/gi, '_');
+  if (safeKey.length > MAX_KEY_LENGTH) {
+    const hash = crypto.createHash('sha1').update(key).digest('hex');
+    safeKey = `${safeKey.slice(0, MAX_KEY_LENGTH - hash.length - 1)}_${hash}`;
+  }
+  return safeKey;
+}
+
+function matchesNamespace(info, namespace) {
+  return !namespace || info.namespace === namespace;
+}
+
+/**
+ * Drop the oldest entries until the total size is back under the limit.
+ * We evict down to 90% so we don't evict again on the very next write.
+ */
+function evictOldest(infos, totalBytes, maxBytes, remove) {
+  if (!maxBytes || totalBytes <= maxBytes) return 0;
+
+  const target = maxBytes * 0.9;
+  const oldestFirst = [...infos].sort((a, b) => a.timestamp - b.timestamp);
+  let evicted = 0;
+
+  for (const info of oldestFirst) {
+    if (totalBytes <= target) break;
+    remove(info);
+    totalBytes -= info.bytes;
+    evicted++;
+  }
+
+  if (evicted > 0) {
+    console.log(`Cache over ${maxBytes} bytes - evicted ${evicted} oldest entries`);
+  }
+  return evicted;
+}
+
+// ==================== File backend ====================
+
+/**
+ * One JSON file per key: <dir>/<namespace>/<safeKey>.json
+ *
+ * Keeps an in-memory index of file sizes and timestamps (built from one
+ * directory scan on first use), so size limits and expiry sweeps don't
+ * have to re-read every file.
+ *
+ * @param {Object} options
+ * @param {string} options.dir - Root cache directory
+ * @param {number} options.maxBytes - Total size limit (0 = unlimited)
+ * @returns {CacheBackend}
+ */
+export function createFileBackend({ dir, maxBytes = 0 }) {
+  // filePath -> CacheEntryInfo
+  let index = null;
+  let totalBytes = 0;
+
+  function namespaceDir(namespace) {
+    return namespace ? path.join(dir, namespace) : dir;
+  }
+
+  function filePathFor(namespace, key) {
+    return path.join(namespaceDir(namespace), `${toSafeFileName(key)}.json`);
+  }
+
+  function addToIndex(filePath, info) {
+    removeFromIndex(filePath);
+    index.set(filePath, info);
+    totalBytes += info.bytes;
+  }
+
+  function removeFromIndex(filePath) {
+    const existing = index.get(filePath);
+    if (existing) {
+      totalBytes -= existing.bytes;
+      index.delete(filePath);
+    }
+  }
+
+  function scanDir(currentDir, namespace) {
+    for (const dirent of fs.readdirSync(currentDir, { withFileTypes: true })) {
+      const fullPath = path.join(currentDir, dirent.name);
+      if (dirent.isDirectory()) {
+        scanDir(fullPath, namespace ? `${namespace}/${dirent.name}` : dirent.name);
+      } else if (dirent.name.endsWith('.json')) {
+        const stat = fs.statSync(fullPath);
+        addToIndex(fullPath, {
+          namespace,
+          key: dirent.name.slice(0, -'.json'.length),
+          // We write atomically, so mtime is when the entry was written
+          timestamp: stat.mtimeMs,
+          bytes: stat.size
+        });
+      }
+    }
+  }
+
+  function ensureIndex() {
+    if (index) return;
+    index = new Map();
+    totalBytes = 0;
+    if (fs.existsSync(dir)) {
+      scanDir(dir, '');
+    }
+  }
+
+  function removeFile(filePath) {
+    fs.rmSync(filePath, { force: true });
+    removeFromIndex(filePath);
+  }
+
+  return {
+    name: 'file',
+
+    get(namespace, key) {
+      const filePath = filePathFor(namespace, key);
+      if (!fs.existsSync(filePath)) {
+        return null;
+      }
+      try {
+        return JSON.parse(fs.readFileSync(filePath, 'utf-8'));
+      } catch (error) {
+        // Corrupted file - treat it as a miss and get rid of it
+        console.error('Cache read error:', error);
+        ensureIndex();
+        removeFile(filePath);
+        return null;
+      }
+    },
+
+    set(namespace, key, entry) {
+      ensureIndex();
+      const targetDir = namespaceDir(namespace);
+      if (!fs.existsSync(targetDir)) {
+        fs.mkdirSync(targetDir, { recursive: true });
+      }
+
+      const filePath = filePathFor(namespace, key);
+      const contents = JSON.stringify(entry);
+      writeFileAtomic(filePath, contents);
+      addToIndex(filePath, {
+        namespace,
+        key,
+        timestamp: entry.timestamp,
+        bytes: Buffer.byteLength(contents)
+      });
+
+      evictOldest(
+        Array.from(index, ([fp, info]) => ({ ...info, filePath: fp })),
+        totalBytes,
+        maxBytes,
+        info => removeFile(info.filePath)
+      );
+    },
+
+    delete(namespace, key) {
+      ensureIndex();
+      const filePath = filePathFor(namespace, key);
+      const existed = fs.existsSync(filePath);
+      removeFile(filePath);
+      return existed;
+    },
+
+    clear(namespace) {
+      ensureIndex();
+      let removed = 0;
+      for (const [filePath, info] of Array.from(index)) {
+        if (matchesNamespace(info, namespace)) {
+          removeFromIndex(filePath);
+          removed++;
+        }
+      }
+      fs.rmSync(namespaceDir(namespace), { recursive: true, force: true });
+      return removed;
+    },
+
+    list(namespace) {
+      ensureIndex();
+      return Array.from(index.values()).filter(info => matchesNamespace(info, namespace));
+    }
+  };
+}
+
+// ==================== Memory (LRU) backend ====================
+
+/**
+ * In-process LRU cache
+ *
+ * Nothing touches the disk, so this works on read-only serverless
+ * filesystems. Entries are lost when the process (or lambda) goes away.
+ *
+ * @param {Object} options
+ * @param {number} options.maxEntries - Least recently used entries are dropped past this
+ * @param {number} options.maxBytes - Approximate total size limit (0 = unlimited)
+ * @returns {CacheBackend}
+ */
+export function createMemoryBackend({ maxEntries = 5000, maxBytes = 0 } = {}) {
+  // Map keeps insertion order, so the first entry is always the least recently used
+  const store = new Map();
+  let totalBytes = 0;
+
+  const storeKey = (namespace, key) => `${namespace}\u0000${key}`;
+
+  function remove(id) {
+    const item = store.get(id);
+    if (item) {
+      totalBytes -= item.info.bytes;
+      store.delete(id);
+    }
+  }
+
+  return {
+    name: 'memory',
+
+    get(namespace, key) {
+      const id = storeKey(namespace, key);
+      const item = store.get(id);
+      if (!item) return null;
+
+      // Move to the back (most recently used)
+      store.delete(id);
+      store.set(id, item);
+      return item.entry;
+    },
+
+    set(namespace, key, entry) {
+      const id = storeKey(namespace, key);
+      remove(id);
+
+      const bytes = Buffer.byteLength(JSON.stringify(entry));
+      store.set(id, { entry, info: { namespace, key, timestamp: entry.timestamp, bytes } });
+      totalBytes += bytes;
+
+      while (store.size > maxEntries || (maxBytes && totalBytes > maxBytes && store.size > 1)) {
+        remove(store.keys().next().value);
+      }
+    },
+
+    delete(namespace, key) {
+      const id = storeKey(namespace, key);
+      const existed = store.has(id);
+      remove(id);
+      return existed;
+    },
+
+    clear(namespace) {
+      let removed = 0;
+      for (const [id, item] of Array.from(store)) {
+        if (matchesNamespace(item.info, namespace)) {
+          remove(id);
+          removed++;
+        }
+      }
+      return removed;
+    },
+
+    list(namespace) {
+      return Array.from(store.values(), item => item.info).filter(info => matchesNamespace(info, namespace));
+    }
+  };
+}
+
+// ==================== Single-file backend ====================
+
+/**
+ * Every entry in one JSON file (<dir>/cache-store.json)
+ *
+ * Like a tiny SQLite database: one file to copy, back up or delete. The
+ * whole store is loaded into memory on first use and written back
+ * atomically shortly after changes (writes are batched).
+ *
+ * @param {Object} options
+ * @param {string} options.dir - Directory holding the store file
+ * @param {number} options.maxBytes - Total size limit (0 = unlimited)
+ * @returns {CacheBackend}
+ */
+export function createSingleFileBackend({ dir, maxBytes = 0 }) {
+  const storePath = path.join(dir, 'cache-store.json');
+  const FLUSH_DELAY_MS = 200;
+
+  // "namespace/key" -> { entry, info }
+  let store = null;
+  let totalBytes = 0;
+  let flushTimer = null;
+
+  const storeKey = (namespace, key) => `${namespace}/${key}`;
+
+  function load() {
+    if (store) return;
+    store = new Map();
+    totalBytes = 0;
+
+    if (!fs.existsSync(storePath)) return;
+
+    try {
+      const saved = JSON.parse(fs.readFileSync(storePath, 'utf-8'));
+      for (const item of saved.entries || []) {
+        const bytes = Buffer.byteLength(JSON.stringify(item.entry));
+        store.set(storeKey(item.namespace, item.entry.key), {
+          entry: item.entry,
+          info: { namespace: item.namespace, key: item.entry.key, timestamp: item.entry.timestamp, bytes }
+        });
+        totalBytes += bytes;
+      }
+    } catch (error) {
+      console.error('Cache store is unreadable, starting empty:', error);
+    }
+  }
+
+  function flush() {
+    flushTimer = null;
+    try {
+      if (!fs.existsSync(dir)) {
+        fs.mkdirSync(dir, { recursive: true });
+      }
+      const entries = Array.from(store.values(), item => ({ namespace: item.info.namespace, entry: item.entry }));
+      writeFileAtomic(storePath, JSON.stringify({ version: 1, entries }));
+    } catch (error) {
+      console.error('Cache store write error:', error);
+    }
+  }
+
+  function scheduleFlush() {
+    if (flushTimer) return;
+    flushTimer = setTimeout(flush, FLUSH_DELAY_MS);
+    // Don't keep the process alive just to flush the cache
+    flushTimer.unref?.();
+  }
+
+  function remove(id) {
+    const item = store.get(id);
+    if (item) {
+      totalBytes -= item.info.bytes;
+      store.delete(id);
+    }
+  }
+
+  return {
+    name: 'single-file',
+
+    get(namespace, key) {
+      load();
+      return store.get(storeKey(namespace, key))?.entry || null;
+    },
+
+    set(namespace, key, entry) {
+      load();
+      const id = storeKey(namespace, key);
+      remove(id);
+
+      const bytes = Buffer.byteLength(JSON.stringify(entry));
+      store.set(id, { entry, info: { namespace, key, timestamp: entry.timestamp, bytes } });
+      totalBytes += bytes;
+
+      evictOldest(
+        Array.from(store, ([storedId, item]) => ({ ...item.info, id: storedId })),
+        totalBytes,
+        maxBytes,
+        info => remove(info.id)
+      );
+      scheduleFlush();
+    },
+
+    delete(namespace, key) {
+      load();
+      const id = storeKey(namespace, key);
+      const existed = store.has(id);
+      remove(id);
+      if (existed) scheduleFlush();
+      return existed;
+    },
+
+    clear(namespace) {
+      load();
+      let removed = 0;
+      for (const [id, item] of Array.from(store)) {
+        if (matchesNamespace(item.info, namespace)) {
+          remove(id);
+          removed++;
+        }
+      }
+      if (removed > 0) scheduleFlush();
+      return removed;
+    },
+
+    list(namespace) {
+      load();
+      return Array.from(store.values(), item => item.info).filter(info => matchesNamespace(info, namespace));
+    }
+  };
+}
+
+/**
+ * Create the backend selected by environment config
+ *
+ * CACHE_BACKEND      file | memory | single-file (default: file)
+ * CACHE_DIR          Root directory for disk backends (default: ./cache)
+ * CACHE_MAX_BYTES    Size limit for all backends (default: 200 MB, 0 = unlimited)
+ * CACHE_MAX_ENTRIES  Entry limit for the memory backend (default: 5000)
+ *
+ * @returns {CacheBackend}
+ */
+export function createBackendFromEnv(env = process.env) {
+  const dir = env.CACHE_DIR || path.join(process.cwd(), 'cache');
+  const maxBytes = env.CACHE_MAX_BYTES !== undefined
+    ? Number(env.CACHE_MAX_BYTES)
+    : 200 * 1024 * 1024;
+
+  switch (env.CACHE_BACKEND || 'file') {
+    case 'file':
+      return createFileBackend({ dir, maxBytes });
+    case 'memory':
+      return createMemoryBackend({
+        maxEntries: Number(env.CACHE_MAX_ENTRIES) || 5000,
+        maxBytes
+      });
+    case 'single-file':
+      return createSingleFileBackend({ dir, maxBytes });
+    default:
+      throw new Error(`Unknown CACHE_BACKEND "${env.CACHE_BACKEND}" (expected file, memory or single-file)`);
+  }
+}
@@ -0,0 +1,40 @@
+/**
+ * Deezer API client
+ *
+ * Track search only, for the `links` map (see trackLinks.js). Deezer's
+ * search API is public - no credentials needed.
+ *
+ * Deezer reports some errors (like its request quota) with a 200 and an
+ * `error` object in the body, so those are turned into ProviderApiErrors too.
+ */
+
+import { createTrackProvider, ProviderApiError } from './trackProviders';
+
+// Deezer's "Quota limit exceeded" error code
+const QUOTA_ERROR_CODE = 4;
+
+async function searchDeezerTracks(query, { fetchJson, limit }) {
+  const data = await fetchJson(`/search?q=${encodeURIComponent(query)}&limit=${limit}`);
+
+  if (data.error) {
+    const status = data.error.code === QUOTA_ERROR_CODE ? 429 : 502;
+    throw new ProviderApiError(`Deezer search failed: ${data.error.message || data.error.type}`, 'deezer', status);
+  }
+
+  return (data.data || []).map(track => ({
+    id: String(track.id),
+    url: track.link,
+    name: track.title,
+    artist: track.artist?.name || '',
+    artists: track.artist?.name ? [track.artist.name] : [],
+    album: track.album?.title || null
+  }));
+}
+
+export const deezerProvider = createTrackProvider({
+  id: 'deezer',
+  name: 'Deezer',
+  baseUrlEnv: 'DEEZER_API_BASE_URL',
+  defaultBaseUrl: 'https://api.deezer.com',
+  search: searchDeezerTracks
+});
@@ -0,0 +1,132 @@
+/**
+ * Episode filtering helpers
+ *
+ * Server-side filters over raw NTS search results (track search hits and
+ * genre search episodes share the fields we filter on: local_date,
+ * location, genres and moods).
+ *
+ * Query params:
+ * - from      YYYY-MM-DD, inclusive
+ * - to        YYYY-MM-DD, inclusive
+ * - location  NTS location name, e.g. "London" (comma-separated = any of)
+ * - genre     Full genre API ID, e.g. "jazz-spiritualjazz" (comma-separated = any of)
+ * - mood      NTS mood ID, e.g. "late-night" (comma-separated = any of)
+ */
+
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+
+function parseList(value) {
+  if (!value) return [];
+  return value.split(',').map(item => item.trim()).filter(Boolean);
+}
+
+/**
+ * Read filters from URL search params
+ *
+ * @param {URLSearchParams} searchParams
+ * @returns {{ filters: Object|null, error: string|null }}
+ */
+export function parseEpisodeFilters(searchParams) {
+  const from = searchParams.get('from') || null;
+  const to = searchParams.get('to') || null;
+
+  for (const [name, value] of [['from', from], ['to', to]]) {
+    if (value && (!DATE_PATTERN.test(value) || isNaN(new Date(value)))) {
+      return { filters: null, error: `Invalid ${name} date - use YYYY-MM-DD` };
+    }
+  }
+
+  if (from && to && from > to) {
+    return { filters: null, error: 'The from date must be before the to date' };
+  }
+
+  return {
+    filters: {
+      from,
+      to,
+      locations: parseList(searchParams.get('location')).map(location => location.toLowerCase()),
+      genres: parseList(searchParams.get('genre')),
+      moods: parseList(searchParams.get('mood'))
+    },
+    error: null
+  };
+}
+
+/**
+ * Whether any filter is set
+ */
+export function hasEpisodeFilters(filters) {
+  return Boolean(filters.from || filters.to || filters.locations.length || filters.genres.length || filters.moods.length);
+}
+
+/**
+ * Keep only the NTS results that match every filter
+ *
+ * @param {Object[]} results - Raw NTS results (with local_date, location, genres, moods)
+ * @param {Object} filters - From parseEpisodeFilters
+ * @returns {Object[]}
+ */
+export function filterNtsResults(results, filters) {
+  return results.filter(result => {
+    // local_date is ISO formatted, so comparing the date part as a string works
+    const date = (result.local_date || '').slice(0, 10);
+    if (filters.from && date < filters.from) return false;
+    if (filters.to && date > filters.to) return false;
+
+    if (filters.locations.length > 0) {
+      const location = (result.location || '').toLowerCase();
+      if (!filters.locations.includes(location)) return false;
+    }
+
+    if (filters.genres.length > 0) {
+      const genreIds = (result.genres || []).map(genre => genre.id);
+      if (!filters.genres.some(id => genreIds.includes(id))) return false;
+    }
+
+    if (filters.moods.length > 0) {
+      const moodIds = (result.moods || []).map(mood => mood.id);
+      if (!filters.moods.some(id => moodIds.includes(id))) return false;
+    }
+
+    return true;
+  });
+}
+
+/**
+ * Count locations, genres and moods across results, so the UI can offer filter chips
+ *
+ * @param {Object[]} results - Raw NTS results
+ * @returns {{ locations: {name: string, count: number}[], genres: {id: string, name: string, count: number}[], moods: {id: string, name: string, count: number}[] }}
+ */
+export function getEpisodeFacets(results) {
+  const locations = new Map();
+  const genres = new Map();
+  const moods = new Map();
+
+  for (const result of results) {
+    if (result.location) {
+      const current = locations.get(result.location) || { name: result.location, count: 0 };
+      current.count++;
+      locations.set(result.location, current);
+    }
+
+    for (const genre of result.genres || []) {
+      const current = genres.get(genre.id) || { id: genre.id, name: genre.name, count: 0 };
+      current.count++;
+      genres.set(genre.id, current);
+    }
+
+    for (const mood of result.moods || []) {
+      const current = moods.get(mood.id) || { id: mood.id, name: mood.name || mood.value, count: 0 };
+      current.count++;
+      moods.set(mood.id, current);
+    }
+  }
+
+  const byCount = (a, b) => b.count - a.count;
+  return {
+    locations: Array.from(locations.values()).sort(byCount),
+    genres: Array.from(genres.values()).sort(byCount),
+    moods: Array.from(moods.values()).sort(byCount)
+  };
+}
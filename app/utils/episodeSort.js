@@ -0,0 +1,80 @@
+/**
+ * Episode sort modes for track search
+ *
+ * Works on the episode objects returned by /api/nts, so the same ordering
+ * can be applied server-side (within a batch) and client-side (after
+ * merging batches, or when the user switches mode).
+ *
+ * - newest     Air date, newest first (default)
+ * - oldest     Air date, oldest first
+ * - relevance  The order NTS returned them in (see check-full-dates.js)
+ * - show       Grouped by show, shows that played the track most first
+ */
+
+export const SORT_MODES = [
+  { id: 'newest', label: 'Newest first' },
+  { id: 'oldest', label: 'Oldest first' },
+  { id: 'relevance', label: 'Most relevant' },
+  { id: 'show', label: 'By show (most plays)' }
+];
+
+export const DEFAULT_SORT = 'newest';
+
+/**
+ * Whether a sort param is one we know about
+ */
+export function isValidSort(sort) {
+  return SORT_MODES.some(mode => mode.id === sort);
+}
+
+/**
+ * Get the show path from an episode path
+ * e.g. "/shows/andre-power/episodes/getting-lost" -> "/shows/andre-power"
+ */
+export function getShowPath(episodePath) {
+  const match = (episodePath || '').match(/^\/shows\/[^/]+/);
+  return match ? match[0] : episodePath;
+}
+
+const byNewest = (a, b) => new Date(b.airDate) - new Date(a.airDate);
+
+/**
+ * Sort episodes (returns a new array)
+ *
+ * @param {Object[]} episodes - Episodes with airDate, rank and episodePath
+ * @param {string} sort - One of the SORT_MODES ids
+ * @returns {Object[]}
+ */
+export function sortEpisodes(episodes, sort = DEFAULT_SORT) {
+  const sorted = [...episodes];
+
+  switch (sort) {
+    case 'oldest':
+      return sorted.sort((a, b) => byNewest(b, a));
+
+    case 'relevance':
+      // rank is the position in the upstream NTS results
+      return sorted.sort((a, b) => a.rank - b.rank);
+
+    case 'show': {
+      // Count plays per show, then order groups by count (newest first within a show)
+      const playCounts = new Map();
+      for (const episode of episodes) {
+        const showPath = getShowPath(episode.episodePath);
+        playCounts.set(showPath, (playCounts.get(showPath) || 0) + 1);
+      }
+
+      return sorted.sort((a, b) => {
+        const showA = getShowPath(a.episodePath);
+        const showB = getShowPath(b.episodePath);
+        if (showA !== showB) {
+          return (playCounts.get(showB) - playCounts.get(showA)) || showA.localeCompare(showB);
+        }
+        return byNewest(a, b);
+      });
+    }
+
+    default:
+      return sorted.sort(byNewest);
+  }
+}
@@ -0,0 +1,159 @@
+/**
+ * Related-genres graph
+ *
+ * Every episode NTS sends us is tagged with a few genres. Genres that are
+ * often tagged on the same episode are related - e.g. Spiritual Jazz shows up
+ * alongside Ambient Jazz and Soul Jazz. This module counts those pairs from
+ * every episode the API routes see, and ranks related genres from the counts.
+ *
+ * The graph lives in memory and is saved with the cache layer (one entry in
+ * the genre-graph namespace), so it survives restarts and keeps growing.
+ * Each episode is only counted once, however many times it's seen.
+ */
+
+import { getCachedData, setCachedData, CACHE_KINDS } from './cache';
+
+const GRAPH_KEY = 'co-occurrence';
+
+// Remember this many episode paths so re-seen episodes aren't counted twice
+const MAX_SEEN_EPISODES = 20000;
+
+// Write the graph at most this often (changes are batched in memory)
+const SAVE_DELAY_MS = 2000;
+
+/**
+ * @typedef {Object} GenreGraph
+ * @property {Object<string, number>} counts - genreId -> episodes tagged with it
+ * @property {Object<string, Object<string, number>>} pairs - genreId -> { otherGenreId -> episodes with both }
+ * @property {Object<string, string>} names - genreId -> display name
+ * @property {string[]} seenEpisodes - Episode paths already counted (oldest first)
+ */
+
+let graph = null;
+let seenEpisodes = null;
+let saveTimer = null;
+
+function emptyGraph() {
+  return { counts: {}, pairs: {}, names: {}, seenEpisodes: [] };
+}
+
+/**
+ * Get the graph, loading it from the cache on first use
+ *
+ * @returns {GenreGraph}
+ */
+function loadGraph() {
+  if (!graph) {
+    const { subDir, ttlHours } = CACHE_KINDS.genreGraph;
+    graph = getCachedData(GRAPH_KEY, ttlHours, subDir) || emptyGraph();
+    seenEpisodes = new Set(graph.seenEpisodes);
+  }
+  return graph;
+}
+
+function scheduleSave() {
+  if (saveTimer) return;
+
+  saveTimer = setTimeout(() => {
+    saveTimer = null;
+    graph.seenEpisodes = Array.from(seenEpisodes);
+    setCachedData(GRAPH_KEY, graph, CACHE_KINDS.genreGraph.subDir);
+  }, SAVE_DELAY_MS);
+
+  // Don't keep the process alive just to save the graph
+  saveTimer.unref?.();
+}
+
+/**
+ * Count the genres of some episodes into the graph
+ *
+ * Takes raw NTS results or our mapped episodes - anything with a path and
+ * a genres array of { id, name }.
+ *
+ * @param {Object[]} episodes
+ * @returns {number} How many episodes were new to the graph
+ */
+export function recordEpisodeGenres(episodes) {
+  const current = loadGraph();
+  let added = 0;
+
+  for (const episode of episodes || []) {
+    const path = episode.episodePath || episode.article?.path;
+    const genres = (episode.genres || []).filter(genre => genre?.id);
+    if (!path || genres.length === 0 || seenEpisodes.has(path)) continue;
+
+    seenEpisodes.add(path);
+    added++;
+
+    const genreIds = [...new Set(genres.map(genre => genre.id))];
+    for (const genre of genres) {
+      current.names[genre.id] = genre.name || genre.value || current.names[genre.id] || genre.id;
+    }
+
+    for (const id of genreIds) {
+      current.counts[id] = (current.counts[id] || 0) + 1;
+      for (const otherId of genreIds) {
+        if (otherId === id) continue;
+        current.pairs[id] = current.pairs[id] || {};
+        current.pairs[id][otherId] = (current.pairs[id][otherId] || 0) + 1;
+      }
+    }
+  }
+
+  // Forget the oldest paths once we remember too many (Sets keep insertion order)
+  while (seenEpisodes.size > MAX_SEEN_EPISODES) {
+    seenEpisodes.delete(seenEpisodes.values().next().value);
+  }
+
+  if (added > 0) {
+    scheduleSave();
+  }
+  return added;
+}
+
+/**
+ * Get the genres most related to one genre
+ *
+ * Ranked by cosine similarity - how often the two share an episode, relative
+ * to how common each one is - so big genres like House don't relate to everything.
+ *
+ * @param {string} genreId - Full genre API ID
+ * @param {Object} options
+ * @param {number} options.limit - Max results (default 8)
+ * @param {number} options.minEpisodes - Ignore pairs seen on fewer episodes than this (default 2)
+ * @returns {{ id: string, name: string, sharedEpisodes: number, score: number }[]}
+ */
+export function getRelatedGenres(genreId, { limit = 8, minEpisodes = 2 } = {}) {
+  const current = loadGraph();
+  const neighbours = current.pairs[genreId] || {};
+  const count = current.counts[genreId] || 0;
+
+  return Object.entries(neighbours)
+    .filter(([, shared]) => shared >= minEpisodes)
+    .map(([id, shared]) => ({
+      id,
+      name: current.names[id] || id,
+      sharedEpisodes: shared,
+      score: Math.round((shared / Math.sqrt(count * current.counts[id])) * 1000) / 1000
+    }))
+    .sort((a, b) => (b.score - a.score) || (b.sharedEpisodes - a.sharedEpisodes))
+    .slice(0, limit);
+}
+
+/**
+ * How many counted episodes carry a genre
+ */
+export function getGenreEpisodeCount(genreId) {
+  return loadGraph().counts[genreId] || 0;
+}
+
+/**
+ * Size of the graph, for API responses and debugging
+ */
+export function getGenreGraphStats() {
+  const current = loadGraph();
+  return {
+    episodes: seenEpisodes.size,
+    genres: Object.keys(current.counts).length
+  };
+}
@@ -0,0 +1,196 @@
+/**
+ * Genre type-ahead search
+ *
+ * Shared by every genre picker (Browse by Genre, the Home tab and the taste
+ * profile page). Compared to a plain substring match it:
+ * - folds diacritics and punctuation ("funana" finds "Funaná", "hiphop" finds "Hip Hop")
+ * - tolerates small typos ("amapaino" finds "Amapiano")
+ * - knows common aliases ("dnb", "ukg", "r&b"...)
+ * - ranks exact and prefix matches first, then by how popular a genre is on NTS
+ */
+
+import { genreCategories, getGenreApiId } from '../data/genres';
+
+const DEFAULT_LIMIT = 10;
+
+/**
+ * Aliases people type for genres, mapped to full genre API IDs
+ * Keys are folded (see foldText), so "r&b" is stored as "r and b"
+ */
+export const GENRE_ALIASES = {
+  'dnb': ['ukdance-drumnbass'],
+  'd and b': ['ukdance-drumnbass'],
+  'drum n bass': ['ukdance-drumnbass'],
+  'drum and bass': ['ukdance-drumnbass'],
+  'hip hop': ['hiphoprandb-hiphop', 'hiphoprandb-classichiphop', 'hiphoprandb-experimentalhiphop'],
+  'r and b': ['hiphoprandb-rnb', 'soulrhythmblues-rhythmblues'],
+  'rnb': ['hiphoprandb-rnb', 'soulrhythmblues-rhythmblues'],
+  'ukg': ['ukdance-ukgarage', 'ukdance-speedgarage'],
+  'uk garage': ['ukdance-ukgarage'],
+  '2 step': ['ukdance-ukgarage'],
+  'mpb': ['latinbrazil-musicapopular'],
+  'psych': ['rock-psychedelicrock', 'rock-psychedelicfolk', 'soulrhythmblues-psychedelicsoul'],
+  'prog': ['rock-progrock'],
+  'italo disco': ['discoboogie-italo'],
+  'neo classical': ['classicalopera-minimalism', 'classicalopera-classical'],
+  'lovers': ['caribbean-loversrock']
+};
+
+/**
+ * Rough popularity on NTS (most played first) - used to break ties,
+ * so "house" lists House before Hip-House and Ghetto House
+ */
+const POPULAR_GENRES = [
+  'housetechno-house',
+  'housetechno-techno',
+  'ambientnewage-ambient',
+  'jazz-spiritualjazz',
+  'hiphoprandb-hiphop',
+  'housetechno-deephouse',
+  'soulrhythmblues-soul',
+  'soulrhythmblues-funk',
+  'avantgarde-experimental',
+  'electronicadowntempo-electronica',
+  'discoboogie-classicdisco',
+  'ukdance-drumnbass',
+  'ukdance-ukgarage',
+  'caribbean-reggae',
+  'caribbean-dub',
+  'housetechno-electro',
+  'housetechno-breaks',
+  'newclub-club',
+  'newclub-amapiano',
+  'postpunkwave-postpunk',
+  'rock-folk',
+  'latinbrazil-bossanova',
+  'hiphoprandb-rnb',
+  'ukdance-jungle',
+  'ukdance-grime',
+  'avantgarde-drone',
+  'other-pop'
+];
+
+const popularityRank = new Map(POPULAR_GENRES.map((id, index) => [id, index]));
+
+/**
+ * Fold text for matching: lowercase, no accents, "&" as "and", no punctuation
+ */
+export function foldText(value) {
+  return (value || '')
+    .normalize('NFKD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .toLowerCase()
+    .replace(/&/g, ' and ')
+    .replace(/[^a-z0-9]+/g, ' ')
+    .trim();
+}
+
+// Folded text without spaces, so "hip hop", "hip-hop" and "hiphop" all match
+function squash(value) {
+  return value.replace(/ /g, '');
+}
+
+/**
+ * Edit distance with transpositions (optimal string alignment)
+ */
+function editDistance(a, b) {
+  const rows = Array.from({ length: a.length + 1 }, (_, i) => [i]);
+  for (let j = 1; j <= b.length; j++) {
+    rows[0][j] = j;
+  }
+
+  for (let i = 1; i <= a.length; i++) {
+    for (let j = 1; j <= b.length; j++) {
+      const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+      rows[i][j] = Math.min(rows[i - 1][j] + 1, rows[i][j - 1] + 1, rows[i - 1][j - 1] + cost);
+      if (i > 1 && j > 1 && a[i - 1] === b[j - 2] && a[i - 2] === b[j - 1]) {
+        rows[i][j] = Math.min(rows[i][j], rows[i - 2][j - 2] + 1);
+      }
+    }
+  }
+
+  return rows[a.length][b.length];
+}
+
+// Longer queries may have more typos
+function maxTypos(query) {
+  if (query.length < 4) return 0;
+  return query.length < 7 ? 1 : 2;
+}
+
+/**
+ * Every subgenre, flattened, in the shape the genre pickers render
+ */
+export const allGenres = genreCategories.flatMap(category =>
+  category.subgenres.map(subgenre => ({
+    categoryId: category.id,
+    categoryName: category.name,
+    subgenreId: subgenre.id,
+    subgenreName: subgenre.name,
+    fullApiId: getGenreApiId(category.id, subgenre.id),
+    displayName: `${subgenre.name} (${category.name})`,
+    color: category.color,
+    // Pre-folded for matching
+    foldedName: foldText(subgenre.name),
+    foldedCategory: foldText(category.name)
+  }))
+);
+
+/**
+ * Score one genre against a folded query (0 = no match)
+ */
+function scoreGenre(genre, query, aliasIds) {
+  const name = genre.foldedName;
+  const squashedQuery = squash(query);
+
+  const aliasIndex = aliasIds.indexOf(genre.fullApiId);
+  if (aliasIndex !== -1) return 1000 - aliasIndex;
+
+  if (name === query || squash(name) === squashedQuery) return 900;
+  if (name.startsWith(query) || squash(name).startsWith(squashedQuery)) return 800;
+  if (name.split(' ').some(word => word.startsWith(query))) return 700;
+  if (squash(name).includes(squashedQuery)) return 500;
+
+  // Typo tolerance - compare against the start of the name, so partial words still match
+  const typos = maxTypos(squashedQuery);
+  if (typos > 0) {
+    const distance = editDistance(squashedQuery, squash(name).slice(0, squashedQuery.length));
+    if (distance <= typos) return 400 - distance * 50;
+  }
+
+  // Category matches come last ("jazz" lists every Jazz subgenre after the direct hits)
+  if (genre.foldedCategory.startsWith(query)) return 300;
+  if (genre.foldedCategory.split(' ').some(word => word.startsWith(query))) return 200;
+
+  return 0;
+}
+
+/**
+ * Search genres for a type-ahead
+ *
+ * @param {string} query - What the user typed
+ * @param {Object} options
+ * @param {number} options.limit - Max results (default 10)
+ * @returns {Object[]} Matching genres (see allGenres), best first
+ */
+export function searchGenres(query, { limit = DEFAULT_LIMIT } = {}) {
+  const folded = foldText(query);
+  if (!folded) return [];
+
+  const aliasIds = GENRE_ALIASES[folded] || GENRE_ALIASES[squash(folded)] || [];
+
+  const popularityBonus = genre => {
+    const rank = popularityRank.get(genre.fullApiId);
+    return rank === undefined ? 0 : POPULAR_GENRES.length - rank;
+  };
+
+  return allGenres
+    .map(genre => ({ genre, score: scoreGenre(genre, folded, aliasIds) }))
+    .filter(({ score }) => score > 0)
+    .sort((a, b) =>
+      (b.score - a.score) ||
+      (popularityBonus(b.genre) - popularityBonus(a.genre)) ||
+      a.genre.subgenreName.localeCompare(b.genre.subgenreName))
+    .slice(0, limit)
+    .map(({ genre }) => genre);
+}
@@ -153,7 +153,7 @@ export function getLikedEpisodes() {
 }
 
 /**
- * Like a track (save its Spotify data)
+ * Like a track (save its Spotify data and links)
  */
 export function likeTrack(track) {
   try {
@@ -165,7 +165,8 @@ export function likeTrack(track) {
       tracks.unshift({
         title: track.title,
         artist: track.artist,
-        spotify: track.spotify
+        spotify: track.spotify,
+        links: track.links
       });
       localStorage.setItem(STORAGE_KEYS.LIKED_TRACKS, JSON.stringify(tracks));
     }
@@ -215,6 +216,21 @@ export function getLikedTracks() {
   }
 }
 
+/**
+ * Rewrite the liked tracks in one go (e.g. to relink them to another Spotify match)
+ *
+ * @param {Function} update - Gets the liked tracks array, returns the new one
+ */
+export function updateLikedTracks(update) {
+  try {
+    const liked = localStorage.getItem(STORAGE_KEYS.LIKED_TRACKS);
+    const tracks = update(liked ? JSON.parse(liked) : []);
+    localStorage.setItem(STORAGE_KEYS.LIKED_TRACKS, JSON.stringify(tracks));
+  } catch (error) {
+    console.error('Error updating liked tracks:', error);
+  }
+}
+
 /**
  * Mark a 1001 Tracklists URL as viewed
  */
@@ -0,0 +1,133 @@
+/**
+ * Match index - remembered lookups for one track provider
+ *
+ * The same tracks come up again and again across NTS tracklists, so every
+ * lookup is remembered by normalized artist + title (see getTrackMatchKey in
+ * trackNormalize.js) - "Bonobo - Kerala" and "BONOBO - kerala" share one
+ * entry, and so do all the episodes that played it.
+ *
+ * Both outcomes are stored, each with its own TTL (from the cache kind):
+ * - hits: the provider's match, kept for `ttlHours`
+ * - misses: "not found", kept for `missTtlHours` (shorter - new releases
+ *   and uploads do turn up)
+ *
+ * Failed lookups are never stored. Errors listed in `rethrow` (e.g. Spotify
+ * rate limiting or bad configuration) are thrown to the caller; any other
+ * error just gives null for this request.
+ *
+ * Entries live in the cache backend under the kind's namespace, so they
+ * survive restarts and are swept/purged with the rest of the cache.
+ */
+
+import { getCachedData, setCachedData, getCacheBackend } from './cache';
+import { getTrackMatchKey } from './trackNormalize';
+
+/**
+ * @param {Object} options
+ * @param {import('./trackProviders').TrackProvider} options.provider
+ * @param {{ subDir: string, ttlHours: number, missTtlHours: number }} options.kind - One of CACHE_KINDS
+ * @param {Function[]} options.rethrow - Error classes to pass on instead of swallowing
+ * @returns {{ lookup: Function, getStats: Function }}
+ */
+export function createMatchIndex({ provider, kind, rethrow = [] }) {
+  // Lookups currently searching the provider, keyed by match key
+  // Two episodes with the same track in one stack share one search
+  const pendingLookups = new Map();
+
+  // Lookup counters since this process started
+  const stats = {
+    lookups: 0,
+    hits: 0,           // found in the index with a match
+    negativeHits: 0,   // found in the index as "not found"
+    misses: 0,         // not in the index (or expired) - searched the provider
+    stored: 0,         // matches added to the index
+    storedNegative: 0, // "not found" results added to the index
+    errors: 0,         // searches that failed (nothing stored)
+    rateLimited: 0     // searches refused with a 429 (nothing stored)
+  };
+
+  /**
+   * Read an index entry, if it's still within the TTL for its outcome
+   *
+   * @returns {{ match: Object|null, indexedAt: number }|null}
+   */
+  const readIndexEntry = (key) => {
+    // getCachedData drops anything older than the (longer) hit TTL
+    const entry = getCachedData(key, kind.ttlHours, kind.subDir);
+    if (!entry) return null;
+
+    if (!entry.match) {
+      const maxMissAge = kind.missTtlHours * 60 * 60 * 1000;
+      if (Date.now() - entry.indexedAt > maxMissAge) return null;
+    }
+
+    return entry;
+  };
+
+  const searchAndStore = async (key, artist, title) => {
+    try {
+      const match = await provider.findMatch(artist, title);
+      setCachedData(key, { artist, title, match, indexedAt: Date.now() }, kind.subDir);
+      stats[match ? 'stored' : 'storedNegative']++;
+      return match;
+    } catch (error) {
+      stats[error.status === 429 ? 'rateLimited' : 'errors']++;
+
+      if (rethrow.some(ErrorClass => error instanceof ErrorClass)) {
+        throw error;
+      }
+
+      console.error(`${provider.name} search failed for ${artist} - ${title}:`, error.message);
+      return null;
+    }
+  };
+
+  /**
+   * Get the match for a track, from the index or from the provider
+   *
+   * @param {string} artist
+   * @param {string} title
+   * @returns {Promise<{ match: Object|null, fromIndex: boolean }>}
+   */
+  const lookup = async (artist, title) => {
+    const key = getTrackMatchKey(artist, title);
+    stats.lookups++;
+
+    const entry = readIndexEntry(key);
+    if (entry) {
+      stats[entry.match ? 'hits' : 'negativeHits']++;
+      return { match: entry.match, fromIndex: true };
+    }
+
+    stats.misses++;
+
+    if (!pendingLookups.has(key)) {
+      pendingLookups.set(key, searchAndStore(key, artist, title).finally(() => {
+        pendingLookups.delete(key);
+      }));
+    }
+
+    return { match: await pendingLookups.get(key), fromIndex: false };
+  };
+
+  /**
+   * Index size and hit rate
+   *
+   * Counters are for this server process only (they reset on restart);
+   * `entries` is everything stored, expired "not found" results included
+   * until they're swept or replaced.
+   */
+  const getStats = () => {
+    const indexed = stats.hits + stats.negativeHits;
+
+    return {
+      entries: getCacheBackend().list(kind.subDir).length,
+      ttlHours: kind.ttlHours,
+      missTtlHours: kind.missTtlHours,
+      ...stats,
+      hitRatio: stats.lookups > 0 ? indexed / stats.lookups : null
+    };
+  };
+
+  return { lookup, getStats };
+}
@@ -0,0 +1,104 @@
+/**
+ * Match-quality scoring for NTS track search
+ *
+ * NTS search is free-text, so "Bonobo Kerala" also finds tracks that just
+ * share a word. These helpers score how well a search hit matches what the
+ * user actually typed, comparing artist and title separately.
+ *
+ * Scores go from 0 (nothing in common) to 1 (same artist and title).
+ */
+
+import { normalizeForMatch, normalizeTrack } from './trackNormalize';
+
+// Shared with the rest of the app, which has always imported it from here
+export { normalizeForMatch };
+
+// At or above this an episode gets the "best match" badge
+export const BEST_MATCH_SCORE = 0.9;
+
+// Below this a hit is dropped in strict mode
+export const STRICT_MATCH_SCORE = 0.6;
+
+// Floor for a candidate that contains every wanted word - kept below
+// BEST_MATCH_SCORE, or every "Love ..." title would be a best match for "love"
+const CONTAINS_ALL_WORDS_SCORE = 0.75;
+
+function bigrams(value) {
+  const compact = value.replace(/ /g, '');
+  const pairs = [];
+  for (let i = 0; i < compact.length - 1; i++) {
+    pairs.push(compact.slice(i, i + 2));
+  }
+  return pairs;
+}
+
+/**
+ * Similarity of two strings (0-1)
+ *
+ * Dice coefficient over character bigrams (tolerates typos), boosted to
+ * CONTAINS_ALL_WORDS_SCORE when every word of the wanted string appears in
+ * the candidate - so "Kerala" still scores fairly against "Kerala Dub",
+ * but only an actual match gets near 1.
+ */
+export function stringSimilarity(wanted, candidate) {
+  const a = normalizeForMatch(wanted);
+  const b = normalizeForMatch(candidate);
+
+  if (!a || !b) return 0;
+  if (a === b) return 1;
+
+  const pairsA = bigrams(a);
+  const pairsB = bigrams(b);
+  let dice = 0;
+
+  if (pairsA.length > 0 && pairsB.length > 0) {
+    const remaining = [...pairsB];
+    let overlap = 0;
+    for (const pair of pairsA) {
+      const index = remaining.indexOf(pair);
+      if (index !== -1) {
+        overlap++;
+        remaining.splice(index, 1);
+      }
+    }
+    dice = (2 * overlap) / (pairsA.length + pairsB.length);
+  }
+
+  const candidateWords = new Set(b.split(' '));
+  const containsAllWords = a.split(' ').every(word => candidateWords.has(word));
+
+  return containsAllWords ? Math.max(dice, CONTAINS_ALL_WORDS_SCORE) : dice;
+}
+
+/**
+ * Score an NTS track search hit against the artist/title that was searched
+ *
+ * Only the fields the user filled in count. Titles are compared without
+ * their NTS noise ("A1.", "[Label]", "(Original Mix)" - see trackNormalize.js),
+ * so "Kerala (Original Mix)" is a best match for "Kerala". The artist is
+ * compared against every credited artist and the best one wins.
+ *
+ * @param {{ artist?: string, title?: string }} wanted
+ * @param {Object} result - Raw NTS result (with title and artists[])
+ * @returns {number} 0-1, rounded to 2 decimals
+ */
+export function scoreTrackMatch(wanted, result) {
+  const scores = [];
+
+  if (wanted.title && wanted.title.trim()) {
+    scores.push(stringSimilarity(
+      normalizeTrack({ title: wanted.title }).title,
+      normalizeTrack({ title: result.title || '' }).title
+    ));
+  }
+
+  if (wanted.artist && wanted.artist.trim()) {
+    const artistNames = (result.artists || []).map(artist => artist.name);
+    scores.push(Math.max(0, ...artistNames.map(name => stringSimilarity(wanted.artist, name))));
+  }
+
+  if (scores.length === 0) return 0;
+
+  const average = scores.reduce((sum, score) => sum + score, 0) / scores.length;
+  return Math.round(average * 100) / 100;
+}
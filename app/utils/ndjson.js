@@ -0,0 +1,32 @@
+/**
+ * Read a streamed NDJSON response (one JSON object per line) in the browser
+ *
+ * Used for /api/tracklist?stream=1, which sends the NTS tracklist first and
+ * then one line per Spotify match as it resolves.
+ *
+ * @param {Response} response - A fetch() response with an NDJSON body
+ * @param {Function} onEvent - Called with each parsed line, in order
+ * @returns {Promise<void>} Resolves when the stream ends
+ */
+export async function readNdjson(response, onEvent) {
+  const reader = response.body.getReader();
+  const decoder = new TextDecoder();
+  let buffered = '';
+
+  const emitLines = (text) => {
+    const lines = text.split('\n');
+    // The last piece may be half a line - keep it for the next chunk
+    buffered = lines.pop();
+    for (const line of lines) {
+      if (line.trim()) onEvent(JSON.parse(line));
+    }
+  };
+
+  while (true) {
+    const { done, value } = await reader.read();
+    if (done) break;
+    emitLines(buffered + decoder.decode(value, { stream: true }));
+  }
+
+  emitLines(`${buffered}${decoder.decode()}\n`);
+}
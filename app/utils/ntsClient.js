@@ -0,0 +1,211 @@
+/**
+ * NTS API client
+ *
+ * One place for every call we make to the NTS v2 API. The API routes used to
+ * build `https://www.nts.live/api/v2/...` URLs by hand; now they call the
+ * helpers below, which share retries, backoff and timeouts.
+ *
+ * Set NTS_API_BASE_URL to point the whole app at another server
+ * (e.g. a local mock NTS on http://localhost:4000/api/v2).
+ */
+
+const DEFAULT_BASE_URL = 'https://www.nts.live/api/v2';
+
+// NTS API has a hard limit of 60 results per request
+export const NTS_PAGE_LIMIT = 60;
+
+const DEFAULT_TIMEOUT_MS = 10000;
+const DEFAULT_RETRIES = 3;
+const BASE_BACKOFF_MS = 300;
+
+/**
+ * @typedef {Object} NtsResultSet
+ * @property {number} count - Total results available upstream
+ * @property {number} offset
+ * @property {number} limit
+ */
+
+/**
+ * @typedef {Object} NtsSearchResponse
+ * @property {Object[]} results - Raw NTS result objects
+ * @property {{ resultset: NtsResultSet }} metadata
+ */
+
+/**
+ * @typedef {Object} NtsTrack
+ * @property {string} uid
+ * @property {string} artist
+ * @property {string} title
+ */
+
+/**
+ * Error thrown when NTS answers with a non-2xx status (after retries),
+ * or with a 2xx whose body isn't JSON
+ */
+export class NtsApiError extends Error {
+  constructor(message, status) {
+    super(message);
+    this.name = 'NtsApiError';
+    this.status = status;
+  }
+}
+
+/**
+ * Get the NTS API base URL (no trailing slash)
+ */
+export function getNtsBaseUrl() {
+  return (process.env.NTS_API_BASE_URL || DEFAULT_BASE_URL).replace(/\/+$/, '');
+}
+
+function sleep(ms) {
+  return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+// Retry on rate limiting and server errors - everything else is our fault
+function isRetryableStatus(status) {
+  return status === 429 || status >= 500;
+}
+
+/**
+ * Fetch JSON from the NTS API with timeout, retries and exponential backoff
+ *
+ * @param {string} pathAndQuery - Path relative to the base URL, e.g. "/search?q=..."
+ * @param {Object} options
+ * @param {number} options.timeoutMs - Per-attempt timeout
+ * @param {number} options.retries - Extra attempts after the first one
+ * @returns {Promise<Object>} Parsed JSON body
+ * @throws {NtsApiError} On a non-retryable status, an invalid JSON body, or once the retries run out
+ */
+export async function ntsFetch(pathAndQuery, { timeoutMs = DEFAULT_TIMEOUT_MS, retries = DEFAULT_RETRIES } = {}) {
+  const url = `${getNtsBaseUrl()}${pathAndQuery}`;
+  let lastError;
+
+  for (let attempt = 0; attempt <= retries; attempt++) {
+    if (attempt > 0) {
+      // 300ms, 600ms, 1200ms... plus a little jitter so parallel pages don't retry in lockstep
+      const backoff = BASE_BACKOFF_MS * 2 ** (attempt - 1) + Math.random() * 100;
+      await sleep(backoff);
+    }
+
+    try {
+      const response = await fetch(url, { signal: AbortSignal.timeout(timeoutMs) });
+
+      if (response.ok) {
+        try {
+          return await response.json();
+        } catch (error) {
+          // Asking again would get the same body - don't retry (2xx isn't a retryable status)
+          throw new NtsApiError(`NTS API returned invalid JSON for ${url}: ${error.message}`, response.status);
+        }
+      }
+
+      lastError = new NtsApiError(`NTS API returned ${response.status}`, response.status);
+
+      if (!isRetryableStatus(response.status)) {
+        throw lastError;
+      }
+
+      console.warn(`NTS API returned ${response.status} for ${url} (attempt ${attempt + 1}/${retries + 1})`);
+    } catch (error) {
+      if (error instanceof NtsApiError && !isRetryableStatus(error.status)) {
+        throw error;
+      }
+
+      // Network errors and timeouts are worth another try too
+      lastError = error;
+      if (!(error instanceof NtsApiError)) {
+        console.warn(`NTS request failed for ${url} (attempt ${attempt + 1}/${retries + 1}):`, error.message);
+      }
+    }
+  }
+
+  throw lastError;
+}
+
+/**
+ * Search NTS for tracks (free-text query)
+ *
+ * @param {string} query - Free-text query, e.g. "Kerala Bonobo"
+ * @param {Object} options
+ * @param {number} options.offset
+ * @param {number} options.limit - Max 60
+ * @returns {Promise<NtsSearchResponse>}
+ */
+export async function searchTracks(query, { offset = 0, limit = NTS_PAGE_LIMIT, ...fetchOptions } = {}) {
+  const q = encodeURIComponent(query);
+  return ntsFetch(`/search?q=${q}&version=2&offset=${offset}&limit=${limit}&types[]=track`, fetchOptions);
+}
+
+/**
+ * Search NTS for episodes tagged with a genre (and/or a mood)
+ *
+ * Pass several genre IDs to get episodes tagged with ANY of them
+ * (NTS treats repeated genres[] params as OR). Moods work the same way, and
+ * narrow the genres down - pass no genres at all to browse by mood alone.
+ *
+ * @param {string|string[]} genreIds - Full genre API ID(s), e.g. "jazz-spiritualjazz"
+ * @param {Object} options
+ * @param {number} options.offset
+ * @param {number} options.limit - Max 60
+ * @param {string[]} options.moodIds - Mood IDs, e.g. ["late-night"]
+ * @returns {Promise<NtsSearchResponse>}
+ */
+export async function searchEpisodesByGenre(genreIds, { offset = 0, limit = NTS_PAGE_LIMIT, moodIds = [], ...fetchOptions } = {}) {
+  const tags = [
+    ...[].concat(genreIds).map(id => `genres[]=${encodeURIComponent(id)}`),
+    ...[].concat(moodIds).map(id => `moods[]=${encodeURIComponent(id)}`)
+  ].join('&');
+  return ntsFetch(`/search/episodes?offset=${offset}&limit=${limit}&${tags}`, fetchOptions);
+}
+
+/**
+ * Search NTS for shows by name (free-text query)
+ *
+ * @param {string} query - e.g. "Floating Points"
+ * @param {Object} options
+ * @param {number} options.offset
+ * @param {number} options.limit - Max 60
+ * @returns {Promise<NtsSearchResponse>}
+ */
+export async function searchShows(query, { offset = 0, limit = NTS_PAGE_LIMIT, ...fetchOptions } = {}) {
+  const q = encodeURIComponent(query);
+  return ntsFetch(`/search?q=${q}&version=2&offset=${offset}&limit=${limit}&types[]=show`, fetchOptions);
+}
+
+/**
+ * Get one page of a show's episode archive (newest first)
+ *
+ * @param {string} showAlias - e.g. "floating-points"
+ * @param {Object} options
+ * @param {number} options.offset
+ * @param {number} options.limit - Max 60
+ * @returns {Promise<NtsSearchResponse>}
+ */
+export async function getShowEpisodes(showAlias, { offset = 0, limit = NTS_PAGE_LIMIT, ...fetchOptions } = {}) {
+  const alias = encodeURIComponent(showAlias);
+  return ntsFetch(`/shows/${alias}/episodes?offset=${offset}&limit=${limit}`, fetchOptions);
+}
+
+/**
+ * Get the full record for one episode
+ *
+ * @param {string} episodePath - e.g. "/shows/andre-power/episodes/getting-lost-..."
+ * @returns {Promise<Object>} Raw NTS episode (name, description, broadcast, media, audio_sources...)
+ */
+export async function getEpisode(episodePath, fetchOptions = {}) {
+  return ntsFetch(episodePath, fetchOptions);
+}
+
+/**
+ * Get the tracklist for an episode
+ *
+ * @param {string} episodePath - e.g. "/shows/andre-power/episodes/getting-lost-..."
+ * @returns {Promise<NtsTrack[]>} Tracks in play order
+ */
+export async function getTracklist(episodePath, fetchOptions = {}) {
+  const data = await ntsFetch(`${episodePath}/tracklist`, fetchOptions);
+
+  // NTS returns an object with a 'results' array containing the tracks
+  const tracklist = data.results || data;
+  return Array.isArray(tracklist) ? tracklist : [];
+}
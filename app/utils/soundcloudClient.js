@@ -0,0 +1,124 @@
+/**
+ * SoundCloud API client
+ *
+ * Track search only, for the `links` map (see trackLinks.js). Needs an app
+ * registered with SoundCloud (SOUNDCLOUD_CLIENT_ID + SOUNDCLOUD_CLIENT_SECRET)
+ * - without one SoundCloud links are just skipped. It's also opt-in: only
+ * used when TRACK_LINK_PROVIDERS lists "soundcloud".
+ *
+ * Like Spotify, SoundCloud uses the OAuth 2.0 Client Credentials flow. The
+ * token is kept in memory until just before it expires, and dropped if
+ * SoundCloud answers 401 so the next lookup gets a new one.
+ */
+
+import { createTrackProvider, parseUploadTitle, ProviderApiError } from './trackProviders';
+
+const DEFAULT_AUTH_BASE_URL = 'https://secure.soundcloud.com';
+
+// Get a new token this long before the old one runs out
+const TOKEN_EXPIRY_MARGIN_MS = 60 * 1000;
+const DEFAULT_TIMEOUT_MS = 10000;
+
+// The cached token: { accessToken, expiresAt }
+let cachedToken = null;
+// A token request in flight, so parallel searches don't each ask for one
+let pendingToken = null;
+
+function getAuthBaseUrl() {
+  return (process.env.SOUNDCLOUD_AUTH_BASE_URL || DEFAULT_AUTH_BASE_URL).replace(/\/+$/, '');
+}
+
+/**
+ * Whether the SoundCloud credentials are set
+ */
+export function isSoundcloudConfigured() {
+  return Boolean(process.env.SOUNDCLOUD_CLIENT_ID && process.env.SOUNDCLOUD_CLIENT_SECRET);
+}
+
+async function requestToken() {
+  const credentials = Buffer.from(
+    `${process.env.SOUNDCLOUD_CLIENT_ID}:${process.env.SOUNDCLOUD_CLIENT_SECRET}`
+  ).toString('base64');
+
+  const response = await fetch(`${getAuthBaseUrl()}/oauth/token`, {
+    method: 'POST',
+    headers: {
+      'Authorization': `Basic ${credentials}`,
+      'Content-Type': 'application/x-www-form-urlencoded',
+    },
+    body: 'grant_type=client_credentials',
+    signal: AbortSignal.timeout(DEFAULT_TIMEOUT_MS)
+  });
+
+  if (!response.ok) {
+    throw new ProviderApiError(`Failed to get SoundCloud token (SoundCloud returned ${response.status})`, 'soundcloud', response.status);
+  }
+
+  const data = await response.json();
+  return {
+    accessToken: data.access_token,
+    expiresAt: Date.now() + data.expires_in * 1000 - TOKEN_EXPIRY_MARGIN_MS
+  };
+}
+
+async function getSoundcloudToken() {
+  if (cachedToken && Date.now() < cachedToken.expiresAt) {
+    return cachedToken.accessToken;
+  }
+
+  if (!pendingToken) {
+    pendingToken = requestToken()
+      .then(token => {
+        cachedToken = token;
+        return token.accessToken;
+      })
+      .finally(() => {
+        pendingToken = null;
+      });
+  }
+
+  return pendingToken;
+}
+
+async function searchSoundcloudTracks(query, { fetchJson, limit }) {
+  let data;
+  try {
+    data = await fetchJson(`/tracks?q=${encodeURIComponent(query)}&limit=${limit}`, {
+      headers: { 'Authorization': `OAuth ${await getSoundcloudToken()}` }
+    });
+  } catch (error) {
+    if (error instanceof ProviderApiError && error.status === 401) {
+      cachedToken = null;
+    }
+    throw error;
+  }
+
+  // A plain array, or { collection } when SoundCloud paginates
+  const tracks = Array.isArray(data) ? data : (data.collection || []);
+
+  return tracks
+    .filter(track => track.permalink_url)
+    .map(track => {
+      // Labels and distributors fill in publisher_metadata; user uploads rarely do
+      const publisherArtist = track.publisher_metadata?.artist;
+      const parsed = parseUploadTitle(track.title, track.user?.username);
+      const artist = publisherArtist || parsed.artist;
+      return {
+        id: String(track.id),
+        url: track.permalink_url,
+        name: publisherArtist ? track.title : parsed.name,
+        artist,
+        artists: artist ? [artist] : []
+      };
+    });
+}
+
+export const soundcloudProvider = createTrackProvider({
+  id: 'soundcloud',
+  name: 'SoundCloud',
+  baseUrlEnv: 'SOUNDCLOUD_API_BASE_URL',
+  defaultBaseUrl: 'https://api.soundcloud.com',
+  isConfigured: isSoundcloudConfigured,
+  optIn: true,
+  search: searchSoundcloudTracks
+});
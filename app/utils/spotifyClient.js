@@ -0,0 +1,329 @@
+/**
+ * Spotify API client
+ *
+ * One place for every call we make to Spotify. /api/tracklist and
+ * /api/taste-profile/create-stack used to each carry their own copy of
+ * getSpotifyToken() and asked for a new token on every request.
+ *
+ * Spotify uses the OAuth 2.0 Client Credentials flow: we swap
+ * SPOTIFY_CLIENT_ID + SPOTIFY_CLIENT_SECRET for an access token that lasts an
+ * hour (`expires_in`). The token is kept in memory and reused until just
+ * before it expires, and refreshed early if Spotify answers 401.
+ *
+ * Track search scores several candidates (see trackMatch.js) rather than
+ * trusting the first hit.
+ *
+ * Every API call goes through one work queue, so a big stack can't fire
+ * hundreds of searches at once: at most SPOTIFY_CONCURRENCY run at a time
+ * (default 4). When Spotify answers 429 the whole queue waits out
+ * `Retry-After` and the throttled call is tried again; if it's still
+ * throttled after a few tries, SpotifyRateLimitError is thrown so callers
+ * can tell "rate limited" apart from "not on Spotify".
+ *
+ * Set SPOTIFY_API_BASE_URL / SPOTIFY_ACCOUNTS_BASE_URL to point the app at
+ * another server (e.g. a local mock), like NTS_API_BASE_URL for NTS.
+ *
+ * `spotifyProvider` wraps findSpotifyMatch() in the same interface as the
+ * other track providers (see trackProviders.js).
+ */
+
+import { buildSearchQuery, rankTrackCandidates } from './trackMatch';
+import { createWorkQueue } from './workQueue';
+
+const DEFAULT_API_BASE_URL = 'https://api.spotify.com/v1';
+const DEFAULT_ACCOUNTS_BASE_URL = 'https://accounts.spotify.com/api';
+
+// Get a new token this long before the old one runs out
+const TOKEN_EXPIRY_MARGIN_MS = 60 * 1000;
+
+const DEFAULT_TIMEOUT_MS = 10000;
+
+const DEFAULT_CONCURRENCY = 4;
+// Retry a throttled call this many times before giving up on it
+const RATE_LIMIT_RETRIES = 3;
+// Waits when Spotify sends no Retry-After: 1s, 2s, 4s
+const BASE_RATE_LIMIT_WAIT_MS = 1000;
+// Don't hold a request open longer than this for one Retry-After - give up instead
+const MAX_RETRY_AFTER_MS = 30 * 1000;
+
+// Score this many search hits per track, and keep this many runners-up
+const CANDIDATE_LIMIT = 5;
+const MAX_ALTERNATES = 3;
+
+/**
+ * @typedef {Object} SpotifyTrackMatch
+ * @property {string} id - Spotify track ID (embed URL is https://open.spotify.com/embed/track/{id})
+ * @property {string} uri
+ * @property {string} url
+ * @property {string} name
+ * @property {string} artist - First credited artist
+ * @property {string[]} artists - Every credited artist
+ * @property {string|null} album
+ * @property {number} confidence - 0-1, how sure we are this is the track NTS played
+ * @property {Object[]} alternates - The next best candidates (same fields, no alternates), best first
+ */
+
+/**
+ * Error thrown when Spotify answers with a non-2xx status
+ */
+export class SpotifyApiError extends Error {
+  constructor(message, status) {
+    super(message);
+    this.name = 'SpotifyApiError';
+    this.status = status;
+  }
+}
+
+/**
+ * Error thrown when Spotify kept answering 429 after our retries
+ * (or asked us to wait longer than MAX_RETRY_AFTER_MS)
+ */
+export class SpotifyRateLimitError extends SpotifyApiError {
+  constructor(message, retryAfterMs) {
+    super(message, 429);
+    this.name = 'SpotifyRateLimitError';
+    this.retryAfterMs = retryAfterMs;
+  }
+}
+
+/**
+ * Error thrown when the Spotify credentials aren't set (or Spotify rejects them)
+ */
+export class SpotifyConfigError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'SpotifyConfigError';
+  }
+}
+
+// The cached token: { accessToken, expiresAt } - shared by every request in this process
+let cachedToken = null;
+// A token request in flight, so parallel searches don't each ask for one
+let pendingToken = null;
+
+// Every Spotify API call in this process shares one queue (and one rate limit)
+const requestQueue = createWorkQueue({
+  concurrency: Number(process.env.SPOTIFY_CONCURRENCY) || DEFAULT_CONCURRENCY
+});
+
+function getApiBaseUrl() {
+  return (process.env.SPOTIFY_API_BASE_URL || DEFAULT_API_BASE_URL).replace(/\/+$/, '');
+}
+
+function getAccountsBaseUrl() {
+  return (process.env.SPOTIFY_ACCOUNTS_BASE_URL || DEFAULT_ACCOUNTS_BASE_URL).replace(/\/+$/, '');
+}
+
+/**
+ * Whether the Spotify credentials are set
+ */
+export function isSpotifyConfigured() {
+  return Boolean(process.env.SPOTIFY_CLIENT_ID && process.env.SPOTIFY_CLIENT_SECRET);
+}
+
+async function requestToken() {
+  if (!isSpotifyConfigured()) {
+    throw new SpotifyConfigError('Spotify is not configured - set SPOTIFY_CLIENT_ID and SPOTIFY_CLIENT_SECRET');
+  }
+
+  // Base64 encode "client_id:client_secret" for HTTP Basic auth
+  const credentials = Buffer.from(
+    `${process.env.SPOTIFY_CLIENT_ID}:${process.env.SPOTIFY_CLIENT_SECRET}`
+  ).toString('base64');
+
+  const response = await fetch(`${getAccountsBaseUrl()}/token`, {
+    method: 'POST',
+    headers: {
+      'Authorization': `Basic ${credentials}`,
+      'Content-Type': 'application/x-www-form-urlencoded',
+    },
+    body: 'grant_type=client_credentials',
+    signal: AbortSignal.timeout(DEFAULT_TIMEOUT_MS)
+  });
+
+  // 400/401 here means the credentials themselves are wrong - retrying won't help
+  if (response.status === 400 || response.status === 401) {
+    throw new SpotifyConfigError('Spotify rejected the client credentials - check SPOTIFY_CLIENT_ID and SPOTIFY_CLIENT_SECRET');
+  }
+
+  if (!response.ok) {
+    throw new SpotifyApiError(`Failed to get Spotify token (Spotify returned ${response.status})`, response.status);
+  }
+
+  const data = await response.json();
+  return {
+    accessToken: data.access_token,
+    expiresAt: Date.now() + data.expires_in * 1000 - TOKEN_EXPIRY_MARGIN_MS
+  };
+}
+
+/**
+ * Get a Spotify access token, reusing the cached one while it's still good
+ *
+ * @param {Object} options
+ * @param {string} options.rejectedToken - A token Spotify just answered 401 to - never hand it out again
+ *   (if another request already replaced it, the replacement is reused)
+ * @returns {Promise<string>}
+ */
+export async function getSpotifyToken({ rejectedToken = null } = {}) {
+  const isUsable = cachedToken
+    && Date.now() < cachedToken.expiresAt
+    && cachedToken.accessToken !== rejectedToken;
+  if (isUsable) {
+    return cachedToken.accessToken;
+  }
+
+  if (!pendingToken) {
+    console.log('Getting Spotify access token...');
+    pendingToken = requestToken()
+      .then(token => {
+        cachedToken = token;
+        return token.accessToken;
+      })
+      .finally(() => {
+        pendingToken = null;
+      });
+  }
+
+  return pendingToken;
+}
+
+/**
+ * How long Spotify wants us to wait, from a 429's Retry-After header
+ * (seconds or an HTTP date) - or our own backoff if it didn't say
+ */
+function getRetryAfterMs(response, attempt) {
+  const header = response.headers.get('retry-after');
+  if (header) {
+    const seconds = Number(header);
+    if (Number.isFinite(seconds)) return Math.max(0, seconds * 1000);
+    const date = Date.parse(header);
+    if (!Number.isNaN(date)) return Math.max(0, date - Date.now());
+  }
+  return BASE_RATE_LIMIT_WAIT_MS * 2 ** attempt;
+}
+
+/**
+ * Fetch JSON from the Spotify Web API with the client-credentials token
+ *
+ * Runs in the shared request queue. On a 401 the token is refreshed and the
+ * request tried once more (Spotify can revoke tokens before `expires_in`).
+ * On a 429 the queue pauses for `Retry-After` and the request goes back in
+ * line, up to RATE_LIMIT_RETRIES times.
+ *
+ * @param {string} pathAndQuery - Path relative to the API base URL, e.g. "/search?q=..."
+ * @returns {Promise<Object>} Parsed JSON body
+ * @throws {SpotifyRateLimitError} If Spotify is still throttling us after the retries
+ */
+export async function spotifyFetch(pathAndQuery) {
+  const url = `${getApiBaseUrl()}${pathAndQuery}`;
+
+  const send = async (accessToken) => fetch(url, {
+    headers: { 'Authorization': `Bearer ${accessToken}` },
+    signal: AbortSignal.timeout(DEFAULT_TIMEOUT_MS)
+  });
+
+  const attemptRequest = async () => {
+    const accessToken = await getSpotifyToken();
+    let response = await send(accessToken);
+
+    if (response.status === 401) {
+      console.warn('Spotify rejected the access token - refreshing it');
+      response = await send(await getSpotifyToken({ rejectedToken: accessToken }));
+    }
+
+    return response;
+  };
+
+  for (let attempt = 0; ; attempt++) {
+    const response = await requestQueue.run(attemptRequest);
+
+    if (response.status === 429) {
+      const retryAfterMs = getRetryAfterMs(response, attempt);
+      // Everyone waits - the rate limit is per app, not per request
+      requestQueue.pauseFor(Math.min(retryAfterMs, MAX_RETRY_AFTER_MS));
+
+      if (attempt >= RATE_LIMIT_RETRIES || retryAfterMs > MAX_RETRY_AFTER_MS) {
+        throw new SpotifyRateLimitError(`Spotify is rate limiting us (retry after ${Math.ceil(retryAfterMs / 1000)}s)`, retryAfterMs);
+      }
+
+      console.warn(`Spotify returned 429 - retrying in ${Math.ceil(retryAfterMs / 1000)}s (attempt ${attempt + 1}/${RATE_LIMIT_RETRIES + 1})`);
+      continue;
+    }
+
+    if (!response.ok) {
+      throw new SpotifyApiError(`Spotify API returned ${response.status}`, response.status);
+    }
+
+    return response.json();
+  }
+}
+
+/**
+ * Search Spotify for tracks (free-text query)
+ *
+ * @param {string} query - e.g. "Bonobo Kerala"
+ * @param {Object} options
+ * @param {number} options.limit - Max 50
+ * @returns {Promise<Object[]>} Tracks in Spotify's order (SpotifyTrackMatch fields, no confidence yet)
+ */
+export async function searchSpotifyTracks(query, { limit = CANDIDATE_LIMIT } = {}) {
+  const data = await spotifyFetch(`/search?q=${encodeURIComponent(query)}&type=track&limit=${limit}`);
+
+  return (data.tracks?.items || []).map(track => ({
+    id: track.id,
+    uri: track.uri,
+    url: track.external_urls.spotify,
+    name: track.name,
+    artist: track.artists[0]?.name || '',
+    artists: track.artists.map(trackArtist => trackArtist.name),
+    album: track.album?.name || null
+  }));
+}
+
+/**
+ * Find the Spotify track NTS played
+ *
+ * Fetches several candidates and scores each against the artist/title
+ * (see trackMatch.js), instead of trusting Spotify's first hit. Returns the
+ * best one with its `confidence` and the runners-up as `alternates`, or null
+ * if Spotify has nothing. Any failure is thrown, so callers that remember
+ * "not on Spotify" (see spotifyMatchIndex.js) don't mistake it for a miss.
+ *
+ * @param {string} artist
+ * @param {string} title
+ * @returns {Promise<SpotifyTrackMatch|null>}
+ */
+export async function findSpotifyMatch(artist, title) {
+  // Spotify search is pretty forgiving - artist and title in one query works well,
+  // once the NTS noise ("A1.", "[Label]", "feat. X", "(Original Mix)") is gone
+  const candidates = await searchSpotifyTracks(buildSearchQuery(artist, title));
+
+  if (candidates.length === 0) {
+    return null;
+  }
+
+  const [best, ...runnersUp] = rankTrackCandidates({ artist, title }, candidates);
+
+  return {
+    ...best,
+    artist: best.artist || artist,
+    alternates: runnersUp.slice(0, MAX_ALTERNATES)
+  };
+}
+
+/**
+ * Spotify as a track provider (see trackProviders.js)
+ *
+ * Unlike the other providers it keeps low-confidence matches (with their
+ * alternates) - the UI flags them and lets you pick the right one.
+ *
+ * @type {import('./trackProviders').TrackProvider}
+ */
+export const spotifyProvider = {
+  id: 'spotify',
+  name: 'Spotify',
+  isConfigured: isSpotifyConfigured,
+  getBaseUrl: getApiBaseUrl,
+  findMatch: findSpotifyMatch
+};
@@ -0,0 +1,92 @@
+/**
+ * Add Spotify matches (and links to other providers) to a list of NTS tracks
+ *
+ * Shared by /api/tracklist and /api/taste-profile/create-stack. Each track is
+ * looked up in the Spotify match index first (see spotifyMatchIndex.js);
+ * misses go to Spotify through the client's bounded request queue (see
+ * spotifyClient.js), so it's fine to start them all at once here.
+ *
+ * At the same time each track is looked up in the other providers (Deezer,
+ * Bandcamp, ...), which go into its `links` map together with the Spotify
+ * match - see trackLinks.js. Those lookups run on their own: a slow provider
+ * never holds a Spotify match back, and never fails the request.
+ *
+ * A track Spotify kept rate limiting is NOT "not on Spotify": it gets
+ * `spotify: null` plus `spotifyRateLimited: true`, isn't indexed, and is
+ * listed in `rateLimited` so the UI can offer to try again later.
+ */
+
+import { SpotifyRateLimitError } from './spotifyClient';
+import { lookupSpotifyMatch } from './spotifyMatchIndex';
+import { lookupTrackLinks } from './trackLinks';
+import { toTrackLink } from './trackProviders';
+
+/**
+ * @param {Object[]} tracks - NTS tracks (anything with artist, title and uid)
+ * @param {Object} options
+ * @param {Function} options.onMatch - Called as each Spotify match resolves, with
+ *   (index, enrichedTrack, fromIndex) - for streaming results (see /api/tracklist?stream=1).
+ *   The track's `links` only has Spotify's so far.
+ * @param {Function} options.onLinks - Called as each track's other links resolve,
+ *   with (index, links) - provider id -> link, Spotify excluded
+ * @returns {Promise<{ tracks: Object[], cacheHits: number, rateLimited: Object[] }>}
+ *   `tracks` are the input tracks with `spotify` and `links` added; `rateLimited` lists
+ *   { uid, artist, title } of the ones left unresolved because of 429s.
+ * @throws {SpotifyConfigError} If Spotify isn't configured
+ */
+export async function enrichTracksWithSpotify(tracks, { onMatch, onLinks } = {}) {
+  let cacheHits = 0;
+  const rateLimited = [];
+
+  // Runs alongside the Spotify lookups (lookupTrackLinks never rejects)
+  const linkLookups = Promise.all(
+    tracks.map(async (track, index) => {
+      const links = await lookupTrackLinks(track.artist, track.title);
+      onLinks?.(index, links);
+      return links;
+    })
+  );
+
+  const matched = await Promise.all(
+    tracks.map(async (track, index) => {
+      let enriched;
+      let fromIndex = false;
+
+      try {
+        // The Spotify client only gets a token once a lookup misses the index (and reuses it for an hour)
+        const lookup = await lookupSpotifyMatch(track.artist, track.title);
+        fromIndex = lookup.fromIndex;
+
+        if (fromIndex) {
+          cacheHits++;
+        }
+
+        enriched = { ...track, spotify: lookup.match };
+      } catch (error) {
+        if (!(error instanceof SpotifyRateLimitError)) {
+          throw error;
+        }
+
+        rateLimited.push({ uid: track.uid, artist: track.artist, title: track.title });
+        enriched = { ...track, spotify: null, spotifyRateLimited: true };
+      }
+
+      enriched.links = { spotify: toTrackLink(enriched.spotify) };
+
+      onMatch?.(index, enriched, fromIndex);
+      return enriched;
+    })
+  );
+
+  const otherLinks = await linkLookups;
+  const enriched = matched.map((track, index) => ({
+    ...track,
+    links: { ...track.links, ...otherLinks[index] }
+  }));
+
+  if (rateLimited.length > 0) {
+    console.warn(`Spotify rate limiting left ${rateLimited.length}/${tracks.length} tracks unresolved`);
+  }
+
+  return { tracks: enriched, cacheHits, rateLimited };
+}
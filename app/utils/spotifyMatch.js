@@ -0,0 +1,23 @@
+/**
+ * Confidence thresholds for Spotify matches
+ *
+ * Spotify candidates are scored like every other catalogue's, by
+ * rankTrackCandidates() in trackMatch.js. What's Spotify's own is the
+ * "wrong match?" picker, so this is where the UI decides which matches to
+ * flag as ones we aren't sure about.
+ *
+ * Kept free of server-only code so client components can import the thresholds.
+ */
+
+// Below this, a match is shown as "low confidence"
+export const LOW_CONFIDENCE_SCORE = 0.75;
+
+/**
+ * Whether a match should be flagged in the UI
+ * Matches cached before scoring existed have no confidence - those aren't flagged.
+ *
+ * @param {Object|null} spotify - A track's `spotify` field
+ */
+export function isLowConfidenceMatch(spotify) {
+  return typeof spotify?.confidence === 'number' && spotify.confidence < LOW_CONFIDENCE_SCORE;
+}
@@ -0,0 +1,47 @@
+/**
+ * Spotify match index
+ *
+ * Every Spotify lookup is remembered by normalized artist + title, so the
+ * same track in another episode (or the same episode opened again) doesn't
+ * search Spotify again - see matchIndex.js for how entries are kept.
+ *
+ * Hits are kept for CACHE_KINDS.spotifyMatch `ttlHours`, "not on Spotify"
+ * for `missTtlHours` (shorter - Spotify's catalogue grows).
+ *
+ * Rate limiting and bad configuration are thrown to the caller (the UI shows
+ * "Spotify busy" rather than "not on Spotify"); other failed searches just
+ * give null for this request. Nothing is stored for either.
+ *
+ * Entries live in the cache backend (namespace "spotify-match").
+ */
+
+import { CACHE_KINDS } from './cache';
+import { createMatchIndex } from './matchIndex';
+import { spotifyProvider, SpotifyConfigError, SpotifyRateLimitError } from './spotifyClient';
+
+const spotifyIndex = createMatchIndex({
+  provider: spotifyProvider,
+  kind: CACHE_KINDS.spotifyMatch,
+  rethrow: [SpotifyRateLimitError, SpotifyConfigError]
+});
+
+/**
+ * Get the Spotify match for a track, from the index or from Spotify
+ *
+ * @param {string} artist
+ * @param {string} title
+ * @returns {Promise<{ match: Object|null, fromIndex: boolean }>}
+ *   `match` is a SpotifyTrackMatch (see spotifyClient.js) or null if it isn't on Spotify
+ * @throws {SpotifyRateLimitError} If Spotify kept rate limiting the search
+ * @throws {SpotifyConfigError} If Spotify isn't configured
+ */
+export function lookupSpotifyMatch(artist, title) {
+  return spotifyIndex.lookup(artist, title);
+}
+
+/**
+ * Index size and hit rate (counters are for this server process only)
+ */
+export function getMatchIndexStats() {
+  return spotifyIndex.getStats();
+}
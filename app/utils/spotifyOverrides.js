@@ -0,0 +1,100 @@
+/**
+ * Spotify match overrides (localStorage)
+ *
+ * When the automatic Spotify match for a track is wrong, the "wrong match?"
+ * picker lets you choose the right one (or say it isn't on Spotify). The
+ * choice is saved per normalized artist + title, so it applies everywhere
+ * that track shows up later - tracklists, stacks and liked tracks.
+ *
+ * Stored as { [key]: { artist, title, spotify, savedAt } } where `spotify`
+ * is the chosen match, or null for "not on Spotify".
+ */
+
+import { getTrackMatchKey, rekeyByTrackMatchKey } from './trackNormalize';
+import { toTrackLink } from './trackProviders';
+import { updateLikedTracks } from './localStorage';
+
+const STORAGE_KEY = 'nts_spotify_overrides';
+
+/**
+ * Get every saved override
+ *
+ * Overrides saved before the match key format changed are re-keyed (and
+ * saved back) the first time they're read, so they keep applying.
+ */
+export function getSpotifyOverrides() {
+  try {
+    const stored = localStorage.getItem(STORAGE_KEY);
+    if (!stored) return {};
+
+    const { entries, changed } = rekeyByTrackMatchKey(JSON.parse(stored));
+    if (changed) {
+      saveSpotifyOverrides(entries);
+    }
+    return entries;
+  } catch (error) {
+    console.error('Error reading Spotify overrides:', error);
+    return {};
+  }
+}
+
+function saveSpotifyOverrides(overrides) {
+  try {
+    localStorage.setItem(STORAGE_KEY, JSON.stringify(overrides));
+  } catch (error) {
+    console.error('Error saving Spotify overrides:', error);
+  }
+}
+
+// Replace a track's Spotify match, and the Spotify entry in its `links` map
+function applySpotify(track, spotify) {
+  return { ...track, spotify, links: { ...track.links, spotify: toTrackLink(spotify) } };
+}
+
+/**
+ * Save the right Spotify match for a track
+ *
+ * Liked tracks are saved with their Spotify data, so they're updated too.
+ * A liked track that turns out not to be on Spotify stays liked (with
+ * `spotify: null`) - it was liked for the music, and its other links still work.
+ *
+ * @param {string} artist
+ * @param {string} title
+ * @param {Object|null} match - Spotify match from the picker, or null for "not on Spotify"
+ */
+export function setSpotifyOverride(artist, title, match) {
+  const key = getTrackMatchKey(artist, title);
+  // A hand-picked match is certain - no confidence score or runners-up needed
+  const spotify = match
+    ? { id: match.id, uri: match.uri, url: match.url, name: match.name, artist: match.artist, album: match.album || null, chosenByUser: true }
+    : null;
+
+  const overrides = getSpotifyOverrides();
+  overrides[key] = { artist, title, spotify, savedAt: new Date().toISOString() };
+  saveSpotifyOverrides(overrides);
+
+  updateLikedTracks(tracks => tracks
+    .map(track => (getTrackMatchKey(track.artist, track.title) === key ? applySpotify(track, spotify) : track)));
+}
+
+/**
+ * Forget the override for a track (back to the automatic match)
+ */
+export function clearSpotifyOverride(artist, title) {
+  const overrides = getSpotifyOverrides();
+  delete overrides[getTrackMatchKey(artist, title)];
+  saveSpotifyOverrides(overrides);
+}
+
+/**
+ * Get a track with its override applied (if it has one)
+ *
+ * @param {Object} track - Any track with artist, title and spotify
+ * @param {Object} overrides - From getSpotifyOverrides() (pass it in when mapping many tracks)
+ * @returns {Object} The track, with `spotify` (and `links.spotify`) replaced and `spotifyOverridden: true` if overridden
+ */
+export function withSpotifyOverride(track, overrides = getSpotifyOverrides()) {
+  const override = overrides[getTrackMatchKey(track.artist, track.title)];
+  if (!override) return track;
+  return { ...applySpotify(track, override.spotify), spotifyOverridden: true };
+}
@@ -97,7 +97,7 @@ export function clearReferencedTracks() {
 
 /**
  * Generate a descriptive name for a stack based on its sources
- * @param {Object} sources - The sources object with tracks and genres
+ * @param {Object} sources - The sources object with tracks, genres and moods
  * @returns {string} A descriptive name for the stack
  */
 export function generateStackName(sources) {
@@ -118,6 +118,11 @@ export function generateStackName(sources) {
     genreNames.push(...sources.genres);
   }
 
+  // Moods name a stack just like genres do ("Late Night + Deep")
+  if (sources.moods && sources.moods.length > 0) {
+    genreNames.push(...sources.moods);
+  }
+
   // Generate name based on what we have
   if (artistNames.length > 0 && genreNames.length > 0) {
     // Both artists and genres
@@ -161,7 +166,7 @@ export function generateStackName(sources) {
  * @param {Object} stack - The complete stack object
  * @param {string} stack.id - Unique ID (timestamp)
  * @param {string} stack.createdAt - ISO timestamp
- * @param {Object} stack.sources - Source metadata (tracks, genres)
+ * @param {Object} stack.sources - Source metadata (tracks, genres, moods)
  * @param {Array} stack.tracks - All tracks in the stack
  * @param {Array} stack.episodesUsed - Episodes that were pulled
  * @param {string} stack.summary - Human-readable summary
@@ -0,0 +1,98 @@
+/**
+ * Track links - where else each track can be played
+ *
+ * Every track from /api/tracklist (and in a stack) carries a `links` map
+ * next to its `spotify` match, keyed by provider id:
+ *
+ *   links: {
+ *     spotify: { id, url, name, artist, confidence },
+ *     deezer: { ... },
+ *     bandcamp: null,      // looked up, not found (or the lookup failed)
+ *   }
+ *
+ * Providers that aren't configured (YouTube and SoundCloud need credentials)
+ * or are turned off are left out of the map entirely. TRACK_LINK_PROVIDERS
+ * picks which ones to use, e.g. "deezer,bandcamp" - unset means every
+ * configured provider except the opt-in ones, empty means none. Bandcamp
+ * and SoundCloud are opt-in: Bandcamp is scraped from an undocumented
+ * endpoint and SoundCloud's search is mostly user uploads, so they're only
+ * used when listed. Spotify is always looked up: it gives us the players.
+ *
+ * Each provider has its own match index (see matchIndex.js), so a track is
+ * only searched for once per provider until its entry expires.
+ */
+
+import { CACHE_KINDS } from './cache';
+import { createMatchIndex } from './matchIndex';
+import { toTrackLink } from './trackProviders';
+import { spotifyProvider } from './spotifyClient';
+import { deezerProvider } from './deezerClient';
+import { youtubeProvider } from './youtubeClient';
+import { bandcampProvider } from './bandcampClient';
+import { soundcloudProvider } from './soundcloudClient';
+
+// Every provider, in the order links are shown
+const TRACK_PROVIDERS = [spotifyProvider, deezerProvider, youtubeProvider, bandcampProvider, soundcloudProvider];
+
+// Spotify's matches come from spotifyMatchIndex.js (they carry more than a
+// link) - these are the providers that only give us links
+const LINK_PROVIDERS = TRACK_PROVIDERS.filter(provider => provider !== spotifyProvider);
+
+const linkIndexes = new Map(LINK_PROVIDERS.map(provider => [
+  provider.id,
+  createMatchIndex({ provider, kind: CACHE_KINDS[`${provider.id}Match`] })
+]));
+
+function getEnabledIds() {
+  const setting = process.env.TRACK_LINK_PROVIDERS;
+  if (setting === undefined) return null;
+  return setting.split(',').map(id => id.trim().toLowerCase()).filter(Boolean);
+}
+
+/**
+ * The link providers to look tracks up in: configured, and turned on
+ *
+ * @returns {import('./trackProviders').TrackProvider[]}
+ */
+export function getLinkProviders() {
+  const enabledIds = getEnabledIds();
+  return LINK_PROVIDERS.filter(provider => provider.isConfigured() && (
+    enabledIds ? enabledIds.includes(provider.id) : !provider.optIn
+  ));
+}
+
+/**
+ * Look a track up in every link provider (Spotify excluded)
+ *
+ * Never throws - a provider that fails gives null for this track.
+ *
+ * @param {string} artist
+ * @param {string} title
+ * @returns {Promise<Object>} Provider id -> link (see toTrackLink) or null
+ */
+export async function lookupTrackLinks(artist, title) {
+  const providers = getLinkProviders();
+  const lookups = await Promise.all(
+    providers.map(provider => linkIndexes.get(provider.id).lookup(artist, title))
+  );
+
+  return Object.fromEntries(
+    providers.map((provider, index) => [provider.id, toTrackLink(lookups[index].match)])
+  );
+}
+
+/**
+ * Per-provider status and match index stats (counters are for this server process only)
+ */
+export function getTrackLinkStats() {
+  const enabledIds = new Set(getLinkProviders().map(provider => provider.id));
+
+  return Object.fromEntries(LINK_PROVIDERS.map(provider => [provider.id, {
+    name: provider.name,
+    configured: provider.isConfigured(),
+    optIn: provider.optIn,
+    enabled: enabledIds.has(provider.id),
+    baseUrl: provider.getBaseUrl(),
+    ...linkIndexes.get(provider.id).getStats()
+  }]));
+}
@@ -0,0 +1,128 @@
+/**
+ * Matching NTS tracks to a catalogue's search results
+ *
+ * Catalogue search is fuzzy: the first hit for "Bonobo Kerala" is usually
+ * right, but for less common tracks it's often another version (a remix,
+ * a live take, a karaoke cover) or a different song with a similar name.
+ * These helpers build the search query for a track and score each result
+ * against the NTS artist/title, so the best one wins - and so we know how
+ * sure we are about it.
+ *
+ * Nothing here is tied to one catalogue: Spotify (spotifyClient.js) and the
+ * link providers (trackProviders.js) map their results to `name` and
+ * `artists` and share the same query and scoring.
+ *
+ * Each candidate is scored on three things:
+ * - title   - the song name without version markers ("Kerala" from "Kerala - Live")
+ * - artist  - against every credited artist (NTS often lists "A & B" or "A feat. B")
+ * - version - remix/edit/live/... markers, including who did the remix
+ *
+ * Titles and artist credits are taken apart by trackNormalize.js.
+ *
+ * Kept free of server-only code so client components can import it.
+ */
+
+import { stringSimilarity } from './matchScore';
+import { normalizeTrack, parseTrackVersion } from './trackNormalize';
+
+const WEIGHTS = { title: 0.5, artist: 0.35, version: 0.15 };
+
+// Versions that are really someone else playing the song
+const IMPOSTOR_MARKERS = ['cover', 'karaoke'];
+
+/**
+ * Search query for a track: credited artists, song name and version
+ * ("Bonobo Kerala Four Tet Remix") - no featured artists, labels or brackets
+ *
+ * @param {string} artist
+ * @param {string} title
+ * @returns {string}
+ */
+export function buildSearchQuery(artist, title) {
+  const track = normalizeTrack({ artist, title });
+  return `${track.artists.join(' ')} ${track.title}`
+    .replace(/[()[\]]/g, ' ')
+    .replace(/\s-\s/g, ' ')
+    .replace(/\s+/g, ' ')
+    .trim();
+}
+
+/**
+ * How well two versions agree (0-1)
+ */
+function scoreVersion(wanted, candidate) {
+  const sameMarkers = wanted.markers.join(',') === candidate.markers.join(',');
+
+  if (sameMarkers) {
+    if (!wanted.credit || !candidate.credit) return 1;
+    // Same kind of version by someone else ("Four Tet Remix" vs "Caribou Remix")
+    return stringSimilarity(wanted.credit, candidate.credit) >= 0.8 ? 1 : 0.4;
+  }
+
+  // A cover or karaoke take is the wrong recording, whatever the title says
+  if (candidate.markers.some(marker => IMPOSTOR_MARKERS.includes(marker))) return 0;
+
+  // The original when a version was wanted is still the right song...
+  if (candidate.markers.length === 0) return 0.5;
+
+  // ...a remix/live take when the original (or another version) was wanted less so
+  return 0.3;
+}
+
+/**
+ * How well the credited artists match (0-1)
+ */
+function scoreArtist(wantedArtist, candidateArtists) {
+  // NTS lists collaborations as one string: "A & B", "A, B", "A feat. B", "A x B"
+  const { artists, featured } = normalizeTrack({ artist: wantedArtist });
+  const names = candidateArtists.filter(Boolean);
+
+  const scores = [stringSimilarity(wantedArtist, names.join(' '))];
+  for (const part of [...artists, ...featured]) {
+    for (const name of names) {
+      scores.push(stringSimilarity(part, name));
+    }
+  }
+  return Math.max(0, ...scores);
+}
+
+/**
+ * Score a search result against the NTS artist/title
+ *
+ * @param {{ artist?: string, title?: string }} wanted - What NTS says was played
+ * @param {{ name: string, artists: string[] }} candidate - Track name and artist names
+ * @returns {number} 0-1, rounded to 2 decimals
+ */
+export function scoreTrackCandidate(wanted, candidate) {
+  const wantedVersion = parseTrackVersion(wanted.title);
+  const candidateVersion = parseTrackVersion(candidate.name);
+
+  const scores = [
+    [WEIGHTS.title, stringSimilarity(wantedVersion.base, candidateVersion.base)],
+    [WEIGHTS.version, scoreVersion(wantedVersion, candidateVersion)]
+  ];
+
+  // Some NTS tracklists have no artist - then only the title counts
+  if (wanted.artist && wanted.artist.trim()) {
+    scores.push([WEIGHTS.artist, scoreArtist(wanted.artist, candidate.artists)]);
+  }
+
+  const totalWeight = scores.reduce((sum, [weight]) => sum + weight, 0);
+  const confidence = scores.reduce((sum, [weight, score]) => sum + weight * score, 0) / totalWeight;
+  return Math.round(confidence * 100) / 100;
+}
+
+/**
+ * Score and sort search results, best first
+ *
+ * @param {{ artist?: string, title?: string }} wanted
+ * @param {Object[]} candidates - Each with `name` and `artists` (names)
+ * @returns {Object[]} The candidates with a `confidence` added, best first
+ */
+export function rankTrackCandidates(wanted, candidates) {
+  return candidates
+    .map((candidate, index) => ({ candidate, index, confidence: scoreTrackCandidate(wanted, candidate) }))
+    // Ties keep the catalogue's order (it knows about popularity)
+    .sort((a, b) => (b.confidence - a.confidence) || (a.index - b.index))
+    .map(({ candidate, confidence }) => ({ ...candidate, confidence }));
+}
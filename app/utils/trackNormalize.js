@@ -0,0 +1,324 @@
+/**
+ * Track metadata normalization
+ *
+ * NTS tracklists are typed in by hosts, so the same track turns up as
+ * "Kerala", "Kerala (Original Mix)", "A1. Kerala [Ninja Tune]" or
+ * "Kerala feat. Someone", with curly quotes, non-breaking spaces and
+ * full-width letters thrown in. These helpers turn artist/title strings into:
+ *
+ * - clean NTS search queries (buildNtsQuery - catalogue queries are built
+ *   from these parts in trackMatch.js)
+ * - comparison keys that are the same for every spelling (getTrackMatchKey)
+ * - the parts in between: credited artists, featured artists, remix/edit
+ *   versions (normalizeTrack, splitArtists, parseTrackVersion)
+ *
+ * No imports, so plain Node scripts can use it too (see test-track-normalize.mjs).
+ */
+
+// Words that make a recording a different version of the song
+export const VERSION_MARKERS = [
+  'remix', 'rmx', 'edit', 'live', 'instrumental', 'dub', 'acoustic', 'demo',
+  'vip', 'rework', 'bootleg', 'extended', 'cover', 'karaoke', 'reprise'
+];
+
+// Bracketed/suffix parts that don't change which recording it is
+const NEUTRAL_PART = /^(original( mix| version)?|album version|single version|(\d{4} )?remaster(ed)?( \d{4})?( version)?|mono|stereo|\d{4})$/;
+
+// "feat. X" / "ft X" / "with X" parts belong to the artist, not the version
+const FEATURE_PART = /^(feat|ft|featuring|with) /;
+
+// Vinyl side / track position: "A1", "B2", "Side A", "AA"
+const VINYL_SIDE_PART = /^(side )?([a-h]|aa)\d{0,2}$/;
+
+// "A1. Title", "B2 - Title", "A: Title", "Side B) Title", "A1 Title"
+const LEADING_VINYL_SIDE = /^(?:side\s+)?(?:[A-H]|AA)(?:\d{1,2}(?:\s*[.:)\]-]\s*|\s+)|\s*[.:)\]-]\s+)/i;
+
+// "(feat. Someone)" in the artist field
+const BRACKETED_FEATURING = /\(\s*(?:feat\.?|ft\.?|featuring)\s+([^)]*)\)/gi;
+
+// "Artist feat. Someone" / "Title ft Someone" (not in brackets)
+const INLINE_FEATURING = /\s+(?:feat\.?|ft\.?|featuring)\s+/i;
+
+// How hosts list several artists: "A & B", "A, B", "A x B", "A vs. B", "A + B", "A / B"
+const ARTIST_SEPARATOR = /\s*(?:,|&|;|\s\+\s|\s\/\s|\sand\s|\sx\s|\svs\.?\s)\s*/i;
+
+// Zero-width and soft-hyphen characters that sneak in with copy-paste
+const INVISIBLE_CHARACTERS = /[\u00AD\u200B-\u200D\u2060\uFEFF]/g;
+
+const CHARACTER_REPLACEMENTS = [
+  // Curly quotes, primes and backticks
+  [/[\u2018\u2019\u201A\u201B\u2032\u00B4`]/g, '\''],
+  [/[\u201C\u201D\u201E\u201F\u2033]/g, '"'],
+  // Hyphens, en/em dashes and minus signs
+  [/[\u2010-\u2015\u2212]/g, '-']
+];
+
+/**
+ * Clean up odd unicode without changing what the text says
+ *
+ * Full-width letters, ligatures and non-breaking spaces become plain ones
+ * (NFKC), curly quotes and fancy dashes become ASCII, invisible and control
+ * characters go, whitespace is collapsed. Case and accents are kept.
+ *
+ * @param {string} value
+ * @returns {string}
+ */
+export function cleanText(value) {
+  let text = (value || '').normalize('NFKC').replace(INVISIBLE_CHARACTERS, '');
+  for (const [pattern, replacement] of CHARACTER_REPLACEMENTS) {
+    text = text.replace(pattern, replacement);
+  }
+  return text.replace(/\p{Cc}/gu, ' ').replace(/\s+/g, ' ').trim();
+}
+
+/**
+ * Normalize a string for comparison
+ * Lowercase, no accents, no punctuation, single spaces.
+ * Letters from any script are kept, so Japanese or Cyrillic names don't vanish.
+ */
+export function normalizeForMatch(value) {
+  return (value || '')
+    .normalize('NFKD')
+    .replace(/\p{M}/gu, '')
+    .toLowerCase()
+    .replace(/&/g, ' and ')
+    .replace(/[^\p{L}\p{N}\s]/gu, ' ')
+    .replace(/\s+/g, ' ')
+    .trim();
+}
+
+/**
+ * Pull featured artists out of an artist or title string
+ *
+ * "Bonobo feat. Andreya Triana" -> { text: "Bonobo", featured: ["Andreya Triana"] }
+ * "The Keeper (feat. Andreya Triana)" is handled by normalizeTrack (bracketed parts)
+ *
+ * @param {string} value
+ * @returns {{ text: string, featured: string[] }}
+ */
+export function extractFeaturing(value) {
+  const text = cleanText(value);
+  const match = INLINE_FEATURING.exec(text);
+  if (!match) {
+    return { text, featured: [] };
+  }
+
+  return {
+    text: text.slice(0, match.index).trim(),
+    featured: splitArtists(text.slice(match.index + match[0].length))
+  };
+}
+
+/**
+ * Split a credit into separate artists
+ *
+ * "Kruder & Dorfmeister" -> ["Kruder", "Dorfmeister"]
+ * "Theo Parrish x Marcellus Pittman" -> ["Theo Parrish", "Marcellus Pittman"]
+ *
+ * Bands with "&" or "," in their name get split too ("Earth, Wind & Fire") -
+ * fine for matching, where any one credited artist is enough.
+ *
+ * @param {string} value
+ * @returns {string[]}
+ */
+export function splitArtists(value) {
+  return cleanText(value)
+    .split(ARTIST_SEPARATOR)
+    .map(artist => artist.trim())
+    .filter(Boolean);
+}
+
+/**
+ * Work out what a bracketed or " - " suffix part of a title is
+ *
+ * @returns {'featuring'|'version'|'neutral'|'side'|'label'|'title'}
+ */
+function classifyTitlePart(text, bracket) {
+  const normalized = normalizeForMatch(text);
+
+  if (!normalized || NEUTRAL_PART.test(normalized)) return 'neutral';
+  if (FEATURE_PART.test(normalized)) return 'featuring';
+  if (VINYL_SIDE_PART.test(normalized)) return 'side';
+  if (normalized.split(' ').some(word => VERSION_MARKERS.includes(word))) return 'version';
+  // Square brackets that aren't anything above are the label or catalogue number: "[Warp]", "[WAP 39]"
+  if (bracket === '[') return 'label';
+  return 'title';
+}
+
+/**
+ * Split a title into the main part and its bracketed / " - " suffix parts
+ */
+function splitTitleParts(title) {
+  const parts = [];
+
+  let main = cleanText(title).replace(LEADING_VINYL_SIDE, '');
+
+  // Bracketed parts: "(...)" and "[...]"
+  main = main.replace(/([([])([^)\]]*)[)\]]/g, (_, bracket, text) => {
+    parts.push({ text: text.trim(), bracket, kind: classifyTitlePart(text, bracket) });
+    return ' ';
+  });
+
+  // A " - ..." suffix: "Kerala - Live at KEXP"
+  const dashIndex = main.indexOf(' - ');
+  if (dashIndex !== -1) {
+    const text = main.slice(dashIndex + 3).trim();
+    parts.push({ text, bracket: '-', kind: classifyTitlePart(text, '-') });
+    main = main.slice(0, dashIndex);
+  }
+
+  return { main: main.replace(/\s+/g, ' ').trim(), parts };
+}
+
+/**
+ * Split a track title into the song name and its version
+ *
+ * "Kerala (Four Tet Remix)"   -> { base: "kerala", markers: ["remix"], credit: "four tet" }
+ * "Silhouettes - Original Mix" -> { base: "silhouettes", markers: [], credit: "" }
+ *
+ * @param {string} title
+ * @returns {{ base: string, markers: string[], credit: string }}
+ */
+export function parseTrackVersion(title) {
+  const { main, parts } = splitTitleParts(title);
+  const markers = new Set();
+  const credits = [];
+
+  for (const part of parts.filter(({ kind }) => kind === 'version')) {
+    const words = normalizeForMatch(part.text).split(' ');
+    for (const word of words.filter(word => VERSION_MARKERS.includes(word))) {
+      markers.add(word === 'rmx' ? 'remix' : word);
+    }
+    // Whatever else is in the part is usually who made the version
+    credits.push(words.filter(word => !VERSION_MARKERS.includes(word) && word !== 'mix' && word !== 'version').join(' '));
+  }
+
+  return {
+    base: normalizeForMatch(extractFeaturing(main).text) || normalizeForMatch(title),
+    markers: [...markers].sort(),
+    credit: credits.filter(Boolean).join(' ')
+  };
+}
+
+/**
+ * @typedef {Object} NormalizedTrack
+ * @property {string} artist - Cleaned artist credit without featured artists or label
+ * @property {string[]} artists - The credited artists, split
+ * @property {string[]} featured - Featured artists (from the artist or the title)
+ * @property {string} title - Cleaned title: version kept; vinyl side, label, "(Original Mix)" and feat. dropped
+ * @property {string} baseTitle - Just the song name: "Kerala"
+ * @property {{ markers: string[], credit: string }} version - Remix/edit/live/... markers and who made the version
+ * @property {string|null} label - Label or catalogue number from square brackets
+ */
+
+/**
+ * Normalize an NTS artist/title pair
+ *
+ * @param {{ artist?: string, title?: string }} track
+ * @returns {NormalizedTrack}
+ */
+export function normalizeTrack({ artist = '', title = '' } = {}) {
+  // Square-bracketed labels turn up in the artist field too: "Bonobo [Ninja Tune]"
+  const artistLabels = [];
+  const artistFeatured = [];
+  const artistText = cleanText(artist)
+    .replace(/\[([^\]]*)\]/g, (_, label) => {
+      artistLabels.push(label.trim());
+      return ' ';
+    })
+    .replace(BRACKETED_FEATURING, (_, names) => {
+      artistFeatured.push(...splitArtists(names));
+      return ' ';
+    });
+  const artistCredit = extractFeaturing(artistText);
+
+  const { main, parts } = splitTitleParts(title);
+  const titleCredit = extractFeaturing(main);
+
+  const featured = [
+    ...artistFeatured,
+    ...artistCredit.featured,
+    ...titleCredit.featured,
+    ...parts
+      .filter(({ kind }) => kind === 'featuring')
+      .flatMap(({ text }) => splitArtists(text.replace(/^(feat\.?|ft\.?|featuring|with)\s+/i, '')))
+  ];
+
+  // Keep the parts that say which recording it is, in the order they were written
+  const keptParts = parts
+    .filter(({ kind }) => kind === 'version' || kind === 'title')
+    .map(({ text, bracket }) => (bracket === '-' ? `- ${text}` : bracket === '[' ? `[${text}]` : `(${text})`));
+
+  const labels = [...artistLabels, ...parts.filter(({ kind }) => kind === 'label').map(({ text }) => text)];
+  const { markers, credit } = parseTrackVersion(title);
+
+  return {
+    artist: artistCredit.text.replace(/\s+/g, ' ').trim(),
+    artists: splitArtists(artistCredit.text),
+    featured,
+    title: [titleCredit.text, ...keptParts].filter(Boolean).join(' '),
+    baseTitle: titleCredit.text,
+    version: { markers, credit },
+    label: labels.filter(Boolean).join(', ') || null
+  };
+}
+
+/**
+ * One key per track, whatever the spelling - "Bonobo", "Kerala (Original Mix)"
+ * and "BONOBO feat. X", "A1. Kerala" are the same track. Versions stay apart:
+ * "Kerala (Four Tet Remix)" has its own key.
+ * (used for Spotify match overrides and the Spotify match index)
+ *
+ * @param {string} artist
+ * @param {string} title
+ * @returns {string}
+ */
+export function getTrackMatchKey(artist, title) {
+  const track = normalizeTrack({ artist, title });
+  return `${normalizeForMatch(track.artist)}|${normalizeForMatch(track.title)}`;
+}
+
+/**
+ * Re-key a stored map of tracks by the current getTrackMatchKey()
+ *
+ * For maps saved under an older key format (Spotify overrides in
+ * localStorage were keyed by plain lowercased artist|title). Every entry
+ * needs its `artist` and `title`. If two old keys now land on the same key,
+ * the entry with the later `savedAt` wins.
+ *
+ * @param {Object} entries - { [key]: { artist, title, savedAt?, ... } }
+ * @returns {{ entries: Object, changed: boolean }} `changed` is false when every key was already current
+ */
+export function rekeyByTrackMatchKey(entries) {
+  const rekeyed = {};
+  let changed = false;
+
+  for (const [key, entry] of Object.entries(entries)) {
+    const currentKey = getTrackMatchKey(entry.artist, entry.title);
+    if (currentKey !== key) changed = true;
+
+    const existing = rekeyed[currentKey];
+    if (existing) {
+      changed = true;
+      if ((existing.savedAt || '') > (entry.savedAt || '')) continue;
+    }
+    rekeyed[currentKey] = entry;
+  }
+
+  return { entries: rekeyed, changed };
+}
+
+/**
+ * NTS search query for a track: title then artist, like the search box has
+ * always sent, minus the noise (vinyl sides, labels, feat., odd unicode)
+ *
+ * Either field may be empty - the NTS search only needs one.
+ *
+ * @param {string} artist
+ * @param {string} title
+ * @returns {string}
+ */
+export function buildNtsQuery(artist, title) {
+  const track = normalizeTrack({ artist, title });
+  return [track.title, track.artist].filter(Boolean).join(' ').trim();
+}
@@ -0,0 +1,157 @@
+/**
+ * Track providers - where else a track can be played
+ *
+ * Spotify gives us the players, but plenty of what NTS hosts play is only on
+ * Bandcamp or SoundCloud. Every catalogue we look tracks up in is wrapped in
+ * the same small interface, so the rest of the app (the match indexes in
+ * matchIndex.js, the `links` map in trackLinks.js) doesn't care which one
+ * it's talking to:
+ *
+ * @typedef {Object} TrackProvider
+ * @property {string} id - Key in a track's `links` map, e.g. "deezer"
+ * @property {string} name - For the UI, e.g. "Deezer"
+ * @property {() => boolean} isConfigured - Whether the credentials it needs are set
+ * @property {boolean} [optIn] - Only used when TRACK_LINK_PROVIDERS names it (see trackLinks.js)
+ * @property {() => string} getBaseUrl - API base URL, without a trailing slash
+ * @property {(artist: string, title: string) => Promise<Object|null>} findMatch -
+ *   The best match for what NTS played (at least `id`, `url`, `name`, `artist`
+ *   and `confidence`), or null if the catalogue has nothing close. Failures are
+ *   thrown, so a match index never stores an outage as "not found".
+ *
+ * Spotify's adapter is `spotifyProvider` in spotifyClient.js. The others are
+ * built with createTrackProvider() below (deezerClient.js, youtubeClient.js,
+ * bandcampClient.js, soundcloudClient.js): each one only knows how to search
+ * its catalogue, and gets request queueing, timeouts, errors and scoring from
+ * here.
+ *
+ * Every adapter reads its base URL from a <PROVIDER>_API_BASE_URL env var
+ * (DEEZER_API_BASE_URL, YOUTUBE_API_BASE_URL, BANDCAMP_API_BASE_URL,
+ * SOUNDCLOUD_API_BASE_URL - plus SOUNDCLOUD_AUTH_BASE_URL for its token),
+ * like SPOTIFY_API_BASE_URL and NTS_API_BASE_URL, so it can be pointed at a
+ * local stand-in.
+ *
+ * toTrackLink() has no server-only dependencies - client components use it too.
+ */
+
+import { buildSearchQuery, rankTrackCandidates } from './trackMatch';
+import { createWorkQueue } from './workQueue';
+
+const DEFAULT_TIMEOUT_MS = 10000;
+const DEFAULT_CONCURRENCY = 2;
+
+// Score this many search hits per track
+const CANDIDATE_LIMIT = 5;
+
+// There's no "wrong match?" picker for these links, so anything less sure
+// than this is left out rather than shown as a guess
+export const MIN_LINK_CONFIDENCE = 0.6;
+
+/**
+ * Error thrown when a provider's API answers with a non-2xx status
+ */
+export class ProviderApiError extends Error {
+  constructor(message, provider, status) {
+    super(message);
+    this.name = 'ProviderApiError';
+    this.provider = provider;
+    this.status = status;
+  }
+}
+
+/**
+ * The bit of a match a track's `links` map keeps
+ *
+ * @param {Object|null} match - From a provider's findMatch() (or a track's `spotify` field)
+ * @returns {{ id: string, url: string, name: string, artist: string, confidence: number|null }|null}
+ */
+export function toTrackLink(match) {
+  if (!match) return null;
+  return {
+    id: match.id,
+    url: match.url,
+    name: match.name,
+    artist: match.artist,
+    confidence: typeof match.confidence === 'number' ? match.confidence : null
+  };
+}
+
+/**
+ * Artist and track name from a user upload (YouTube, SoundCloud)
+ *
+ * Uploads are titled "Artist - Track" by whoever posted them, so the uploader
+ * is only the artist when the title doesn't say otherwise - and YouTube's
+ * auto-generated "Bonobo - Topic" channels are the artist.
+ *
+ * @param {string} title - e.g. "Bonobo - Kerala (Official Video)"
+ * @param {string} uploader - Channel or user name
+ * @returns {{ name: string, artist: string }}
+ */
+export function parseUploadTitle(title, uploader) {
+  const separator = title.match(/\s[-–—]\s/);
+  if (separator) {
+    return {
+      artist: title.slice(0, separator.index).trim(),
+      name: title.slice(separator.index + separator[0].length).trim()
+    };
+  }
+  return { name: title.trim(), artist: (uploader || '').replace(/\s-\sTopic$/, '').trim() };
+}
+
+/**
+ * Build a provider from a search function
+ *
+ * `search(query, { fetchJson, limit })` returns candidates in the catalogue's
+ * order, each with `id`, `url`, `name`, `artist` and `artists` (names).
+ * `fetchJson(pathAndQuery, init)` fetches relative to the base URL through
+ * this provider's queue and throws ProviderApiError on a non-2xx status.
+ *
+ * @param {Object} options
+ * @param {string} options.id
+ * @param {string} options.name
+ * @param {string} options.baseUrlEnv - Env var that overrides the base URL
+ * @param {string} options.defaultBaseUrl
+ * @param {Function} options.search
+ * @param {Function} options.isConfigured - Defaults to always configured (no credentials needed)
+ * @param {boolean} options.optIn - Off unless TRACK_LINK_PROVIDERS names it (default false)
+ * @param {number} options.concurrency - Max requests in flight (default 2)
+ * @returns {TrackProvider}
+ */
+export function createTrackProvider({
+  id,
+  name,
+  baseUrlEnv,
+  defaultBaseUrl,
+  search,
+  isConfigured = () => true,
+  optIn = false,
+  concurrency = DEFAULT_CONCURRENCY
+}) {
+  const requestQueue = createWorkQueue({ concurrency });
+
+  const getBaseUrl = () => (process.env[baseUrlEnv] || defaultBaseUrl).replace(/\/+$/, '');
+
+  const fetchJson = async (pathAndQuery, init = {}) => {
+    const response = await requestQueue.run(() => fetch(`${getBaseUrl()}${pathAndQuery}`, {
+      ...init,
+      signal: AbortSignal.timeout(DEFAULT_TIMEOUT_MS)
+    }));
+
+    if (!response.ok) {
+      throw new ProviderApiError(`${name} returned ${response.status}`, id, response.status);
+    }
+
+    return response.json();
+  };
+
+  const findMatch = async (artist, title) => {
+    const candidates = await search(buildSearchQuery(artist, title), { fetchJson, limit: CANDIDATE_LIMIT });
+    const [best] = rankTrackCandidates({ artist, title }, candidates);
+
+    if (!best || best.confidence < MIN_LINK_CONFIDENCE) {
+      return null;
+    }
+    return best;
+  };
+
+  return { id, name, isConfigured, optIn, getBaseUrl, findMatch };
+}
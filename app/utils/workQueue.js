@@ -0,0 +1,82 @@
+/**
+ * A small bounded-concurrency work queue
+ *
+ * Runs at most `concurrency` tasks at once; the rest wait in order. The queue
+ * can also be paused for a while (e.g. when an API answers 429 with
+ * Retry-After) - running tasks finish, but nothing new starts until the
+ * pause is over.
+ *
+ *   const queue = createWorkQueue({ concurrency: 4 });
+ *   const result = await queue.run(() => fetch(...));
+ */
+
+/**
+ * @param {Object} options
+ * @param {number} options.concurrency - Max tasks running at once
+ * @returns {{ run: Function, pauseFor: Function, getStats: Function }}
+ */
+export function createWorkQueue({ concurrency }) {
+  const waiting = [];
+  let active = 0;
+  let pausedUntil = 0;
+  let resumeTimer = null;
+
+  const startNext = () => {
+    while (active < concurrency && waiting.length > 0) {
+      const pauseLeft = pausedUntil - Date.now();
+      if (pauseLeft > 0) {
+        if (!resumeTimer) {
+          resumeTimer = setTimeout(() => {
+            resumeTimer = null;
+            startNext();
+          }, pauseLeft);
+        }
+        return;
+      }
+
+      const { task, resolve, reject } = waiting.shift();
+      active++;
+      Promise.resolve()
+        .then(task)
+        .then(resolve, reject)
+        .finally(() => {
+          active--;
+          startNext();
+        });
+    }
+  };
+
+  return {
+    /**
+     * Queue a task
+     *
+     * @param {Function} task - Returns a value or a promise
+     * @returns {Promise} Settles with the task's result
+     */
+    run(task) {
+      return new Promise((resolve, reject) => {
+        waiting.push({ task, resolve, reject });
+        startNext();
+      });
+    },
+
+    /**
+     * Don't start any task for the next `ms` milliseconds
+     * (a longer pause already in place wins)
+     */
+    pauseFor(ms) {
+      pausedUntil = Math.max(pausedUntil, Date.now() + ms);
+    },
+
+    /**
+     * What the queue is doing right now
+     */
+    getStats() {
+      return {
+        active,
+        waiting: waiting.length,
+        pausedForMs: Math.max(0, pausedUntil - Date.now())
+      };
+    }
+  };
+}
@@ -0,0 +1,70 @@
+/**
+ * YouTube Data API client
+ *
+ * Track search only, for the `links` map (see trackLinks.js). Needs an API
+ * key (YOUTUBE_API_KEY) - without one YouTube links are just skipped.
+ *
+ * Searches are limited to the Music category. Every search costs 100 units of
+ * the daily quota (10,000 by default), so lookups go through the match index
+ * and are only repeated once they expire. When the quota runs out YouTube
+ * answers 403 - the lookup fails and nothing is stored.
+ */
+
+import { createTrackProvider, parseUploadTitle } from './trackProviders';
+
+// YouTube's "Music" video category
+const MUSIC_CATEGORY_ID = '10';
+
+// Snippet titles come HTML-escaped ("Don&#39;t Stop")
+function decodeEntities(text) {
+  return text
+    .replace(/&#(\d+);/g, (entity, code) => String.fromCharCode(Number(code)))
+    .replace(/&quot;/g, '"')
+    .replace(/&lt;/g, '<')
+    .replace(/&gt;/g, '>')
+    .replace(/&amp;/g, '&');
+}
+
+/**
+ * Whether the YouTube API key is set
+ */
+export function isYoutubeConfigured() {
+  return Boolean(process.env.YOUTUBE_API_KEY);
+}
+
+async function searchYoutubeVideos(query, { fetchJson, limit }) {
+  const params = new URLSearchParams({
+    part: 'snippet',
+    type: 'video',
+    videoCategoryId: MUSIC_CATEGORY_ID,
+    maxResults: String(limit),
+    q: query,
+    key: process.env.YOUTUBE_API_KEY
+  });
+  const data = await fetchJson(`/search?${params}`);
+
+  return (data.items || [])
+    .filter(item => item.id?.videoId)
+    .map(item => {
+      const { name, artist } = parseUploadTitle(
+        decodeEntities(item.snippet.title),
+        decodeEntities(item.snippet.channelTitle || '')
+      );
+      return {
+        id: item.id.videoId,
+        url: `https://www.youtube.com/watch?v=${item.id.videoId}`,
+        name,
+        artist,
+        artists: artist ? [artist] : []
+      };
+    });
+}
+
+export const youtubeProvider = createTrackProvider({
+  id: 'youtube',
+  name: 'YouTube',
+  baseUrlEnv: 'YOUTUBE_API_BASE_URL',
+  defaultBaseUrl: 'https://www.googleapis.com/youtube/v3',
+  isConfigured: isYoutubeConfigured,
+  search: searchYoutubeVideos
+});
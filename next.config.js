@@ -1,4 +1,11 @@
 /** @type {import('next').NextConfig} */
-const nextConfig = {};
+const nextConfig = {
+  images: {
+    // Episode artwork (EpisodeHeader) - NTS serves it from media.ntslive.co.uk / media2.ntslive.co.uk
+    remotePatterns: [
+      { protocol: 'https', hostname: '**.ntslive.co.uk' }
+    ]
+  }
+};
 
 module.exports = nextConfig;
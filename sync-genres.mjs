@@ -0,0 +1,206 @@
+/**
+ * Sync the genre taxonomy from NTS
+ *
+ * Pulls the genre list from the NTS API (or a saved fixture), checks every
+ * ID, writes app/data/genres.generated.json (which app/data/genres.js loads)
+ * and prints what changed since the last sync.
+ *
+ * Usage:
+ *   npm run sync-genres                                  # from the NTS API
+ *   npm run sync-genres -- --fixture fixtures/nts-genres.json
+ *   npm run sync-genres -- --save-fixture fixtures/nts-genres.json
+ *   npm run sync-genres -- --check                       # exit 1 if out of date, write nothing
+ *
+ * NTS_API_BASE_URL is honoured, like in the app.
+ */
+
+import fs from 'fs';
+import path from 'path';
+import { ntsFetch, getNtsBaseUrl } from './app/utils/ntsClient.js';
+import { getGenreApiId } from './app/data/genreIds.js';
+
+const OUTPUT_FILE = path.join(process.cwd(), 'app', 'data', 'genres.generated.json');
+
+// Category IDs are lowercase letters/digits. Subgenre IDs may contain dashes
+// themselves ("jazz-afro-cuban-jazz"), so those are split off by category prefix
+const ID_PATTERN = /^[a-z0-9]+$/;
+const SUBGENRE_ID_PATTERN = /^[a-z0-9]+(-[a-z0-9]+)*$/;
+
+function parseArgs(argv) {
+  const args = { fixture: null, saveFixture: null, check: false };
+  for (let i = 0; i < argv.length; i++) {
+    if (argv[i] === '--fixture') args.fixture = argv[++i];
+    else if (argv[i] === '--save-fixture') args.saveFixture = argv[++i];
+    else if (argv[i] === '--check') args.check = true;
+    else throw new Error(`Unknown argument: ${argv[i]}`);
+  }
+  return args;
+}
+
+/**
+ * Load the raw taxonomy: { results: [{ id, name, subgenres: [{ id, name }] }] }
+ * NTS labels some tags with `value` rather than `name`, so both are accepted.
+ */
+async function loadTaxonomy(args) {
+  if (args.fixture) {
+    return {
+      source: `fixture:${args.fixture}`,
+      data: JSON.parse(fs.readFileSync(args.fixture, 'utf-8'))
+    };
+  }
+
+  return {
+    source: `${getNtsBaseUrl()}/genres`,
+    data: await ntsFetch('/genres')
+  };
+}
+
+/**
+ * Turn the raw taxonomy into our format, checking every ID
+ *
+ * Subgenre IDs from NTS are full API IDs ("jazz-spiritualjazz"); we store the
+ * short ID (everything after the category prefix) and check that
+ * getGenreApiId() gives back exactly what NTS uses.
+ *
+ * @returns {{ categories: Object[], problems: string[] }}
+ */
+function normalizeTaxonomy(data) {
+  const problems = [];
+  const categories = [];
+  const seenApiIds = new Set();
+
+  for (const category of data.results || data) {
+    const categoryName = category.name || category.value;
+
+    if (!ID_PATTERN.test(category.id || '')) {
+      problems.push(`Skipped category with invalid ID "${category.id}" (${categoryName})`);
+      continue;
+    }
+
+    const subgenres = [];
+    for (const subgenre of category.subgenres || []) {
+      // Accept full API IDs ("jazz-spiritualjazz") or bare subgenre IDs ("spiritualjazz")
+      const apiId = subgenre.id || '';
+      const prefix = getGenreApiId(category.id, '');
+      const isFullId = apiId.startsWith(prefix);
+      const shortId = isFullId ? apiId.slice(prefix.length) : apiId;
+      const computedId = getGenreApiId(category.id, shortId);
+      const name = subgenre.name || subgenre.value;
+
+      // A bare ID can't contain a dash - that would be a full ID from another category
+      const validShortId = isFullId ? SUBGENRE_ID_PATTERN.test(shortId) : ID_PATTERN.test(shortId);
+      if (!validShortId || (isFullId && computedId !== apiId)) {
+        problems.push(`Skipped "${apiId}" (${name}) - expected ${getGenreApiId(category.id, '<subgenre>')}`);
+        continue;
+      }
+
+      if (seenApiIds.has(computedId)) {
+        problems.push(`Skipped duplicate genre "${computedId}" (${name})`);
+        continue;
+      }
+      seenApiIds.add(computedId);
+
+      subgenres.push({ id: shortId, name });
+    }
+
+    subgenres.sort((a, b) => a.name.localeCompare(b.name));
+    categories.push({ id: category.id, name: categoryName, subgenres });
+  }
+
+  return { categories, problems };
+}
+
+/**
+ * Compare two taxonomies by full API ID
+ *
+ * @returns {{ added: string[], removed: string[], renamed: string[] }}
+ */
+function diffTaxonomies(previous, next) {
+  const toMap = categories => {
+    const map = new Map();
+    for (const category of categories) {
+      map.set(category.id, `${category.name} (category)`);
+      for (const subgenre of category.subgenres) {
+        map.set(getGenreApiId(category.id, subgenre.id), subgenre.name);
+      }
+    }
+    return map;
+  };
+
+  const before = toMap(previous);
+  const after = toMap(next);
+
+  const added = [...after].filter(([id]) => !before.has(id)).map(([id, name]) => `${id}  ${name}`);
+  const removed = [...before].filter(([id]) => !after.has(id)).map(([id, name]) => `${id}  ${name}`);
+  const renamed = [...after]
+    .filter(([id, name]) => before.has(id) && before.get(id) !== name)
+    .map(([id, name]) => `${id}  "${before.get(id)}" -> "${name}"`);
+
+  return { added, removed, renamed };
+}
+
+function printDiff({ added, removed, renamed }) {
+  const sections = [['Added', '+', added], ['Removed', '-', removed], ['Renamed', '~', renamed]];
+  for (const [title, marker, lines] of sections) {
+    console.log(`\n${title} (${lines.length}):`);
+    for (const line of lines) {
+      console.log(`  ${marker} ${line}`);
+    }
+  }
+}
+
+async function syncGenres() {
+  const args = parseArgs(process.argv.slice(2));
+
+  // Step 1: Load the taxonomy
+  const { source, data } = await loadTaxonomy(args);
+  console.log(`Loaded genres from ${source}`);
+
+  if (args.saveFixture) {
+    fs.writeFileSync(args.saveFixture, JSON.stringify(data, null, 2) + '\n');
+    console.log(`Saved raw response to ${args.saveFixture}`);
+  }
+
+  // Step 2: Validate and normalize
+  const { categories, problems } = normalizeTaxonomy(data);
+  for (const problem of problems) {
+    console.warn(`  ! ${problem}`);
+  }
+
+  if (categories.length === 0) {
+    throw new Error('No valid genre categories found - refusing to write an empty taxonomy');
+  }
+
+  // Step 3: Diff against what the app uses now
+  const previous = fs.existsSync(OUTPUT_FILE)
+    ? JSON.parse(fs.readFileSync(OUTPUT_FILE, 'utf-8')).categories
+    : [];
+  const diff = diffTaxonomies(previous, categories);
+  const subgenreCount = categories.reduce((count, category) => count + category.subgenres.length, 0);
+
+  console.log(`\n${categories.length} categories, ${subgenreCount} subgenres`);
+  printDiff(diff);
+
+  const changed = diff.added.length + diff.removed.length + diff.renamed.length > 0;
+
+  if (args.check) {
+    console.log(changed ? '\nGenre data is out of date - run npm run sync-genres' : '\nGenre data is up to date');
+    process.exitCode = changed ? 1 : 0;
+    return;
+  }
+
+  // Step 4: Write the generated file (only when something changed, to keep syncedAt meaningful)
+  if (!changed && previous.length > 0) {
+    console.log('\nNo changes - nothing written');
+    return;
+  }
+
+  const output = { source, syncedAt: new Date().toISOString(), categories };
+  fs.writeFileSync(OUTPUT_FILE, JSON.stringify(output, null, 2) + '\n');
+  console.log(`\nWrote ${path.relative(process.cwd(), OUTPUT_FILE)}`);
+}
+
+syncGenres().catch(error => {
+  console.error('Genre sync failed:', error.message);
+  process.exitCode = 1;
+});
@@ -0,0 +1,124 @@
+/**
+ * Table-driven checks for app/utils/matchScore.js and app/utils/trackMatch.js
+ *
+ * BADGE_CASES are a search the user typed and a (raw) NTS result, with
+ * whether the result should get the "Best match" badge (score >=
+ * BEST_MATCH_SCORE). SEARCH_QUERY_CASES and RANKING_CASES cover how NTS
+ * tracks are looked up in Spotify and the other catalogues. Add a row
+ * whenever a badge shows up on the wrong result, or a catalogue match is wrong.
+ *
+ * Usage:
+ *   npm run test-match-score
+ *
+ * Exits 1 if any row fails.
+ */
+
+import assert from 'assert';
+import { register } from 'module';
+
+// The app's modules import each other without extensions (Next resolves
+// them) - let plain node do the same
+register('data:text/javascript,' + encodeURIComponent(`
+  export async function resolve(specifier, context, next) {
+    if (/^\\.\\.?\\//.test(specifier) && !/\\.[cm]?js$/.test(specifier)) {
+      return next(specifier + '.js', context);
+    }
+    return next(specifier, context);
+  }
+`));
+
+const { BEST_MATCH_SCORE, stringSimilarity, scoreTrackMatch } = await import('./app/utils/matchScore.js');
+const { buildSearchQuery, rankTrackCandidates } = await import('./app/utils/trackMatch.js');
+
+const BADGE_CASES = [
+  // Exact matches
+  { wanted: { artist: 'Bonobo', title: 'Kerala' }, result: { title: 'Kerala', artists: [{ name: 'Bonobo' }] }, best: true },
+  { wanted: { title: 'Silhouettes' }, result: { title: 'Silhouettes', artists: [{ name: 'Floating Points' }] }, best: true },
+  // NTS noise on the result doesn't cost the badge
+  { wanted: { artist: 'Bonobo', title: 'Kerala' }, result: { title: 'Kerala (Original Mix)', artists: [{ name: 'Bonobo' }] }, best: true },
+  { wanted: { artist: 'Bonobo', title: 'Kerala' }, result: { title: 'A1. Kerala [Ninja Tune]', artists: [{ name: 'Bonobo' }] }, best: true },
+  { wanted: { artist: 'Four Tet', title: 'Kerala' }, result: { title: 'Kerala', artists: [{ name: 'Bonobo' }, { name: 'Four Tet' }] }, best: true },
+  // Containing every word isn't enough on its own
+  { wanted: { title: 'love' }, result: { title: 'Love Will Tear Us Apart', artists: [{ name: 'Joy Division' }] }, best: false },
+  { wanted: { title: 'love' }, result: { title: 'Love Me Do', artists: [] }, best: false },
+  { wanted: { artist: 'Bonobo', title: 'Kerala' }, result: { title: 'Kerala Dub', artists: [{ name: 'Someone Else' }] }, best: false },
+  { wanted: { artist: 'Bonobo', title: 'Kerala' }, result: { title: 'Silhouettes', artists: [{ name: 'Floating Points' }] }, best: false }
+];
+
+const SEARCH_QUERY_CASES = [
+  { artist: 'Bonobo', title: 'Kerala (Original Mix)', query: 'Bonobo Kerala' },
+  { artist: 'Bonobo feat. Andreya Triana', title: 'A2. The Keeper [Ninja Tune]', query: 'Bonobo The Keeper' },
+  { artist: 'Bonobo', title: 'Kerala (Four Tet Remix)', query: 'Bonobo Kerala Four Tet Remix' },
+  { artist: 'Kruder & Dorfmeister', title: 'High Noon', query: 'Kruder Dorfmeister High Noon' },
+  { artist: '', title: 'Kerala', query: 'Kerala' },
+  { artist: 'Bonobo', title: '', query: 'Bonobo' }
+];
+
+// Search results in the catalogue's order, and the name of the one that should win
+const RANKING_CASES = [
+  {
+    wanted: { artist: 'Bonobo', title: 'Kerala' },
+    candidates: [{ name: 'Kerala - Karaoke Version', artists: ['Karaoke Hits'] }, { name: 'Kerala', artists: ['Bonobo'] }],
+    best: 'Kerala'
+  },
+  {
+    wanted: { artist: 'Bonobo', title: 'Kerala (Four Tet Remix)' },
+    candidates: [{ name: 'Kerala', artists: ['Bonobo'] }, { name: 'Kerala - Four Tet Remix', artists: ['Bonobo', 'Four Tet'] }],
+    best: 'Kerala - Four Tet Remix'
+  },
+  {
+    // Ties keep the catalogue's order
+    wanted: { artist: 'Bonobo', title: 'Kerala' },
+    candidates: [{ name: 'Kerala', artists: ['Bonobo'], id: 'first' }, { name: 'Kerala', artists: ['Bonobo'], id: 'second' }],
+    best: 'Kerala'
+  }
+];
+
+let failures = 0;
+let passes = 0;
+
+function check(label, fn) {
+  try {
+    fn();
+    passes++;
+  } catch (error) {
+    failures++;
+    console.log(`✗ ${label}`);
+    console.log(`  ${error.message.split('\n').join('\n  ')}\n`);
+  }
+}
+
+for (const { wanted, result, best } of BADGE_CASES) {
+  check(`scoreTrackMatch(${JSON.stringify(wanted)}, ${JSON.stringify(result.title)} by ${JSON.stringify(result.artists.map(artist => artist.name))})`, () => {
+    const score = scoreTrackMatch(wanted, result);
+    assert.strictEqual(score >= BEST_MATCH_SCORE, best, `score ${score.toFixed(2)}, expected ${best ? '' : 'not '}a best match`);
+  });
+}
+
+for (const { artist, title, query } of SEARCH_QUERY_CASES) {
+  check(`search query for ${JSON.stringify(artist)}, ${JSON.stringify(title)}`, () => {
+    assert.strictEqual(buildSearchQuery(artist, title), query);
+  });
+}
+
+for (const { wanted, candidates, best } of RANKING_CASES) {
+  check(`rankTrackCandidates(${JSON.stringify(wanted)})`, () => {
+    const [first] = rankTrackCandidates(wanted, candidates);
+    assert.strictEqual(first.name, best);
+    assert.strictEqual(first.id, candidates.find(candidate => candidate.name === best).id);
+  });
+}
+
+check('stringSimilarity contains-all boost stays below the badge', () => {
+  const score = stringSimilarity('love', 'Love Will Tear Us Apart');
+  assert.ok(score < BEST_MATCH_SCORE, `score ${score.toFixed(2)}`);
+  assert.ok(score > stringSimilarity('love', 'Kerala'), 'containing the word should still beat not containing it');
+});
+
+check('stringSimilarity exact and empty', () => {
+  assert.strictEqual(stringSimilarity('Kerala', 'kerala'), 1);
+  assert.strictEqual(stringSimilarity('', 'Kerala'), 0);
+});
+
+console.log(`${passes} passed, ${failures} failed`);
+process.exit(failures > 0 ? 1 : 0);
@@ -0,0 +1,179 @@
+/**
+ * Table-driven checks for app/utils/trackNormalize.js
+ *
+ * Every row is an artist/title pair the way NTS hosts actually type them,
+ * with what normalizeTrack() should make of it. Rows only list the fields
+ * they care about. Add a row whenever a tracklist string slips through.
+ *
+ * Usage:
+ *   npm run test-normalize
+ *
+ * Exits 1 if any row fails.
+ */
+
+import assert from 'assert';
+import {
+  cleanText,
+  normalizeTrack,
+  parseTrackVersion,
+  splitArtists,
+  getTrackMatchKey,
+  rekeyByTrackMatchKey,
+  buildNtsQuery
+} from './app/utils/trackNormalize.js';
+
+const NORMALIZE_CASES = [
+  // Neutral suffixes, remasters and years are dropped
+  { artist: 'Bonobo', title: 'Kerala (Original Mix)', expect: { title: 'Kerala', version: { markers: [], credit: '' } } },
+  { artist: 'Floating Points', title: 'Silhouettes - Original Mix', expect: { title: 'Silhouettes' } },
+  { artist: 'Air', title: 'La Femme d\'Argent - 2007 Remastered Version', expect: { title: 'La Femme d\'Argent' } },
+  { artist: 'Alice Coltrane', title: 'Journey In Satchidananda (1971)', expect: { title: 'Journey In Satchidananda' } },
+
+  // Remixes, edits and live takes are kept - they're different recordings
+  { artist: 'Bonobo', title: 'Kerala (Four Tet Remix)', expect: { title: 'Kerala (Four Tet Remix)', baseTitle: 'Kerala', version: { markers: ['remix'], credit: 'four tet' } } },
+  { artist: 'Bonobo', title: 'Kerala - Four Tet Remix', expect: { title: 'Kerala - Four Tet Remix', version: { markers: ['remix'], credit: 'four tet' } } },
+  { artist: 'Caribou', title: 'Sun (Extended Mix) [Merge]', expect: { title: 'Sun (Extended Mix)', version: { markers: ['extended'], credit: '' }, label: 'Merge' } },
+  { artist: 'Todd Terje', title: 'Inspector Norse (Todd Edit)', expect: { version: { markers: ['edit'], credit: 'todd' } } },
+  { artist: 'Portishead', title: 'Roads - Live At Roseland NYC', expect: { baseTitle: 'Roads', version: { markers: ['live'], credit: 'at roseland nyc' } } },
+  { artist: 'Skee Mask', title: 'Rev8617 (RMX)', expect: { version: { markers: ['remix'], credit: '' } } },
+
+  // Featured artists, from either field
+  { artist: 'Bonobo feat. Andreya Triana', title: 'The Keeper', expect: { artist: 'Bonobo', featured: ['Andreya Triana'] } },
+  { artist: 'Burial (feat. Four Tet)', title: 'Moth', expect: { artist: 'Burial', featured: ['Four Tet'] } },
+  { artist: 'Kaytranada', title: 'Glowed Up (feat. Anderson .Paak)', expect: { title: 'Glowed Up', featured: ['Anderson .Paak'] } },
+  { artist: 'Little Simz', title: 'Woman ft. Cleo Sol', expect: { title: 'Woman', featured: ['Cleo Sol'] } },
+  { artist: 'Sampha', title: 'Plastic 100°C (with Strings)', expect: { title: 'Plastic 100°C', featured: ['Strings'] } },
+  // "With" inside a title is just a word
+  { artist: 'Stardust', title: 'Music Sounds Better With You', expect: { title: 'Music Sounds Better With You', featured: [] } },
+
+  // Several artists in one credit
+  { artist: 'Kruder & Dorfmeister', title: 'High Noon', expect: { artists: ['Kruder', 'Dorfmeister'] } },
+  { artist: 'Theo Parrish x Marcellus Pittman', title: 'Heritage', expect: { artists: ['Theo Parrish', 'Marcellus Pittman'] } },
+  { artist: 'Moodymann vs. Andrés', title: 'Untitled', expect: { artists: ['Moodymann', 'Andrés'] } },
+  { artist: 'AC/DC', title: 'T.N.T.', expect: { artists: ['AC/DC'] } },
+
+  // Vinyl side markers
+  { artist: 'Aphex Twin', title: 'A1. Windowlicker', expect: { title: 'Windowlicker' } },
+  { artist: 'Orbital', title: 'B2 - Halcyon + On + On', expect: { title: 'Halcyon + On + On' } },
+  { artist: 'Moodymann', title: 'Side B: Shades Of Jae', expect: { title: 'Shades Of Jae' } },
+  { artist: 'Drexciya', title: 'Bubble Metropolis [A2]', expect: { title: 'Bubble Metropolis', label: null } },
+  // ...but not titles that just start with a letter
+  { artist: 'John Coltrane', title: 'A Love Supreme, Pt. I - Acknowledgement', expect: { baseTitle: 'A Love Supreme, Pt. I' } },
+
+  // Labels and catalogue numbers in square brackets
+  { artist: 'Aphex Twin', title: 'Pulsewidth [Warp]', expect: { title: 'Pulsewidth', label: 'Warp' } },
+  { artist: 'Basic Channel [Basic Channel]', title: 'Phylyps Trak', expect: { artist: 'Basic Channel', label: 'Basic Channel' } },
+  { artist: 'LFO', title: 'LFO [WAP 5]', expect: { title: 'LFO', label: 'WAP 5' } },
+
+  // Round brackets that are part of the name stay
+  { artist: 'Floating Points', title: 'Silhouettes (I, II & III)', expect: { title: 'Silhouettes (I, II & III)', baseTitle: 'Silhouettes' } },
+
+  // Odd unicode
+  { artist: 'Ｂｏｎｏｂｏ', title: 'Ｋｅｒａｌａ', expect: { artist: 'Bonobo', title: 'Kerala' } },
+  { artist: 'Sade', title: 'Is It A Crime\u200B', expect: { title: 'Is It A Crime' } },
+  { artist: 'Roy\u00A0Ayers\u00A0', title: 'Everybody Loves The Sunshine', expect: { artist: 'Roy Ayers' } },
+  { artist: 'Yellow Magic Orchestra', title: 'Rydeen — Live', expect: { title: 'Rydeen - Live', version: { markers: ['live'], credit: '' } } },
+  { artist: 'Sade', title: 'Your Love Is King ‘Remastered’', expect: { title: 'Your Love Is King \'Remastered\'' } }
+];
+
+// Different spellings of the same track must share a key; different versions must not
+const SAME_KEY_CASES = [
+  [['Bonobo', 'Kerala'], ['BONOBO', 'kerala (Original Mix)']],
+  [['Bonobo', 'Kerala'], ['Bonobo feat. Someone', 'A1. Kerala [Ninja Tune]']],
+  [['Kruder & Dorfmeister', 'High Noon'], ['Kruder and Dorfmeister', 'High Noon']],
+  [['Björk', 'Jóga'], ['Bjork', 'Joga']],
+  [['Bonobo', 'Kerala (Four Tet Remix)'], ['Bonobo', 'Kerala - Four Tet Remix']],
+  [['Roy Ayers', 'Don’t Stop The Feeling'], ['Roy Ayers', 'Don\'t Stop The Feeling']]
+];
+
+const DIFFERENT_KEY_CASES = [
+  [['Bonobo', 'Kerala'], ['Bonobo', 'Kerala (Four Tet Remix)']],
+  [['Bonobo', 'Kerala'], ['Bonobo', 'Kerala - Live']],
+  // Non-Latin names must not collapse to an empty key
+  [['坂本龍一', 'Merry Christmas Mr. Lawrence'], ['細野晴臣', 'Merry Christmas Mr. Lawrence']]
+];
+
+const NTS_QUERY_CASES = [
+  { artist: 'Bonobo', title: 'Kerala (Original Mix)', nts: 'Kerala Bonobo' },
+  { artist: 'Bonobo feat. Andreya Triana', title: 'A2. The Keeper [Ninja Tune]', nts: 'The Keeper Bonobo' },
+  { artist: 'Bonobo', title: 'Kerala (Four Tet Remix)', nts: 'Kerala (Four Tet Remix) Bonobo' },
+  { artist: 'Kruder & Dorfmeister', title: 'High Noon', nts: 'High Noon Kruder & Dorfmeister' },
+  // The NTS search box sends whichever field was filled in
+  { artist: '', title: 'Kerala', nts: 'Kerala' },
+  { artist: 'Bonobo', title: '', nts: 'Bonobo' }
+];
+
+let failures = 0;
+let passes = 0;
+
+function check(label, fn) {
+  try {
+    fn();
+    passes++;
+  } catch (error) {
+    failures++;
+    console.log(`✗ ${label}`);
+    console.log(`  ${error.message.split('\n').join('\n  ')}\n`);
+  }
+}
+
+for (const { artist, title, expect } of NORMALIZE_CASES) {
+  check(`normalizeTrack(${JSON.stringify(artist)}, ${JSON.stringify(title)})`, () => {
+    const track = normalizeTrack({ artist, title });
+    for (const [field, expected] of Object.entries(expect)) {
+      assert.deepStrictEqual(track[field], expected, `${field}: got ${JSON.stringify(track[field])}`);
+    }
+  });
+}
+
+for (const [a, b] of SAME_KEY_CASES) {
+  check(`same key: ${JSON.stringify(a)} / ${JSON.stringify(b)}`, () => {
+    assert.strictEqual(getTrackMatchKey(...a), getTrackMatchKey(...b));
+  });
+}
+
+for (const [a, b] of DIFFERENT_KEY_CASES) {
+  check(`different keys: ${JSON.stringify(a)} / ${JSON.stringify(b)}`, () => {
+    assert.notStrictEqual(getTrackMatchKey(...a), getTrackMatchKey(...b));
+  });
+}
+
+for (const { artist, title, nts } of NTS_QUERY_CASES) {
+  check(`NTS query for ${JSON.stringify(artist)}, ${JSON.stringify(title)}`, () => {
+    assert.strictEqual(buildNtsQuery(artist, title), nts);
+  });
+}
+
+// Spotify overrides saved under the old key format (plain lowercased artist|title)
+// must land on today's key, so withSpotifyOverride() still finds them
+check('rekeyByTrackMatchKey migrates old override keys', () => {
+  const stored = {
+    'bonobo|kerala original mix': { artist: 'Bonobo', title: 'Kerala (Original Mix)', spotify: null, savedAt: '2026-01-01T00:00:00.000Z' },
+    'bonobo|a1 kerala': { artist: 'Bonobo', title: 'A1. Kerala', spotify: { id: 'newer' }, savedAt: '2026-02-01T00:00:00.000Z' },
+    'floating points|silhouettes': { artist: 'Floating Points', title: 'Silhouettes', spotify: null, savedAt: '2026-01-01T00:00:00.000Z' }
+  };
+
+  const { entries, changed } = rekeyByTrackMatchKey(stored);
+  assert.strictEqual(changed, true);
+  assert.deepStrictEqual(Object.keys(entries).sort(), [getTrackMatchKey('Bonobo', 'Kerala'), getTrackMatchKey('Floating Points', 'Silhouettes')].sort());
+  // Both old Kerala keys collapse into one - the later choice wins
+  assert.deepStrictEqual(entries[getTrackMatchKey('Bonobo', 'Kerala')].spotify, { id: 'newer' });
+
+  // Already migrated - nothing to save
+  assert.strictEqual(rekeyByTrackMatchKey(entries).changed, false);
+});
+
+// The examples from the doc comments
+check('parseTrackVersion doc examples', () => {
+  assert.deepStrictEqual(parseTrackVersion('Kerala (Four Tet Remix)'), { base: 'kerala', markers: ['remix'], credit: 'four tet' });
+  assert.deepStrictEqual(parseTrackVersion('Silhouettes - Original Mix'), { base: 'silhouettes', markers: [], credit: '' });
+});
+
+check('splitArtists / cleanText', () => {
+  assert.deepStrictEqual(splitArtists('Earth, Wind & Fire'), ['Earth', 'Wind', 'Fire']);
+  assert.deepStrictEqual(splitArtists('Mount Kimbie + James Blake'), ['Mount Kimbie', 'James Blake']);
+  assert.strictEqual(cleanText('  Don’t\u00A0Stop\u200D  '), 'Don\'t Stop');
+});
+
+console.log(`${passes} passed, ${failures} failed`);
+process.exit(failures > 0 ? 1 : 0);